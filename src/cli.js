@@ -0,0 +1,228 @@
+const { askQuestion, readStdin } = require('./utils/prompt');
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  PARTIAL: 2,
+  AUTH: 3,
+  USAGE: 64
+};
+
+const COMMANDS = ['sync', 'list', 'login', 'status', 'retry-failed', 'verify', 'rename', 'session', 'watch', 'dedupe'];
+
+// Commands that take a subcommand, with the default first
+const SUBCOMMANDS = {
+  session: ['status']
+};
+
+// Every supported flag and how its value is read
+const FLAGS = {
+  site: { type: 'string' },
+  profile: { type: 'string' },
+  'all-profiles': { type: 'boolean' },
+  formats: { type: 'list' },
+  out: { type: 'string' },
+  mode: { type: 'string' },
+  concurrency: { type: 'integer' },
+  layout: { type: 'string' },
+  template: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  report: { type: 'list' },
+  export: { type: 'string' },
+  logout: { type: 'boolean' },
+  headless: { type: 'boolean' },
+  only: { type: 'string' },
+  exclude: { type: 'string' },
+  id: { type: 'list' },
+  'purchased-after': { type: 'string' },
+  'purchased-before': { type: 'string' },
+  new: { type: 'boolean' },
+  schedule: { type: 'string' },
+  once: { type: 'boolean' },
+  link: { type: 'boolean' },
+  remove: { type: 'boolean' },
+  yes: { type: 'boolean', alias: 'y' },
+  quiet: { type: 'boolean', alias: 'q' },
+  verbose: { type: 'boolean', alias: 'v' },
+  json: { type: 'boolean' },
+  email: { type: 'string' },
+  'password-stdin': { type: 'boolean' },
+  config: { type: 'string' },
+  set: { type: 'repeat' },
+  help: { type: 'boolean', alias: 'h' }
+};
+
+const USAGE = `Usage: ebook-downloader [command] [options]
+
+Commands:
+  sync          Download new or missing books (default)
+  list          Log in and list the library without downloading
+                (--export saves it as JSON, CSV or Markdown)
+  login         Log in and save the encrypted session for later runs
+                (--logout deletes the saved session)
+  status        Show what has been downloaded so far
+  retry-failed  Re-attempt only the downloads that failed on earlier runs
+  verify        Re-check downloaded files and quarantine broken ones
+  rename        Move downloaded files to the current filename template
+  session       Show the saved session and when it expires (session status)
+  watch         Keep syncing on a schedule with the saved session and send
+                notifications about new purchases (Ctrl+C to stop)
+  dedupe        Find identical files and similar titles across sites and
+                profiles (--link or --remove deals with the copies)
+
+Options:
+  --site <name>          Site to use (default: manning)
+  --profile <name>       Use an account profile from the config
+  --all-profiles         Run the command once for every profile of the site
+  --formats <list>       Formats to download, e.g. pdf,epub (also kindle, code, cover)
+  --out <dir>            Base directory for downloads
+  --mode <browser|http>  Click through the site, or fetch files directly over HTTP
+  --concurrency <n>      Download up to n books at once (default: 1)
+  --layout <name>        File layout: flat (default) or calibre (Author/Title (id)/)
+  --template <pattern>   Filename template, e.g. "{authors} - {title} ({year}).{ext}"
+  --dry-run              With rename or dedupe: show what would change without changing anything
+  --report <list>        Sync report formats: json, markdown, html (default: json,markdown)
+  --export <file>        With list: save the library to a .json, .csv or .md file
+  --headless             Run the browser without a window
+  --only <pattern>       Only books whose title or id matches this regex
+  --exclude <pattern>    Leave out books whose title or id matches this regex
+  --id <list>            Only these product ids, e.g. 1001,1002
+  --purchased-after <date>   Only books bought on or after a date (YYYY-MM-DD)
+  --purchased-before <date>  Only books bought on or before a date (YYYY-MM-DD)
+  --new                  Only books added to the library since the last sync
+  --schedule <cron>      With watch: when to sync, e.g. "0 */6 * * *" or @daily
+  --once                 With watch: run a single sync, notify and exit
+  --link                 With dedupe: replace duplicate copies with hardlinks
+  --remove               With dedupe: delete duplicate copies, keeping the oldest
+  -y, --yes              Never prompt; fail instead of asking for input
+  -q, --quiet            Only print warnings, errors and results
+  -v, --verbose          Also print debug detail (links, page state)
+  --json                 Print JSON lines on stdout instead of text
+  --email <address>      Account email (or EBOOK_EMAIL)
+  --password-stdin       Read the password from stdin (or EBOOK_PASSWORD)
+  --config <path>        Config file (default: config/config.json)
+  --set <key=value>      Override a config value, e.g. browser.timeout=60000
+  -h, --help             Show this help
+
+Environment:
+  EBOOK_SESSION_PASSPHRASE  Encrypts the saved session (default: the account password)
+  EBOOK_PASSWORD_<PROFILE>  Password of a profile, e.g. EBOOK_PASSWORD_WORK
+  EBOOK_WEBHOOK_URL         With watch: POST an event here after each sync
+  EBOOK_NOTIFY_COMMAND      With watch: run this shell command after each sync
+
+Exit codes:
+  0 success, 1 error, 2 some downloads failed, 3 login failed, 64 bad usage`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function parseArgs(argv) {
+  const args = { command: null, set: [] };
+  const aliases = Object.fromEntries(
+    Object.entries(FLAGS).filter(([, spec]) => spec.alias).map(([name, spec]) => [spec.alias, name])
+  );
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-')) {
+      if (args.command && SUBCOMMANDS[args.command] && !args.subcommand) {
+        if (!SUBCOMMANDS[args.command].includes(arg)) {
+          throw new UsageError(`Unknown ${args.command} command "${arg}" - expected one of: ${SUBCOMMANDS[args.command].join(', ')}`);
+        }
+        args.subcommand = arg;
+        continue;
+      }
+      if (args.command) {
+        throw new UsageError(`Unexpected argument "${arg}"`);
+      }
+      if (!COMMANDS.includes(arg)) {
+        throw new UsageError(`Unknown command "${arg}" - expected one of: ${COMMANDS.join(', ')}`);
+      }
+      args.command = arg;
+      continue;
+    }
+
+    let [name, inlineValue] = arg.replace(/^-+/, '').split(/=(.*)/s);
+    if (!arg.startsWith('--')) {
+      name = aliases[name] || name;
+    }
+    const spec = FLAGS[name];
+    if (!spec) {
+      throw new UsageError(`Unknown option "${arg}"`);
+    }
+
+    if (spec.type === 'boolean') {
+      args[name] = inlineValue === undefined ? true : !/^(false|0|no)$/i.test(inlineValue);
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || (inlineValue === undefined && value.startsWith('--'))) {
+      throw new UsageError(`Option --${name} needs a value`);
+    }
+
+    if (spec.type === 'integer') {
+      if (!/^\d+$/.test(value)) {
+        throw new UsageError(`Option --${name} expects a whole number, got "${value}"`);
+      }
+      args[name] = parseInt(value, 10);
+    } else if (spec.type === 'list') {
+      args[name] = value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+    } else if (spec.type === 'repeat') {
+      args[name].push(value);
+    } else {
+      args[name] = value;
+    }
+  }
+
+  args.command = args.command || 'sync';
+  if (SUBCOMMANDS[args.command] && !args.subcommand) {
+    args.subcommand = SUBCOMMANDS[args.command][0];
+  }
+  return args;
+}
+
+// EBOOK_PASSWORD_<PROFILE>, e.g. EBOOK_PASSWORD_HOME_2 for profile "home-2"
+function profilePasswordVar(name) {
+  return `EBOOK_PASSWORD_${name.toUpperCase().replace(/-/g, '_')}`;
+}
+
+// Credentials come from flags, the environment or stdin; prompting only happens on a terminal.
+// A profile brings its own email and password variable; the shared EBOOK_PASSWORD and
+// stdin only apply when a single profile runs.
+async function resolveCredentials(args, profile = null) {
+  const interactive = process.stdin.isTTY && !args.yes && !args['password-stdin'];
+  const shared = !profile || !args['all-profiles'];
+
+  let email = (profile && profile.email) || args.email || process.env.EBOOK_EMAIL || null;
+  let password = (profile && process.env[profilePasswordVar(profile.name)]) || null;
+
+  if (!password && shared) {
+    password = args['password-stdin'] ? await readStdin() : process.env.EBOOK_PASSWORD || null;
+  }
+
+  const forProfile = profile ? ` for profile ${profile.name}` : '';
+  if (!email && interactive) {
+    email = await askQuestion(`Enter your email${forProfile}: `);
+  }
+  if (email && !email.includes('@')) {
+    throw new UsageError('Please enter a valid email address');
+  }
+
+  if (!password && interactive) {
+    password = await askQuestion(`Enter your password${forProfile}: `, true);
+  }
+
+  // The saved session is encrypted with its own passphrase if one is set, otherwise with
+  // the account password - so it never outlives a password change
+  const passphrase = process.env.EBOOK_SESSION_PASSPHRASE || password || null;
+
+  return { email, password, passphrase, interactive };
+}
+
+module.exports = { parseArgs, resolveCredentials, UsageError, EXIT_CODES, COMMANDS, USAGE };
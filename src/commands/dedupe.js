@@ -0,0 +1,164 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { EXIT_CODES, UsageError } = require('../cli');
+const { ContentIndex } = require('../core/content-index');
+const { applyProfile } = require('../core/profiles');
+const { discoverSites } = require('../core/registry');
+const { Manifest, hashFile } = require('../utils/manifest');
+const { formatBytes } = require('../utils/format');
+const logger = require('../utils/logger');
+
+// Every download folder with a manifest: the base folder's and each profile's, with or
+// without a subfolder per site
+async function findLibraries(config, siteKey) {
+  const baseDir = config.downloads.baseDir;
+  const roots = new Set([path.resolve(baseDir)]);
+  for (const [name, profile] of Object.entries(config.profiles)) {
+    roots.add(path.resolve(applyProfile(config, profile.site || siteKey, { name, ...profile }).downloads.baseDir));
+  }
+
+  const siteKeys = Object.keys(discoverSites());
+  const libraries = [];
+  for (const root of roots) {
+    for (const dir of [root, ...siteKeys.map(key => path.join(root, key))]) {
+      const manifestPath = path.join(dir, '.manifest.json');
+      if (!(await fs.pathExists(manifestPath))) {
+        continue;
+      }
+      const { site } = await fs.readJson(manifestPath).catch(() => ({}));
+      const label = path.relative(baseDir, dir);
+      libraries.push({ site: site || siteKey, dir, label: !label ? '.' : label.startsWith('..') ? dir : label });
+    }
+  }
+  return libraries;
+}
+
+function shown(config, filePath) {
+  const relative = path.relative(config.downloads.baseDir, filePath);
+  return relative.startsWith('..') ? filePath : relative;
+}
+
+// Why a copy can't be touched: both files must still have the content the manifests recorded
+async function changedFile(group, copy) {
+  for (const file of [group.keep, copy]) {
+    if (await hashFile(file.filePath) !== group.hash) {
+      return `${file.filePath} changed since it was downloaded - run verify first`;
+    }
+  }
+  return null;
+}
+
+// Swap the copy for a hardlink to the kept file, in one rename so the copy is never missing
+async function linkCopy(group, copy) {
+  const staging = `${copy.filePath}.dedupe`;
+  try {
+    await fs.link(group.keep.filePath, staging);
+    await fs.rename(staging, copy.filePath);
+  } catch (error) {
+    await fs.remove(staging);
+    throw error.code === 'EXDEV' ? new Error('the files are on different file systems') : error;
+  }
+}
+
+// Find identical files across formats, sites and profiles by the SHA-256 the manifests keep,
+// and books with nearly the same title. With --link or --remove the extra copies are replaced
+// by hardlinks or deleted; a removed copy stays in its manifest as a duplicate of the kept one.
+async function run({ args, siteKey, config }) {
+  if (args.profile || args['all-profiles']) {
+    throw new UsageError('dedupe always looks at every profile - leave out --profile and --all-profiles');
+  }
+  if (args.link && args.remove) {
+    throw new UsageError('Use either --link or --remove, not both');
+  }
+  const action = args.link ? 'link' : args.remove ? 'remove' : null;
+
+  const libraries = await findLibraries(config, siteKey);
+  logger.info(chalk.blue.bold(`\n🧬 Indexing ${libraries.length} libraries: ${libraries.map(library => library.label).join(', ') || 'none'}\n`));
+
+  const index = await ContentIndex.build(libraries);
+  // A dry run changes nothing on disk, the index included
+  const indexPath = args['dry-run'] ? null : await index.save(config.downloads.baseDir);
+  const groups = index.duplicates();
+  const similar = index.similarTitles();
+
+  for (const group of groups) {
+    logger.result(chalk.cyan(`  ${group.keep.title} (${group.keep.format}, ${formatBytes(group.size)})`));
+    logger.result(chalk.green(`    keep   ${shown(config, group.keep.filePath)}`));
+    for (const copy of group.copies) {
+      logger.result(copy.linked
+        ? chalk.gray(`    linked ${shown(config, copy.filePath)}`)
+        : chalk.yellow(`    copy   ${shown(config, copy.filePath)}`));
+    }
+  }
+  if (similar.length > 0) {
+    logger.result(chalk.blue.bold('\n🔎 Similar titles with different files (check by hand):'));
+    for (const books of similar) {
+      logger.result('');
+      for (const book of books) {
+        logger.result(`  ${chalk.cyan(book.title)} ${chalk.gray(`[${book.library} ${book.bookId}] ${book.formats.join(', ')}`)}`);
+      }
+    }
+  }
+
+  const copies = groups.flatMap(group => group.copies.filter(copy => !copy.linked).map(copy => ({ group, copy })));
+  const reclaimable = groups.reduce((sum, group) => sum + group.reclaimable, 0);
+  logger.result(chalk.cyan(`\n📊 ${index.files.length} files indexed, ${copies.length} duplicate copies (${formatBytes(reclaimable)}), ${similar.length} similar titles`), {
+    index: indexPath,
+    duplicates: groups.map(group => ({
+      hash: group.hash,
+      size: group.size,
+      keep: group.keep.filePath,
+      copies: group.copies.map(copy => ({ filePath: copy.filePath, linked: copy.linked }))
+    })),
+    similar
+  });
+
+  if (!action || copies.length === 0) {
+    if (copies.length > 0) {
+      logger.result(chalk.gray('Run `dedupe --link` to replace the copies with hardlinks, or `dedupe --remove` to delete them'));
+    }
+    return EXIT_CODES.SUCCESS;
+  }
+  if (args['dry-run']) {
+    logger.result(chalk.gray(`${copies.length} copies would be ${action === 'link' ? 'hardlinked' : 'removed'} (dry run, nothing changed)`));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const manifests = new Map();
+  let done = 0;
+  let skipped = 0;
+  for (const { group, copy } of copies) {
+    try {
+      const changed = await changedFile(group, copy);
+      if (changed) {
+        throw new Error(changed);
+      }
+      if (action === 'link') {
+        await linkCopy(group, copy);
+      } else {
+        if (!manifests.has(copy.dir)) {
+          manifests.set(copy.dir, await new Manifest(copy.dir, copy.site).load());
+        }
+        await fs.remove(copy.filePath);
+        manifests.get(copy.dir).markDuplicate(copy.bookId, copy.format, group.keep.filePath);
+      }
+      done++;
+    } catch (error) {
+      skipped++;
+      logger.warning(chalk.yellow(`  ⚠️  Skipping ${shown(config, copy.filePath)}: ${error.message}`));
+    }
+  }
+  for (const manifest of manifests.values()) {
+    await manifest.save();
+  }
+
+  if (action === 'link') {
+    logger.result(chalk.green(`✅ ${done} copies replaced with hardlinks`));
+  } else {
+    logger.result(chalk.green(`✅ ${done} copies removed; sync downloads them again only if the kept file goes`));
+  }
+  return skipped > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+}
+
+module.exports = { run };
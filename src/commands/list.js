@@ -0,0 +1,44 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { resolveCredentials, UsageError, EXIT_CODES } = require('../cli');
+const logger = require('../utils/logger');
+const { parseSelection, formatsLabel } = require('../core/selection');
+const { renderCatalog, catalogFormat, CATALOG_FORMATS } = require('../utils/catalog');
+
+async function run({ args, siteKey, site, adapter, config, downloadsDir }) {
+  const selection = parseSelection(args);
+  // Checked before logging in, so a typo doesn't cost a whole library scan
+  const exportFormat = args.export ? catalogFormat(args.export) : null;
+  if (args.export && !exportFormat) {
+    throw new UsageError(`--export needs a file ending in ${Object.keys(CATALOG_FORMATS).join(', ')}, got "${args.export}"`);
+  }
+  const { email, password, passphrase } = await resolveCredentials(args, config.profile);
+
+  const books = await adapter.listBooks({ email, password, passphrase, config, selection, downloadsDir });
+
+  logger.result(chalk.blue.bold(`\n📚 ${books.length} books in your ${site.name} library:\n`));
+  for (const book of books) {
+    const formats = formatsLabel(book);
+    const purchased = book.purchased ? `, bought ${book.purchased}` : '';
+    const onDisk = Object.values(book.local || {}).filter(file => file.status === 'downloaded').length;
+    const local = onDisk > 0 ? `, ${onDisk} on disk` : '';
+    logger.result(`  ${chalk.cyan(book.title)} ${chalk.gray(`[${book.id}] ${formats}${purchased}${local}`)}`, {
+      id: book.id,
+      title: book.title,
+      formats,
+      purchased: book.purchased || null,
+      local: book.local || null
+    });
+  }
+
+  if (exportFormat) {
+    const exportPath = path.resolve(args.export);
+    await fs.outputFile(exportPath, renderCatalog(books, exportFormat, { site: siteKey, siteName: site.name }));
+    logger.result(chalk.cyan(`\n📝 Exported ${books.length} books to ${exportPath}`), { export: exportPath, format: exportFormat });
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = { run };
@@ -0,0 +1,23 @@
+const chalk = require('chalk');
+const { resolveCredentials, EXIT_CODES } = require('../cli');
+const logger = require('../utils/logger');
+
+async function run({ args, site, adapter, config }) {
+  if (args.logout) {
+    adapter.configure(config);
+    const removed = await adapter.sessionStore.clear();
+    logger.result(removed
+      ? chalk.green.bold(`\n✅ Logged out of ${site.name} - saved session deleted`)
+      : chalk.gray(`\nNo saved session for ${site.name}`));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const { email, password, passphrase } = await resolveCredentials(args, config.profile);
+
+  await adapter.checkLogin({ email, password, passphrase, config });
+  logger.result(chalk.green.bold(`\n✅ Logged in to ${site.name}`));
+
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = { run };
@@ -0,0 +1,99 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { EXIT_CODES } = require('../cli');
+const { Manifest } = require('../utils/manifest');
+const { savedExtension } = require('../utils/assets');
+const logger = require('../utils/logger');
+
+// Rebuild the books of a manifest, with the metadata sidecars written at download time
+async function loadBooks(manifest, downloadsDir) {
+  const books = new Map();
+  for (const entry of manifest.all()) {
+    if (!books.has(entry.bookId)) {
+      books.set(entry.bookId, { id: entry.bookId, title: entry.title, formats: {}, metadata: null });
+    }
+    const book = books.get(entry.bookId);
+    book.formats[entry.format] = entry.sourceUrl || true;
+
+    const filePath = path.resolve(downloadsDir, entry.filePath);
+    const sidecar = `${filePath.slice(0, -path.extname(filePath).length)}.metadata.json`;
+    if (!book.metadata && await fs.pathExists(sidecar)) {
+      book.metadata = await fs.readJson(sidecar).catch(() => null);
+    }
+  }
+  // Sorted by id so collisions are always resolved the same way
+  return [...books.values()].sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Move already-downloaded files to the names the current filename template (or layout) gives them
+async function run({ args, siteKey, site, adapter, config, downloadsDir }) {
+  adapter.configure(config);
+  adapter.downloadsDir = downloadsDir;
+  adapter.manifest = await new Manifest(downloadsDir, siteKey).load();
+
+  const books = await loadBooks(adapter.manifest, downloadsDir);
+  const template = adapter.isCalibreLayout() ? 'Calibre layout' : config.downloads.filenameTemplate;
+  logger.info(chalk.blue.bold(`\n🏷️  Renaming ${site.name} files to "${template}"\n`));
+
+  // Every file is about to move, so no name is taken yet
+  adapter.pathOwners = new Map();
+  const plan = [];
+  for (const book of books) {
+    for (const file of adapter.bookFiles(book)) {
+      const target = adapter.filePathFor(book, file.format, { ext: savedExtension(file.format, file.filePath), filename: file.serverFilename });
+      if (target !== file.filePath) {
+        plan.push({ book, format: file.format, from: file.filePath, to: target });
+      }
+    }
+  }
+
+  // Never overwrite a file the manifest doesn't know about
+  const sources = new Set(adapter.manifest.all().map(entry => path.resolve(downloadsDir, entry.filePath).toLowerCase()));
+  const blocked = [];
+  for (const move of plan) {
+    if (!sources.has(move.to.toLowerCase()) && await fs.pathExists(move.to)) {
+      blocked.push(move);
+    }
+  }
+  const moves = plan.filter(move => !blocked.includes(move));
+
+  for (const move of moves) {
+    logger.result(chalk.cyan(`  ${path.relative(downloadsDir, move.from)}`));
+    logger.result(chalk.green(`    → ${path.relative(downloadsDir, move.to)}`));
+  }
+  for (const move of blocked) {
+    logger.warning(chalk.yellow(`  ⚠️  Skipping ${path.relative(downloadsDir, move.from)}: ${path.relative(downloadsDir, move.to)} already exists`));
+  }
+
+  if (moves.length === 0) {
+    logger.result(chalk.green('✅ All files already match the template'));
+    return blocked.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+  }
+  if (args['dry-run']) {
+    logger.result(chalk.gray(`\n${moves.length} files would be renamed (dry run, nothing changed)`));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // Two steps, so swapping two books' names can't overwrite either of them
+  for (const move of moves) {
+    move.staging = `${move.from}.renaming`;
+    await fs.move(move.from, move.staging);
+  }
+  for (const move of moves) {
+    await fs.move(move.staging, move.to);
+    await fs.remove(`${move.from.slice(0, -path.extname(move.from).length)}.metadata.json`);
+    await adapter.manifest.relocate(move.book.id, move.format, move.to);
+    await adapter.removeEmptyDirs(path.dirname(move.from));
+  }
+
+  // Sidecars (and Calibre's metadata.opf) go next to the files again
+  for (const book of new Set(moves.map(move => move.book))) {
+    await adapter.placeBook(book);
+  }
+
+  logger.result(chalk.green(`\n✅ Renamed ${moves.length} files`));
+  return blocked.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+}
+
+module.exports = { run };
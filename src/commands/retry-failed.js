@@ -0,0 +1,44 @@
+const chalk = require('chalk');
+const { EXIT_CODES } = require('../cli');
+const { FailureStore } = require('../utils/failures');
+const { Manifest } = require('../utils/manifest');
+const logger = require('../utils/logger');
+const sync = require('./sync');
+
+// Re-run the sync for only the items that failed on previous runs
+async function run(context) {
+  const { siteKey, downloadsDir } = context;
+  const store = await new FailureStore(downloadsDir, siteKey).load();
+
+  // A format downloaded since it failed (by a later sync, say) needs no retry
+  const manifest = await new Manifest(downloadsDir, siteKey).load();
+  const resolved = [];
+  for (const failure of store.all()) {
+    if (await manifest.isComplete(failure.bookId, failure.format)) {
+      store.clear(failure.bookId, failure.format);
+      resolved.push(failure);
+    }
+  }
+  if (resolved.length > 0) {
+    await store.save();
+    logger.info(chalk.green(`✅ ${resolved.length} failed downloads have been downloaded since:`));
+    for (const failure of resolved) {
+      logger.info(chalk.gray(`   ${failure.title} (${failure.format})`));
+    }
+  }
+
+  const failures = store.all();
+  if (failures.length === 0) {
+    logger.success(chalk.green('✅ No failed downloads to retry'));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  logger.info(chalk.blue(`🔁 ${failures.length} failed downloads recorded:`));
+  for (const failure of failures) {
+    logger.info(chalk.gray(`   ${failure.title} (${failure.format}) [${failure.kind}] - failed ${failure.runs} run(s)`));
+  }
+
+  return sync.run(context, { onlyFailed: true });
+}
+
+module.exports = { run };
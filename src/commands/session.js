@@ -0,0 +1,27 @@
+const chalk = require('chalk');
+const { EXIT_CODES } = require('../cli');
+const logger = require('../utils/logger');
+
+// Show the saved login session without decrypting it or opening a browser
+async function run({ site, adapter, config }) {
+  adapter.configure(config);
+  const status = await adapter.sessionStore.status();
+
+  logger.result(chalk.blue.bold(`\n🔐 ${site.name} session\n`));
+  logger.result(`  File:     ${status.filePath}`);
+  if (!status.exists) {
+    logger.warning(chalk.yellow('  No saved session - run `login` to create one'));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  logger.result(`  Saved:    ${status.createdAt}`);
+  logger.result(`  Expires:  ${status.expiresAt}${status.expired ? chalk.red(' (expired)') : ''}`);
+  logger.result(`  Cookies:  ${status.cookieCount} (encrypted)`);
+  if (status.openPermissions) {
+    logger.warning(chalk.yellow('  ⚠️  The file is readable by other users - run `login` again to fix its permissions'));
+  }
+
+  return status.expired ? EXIT_CODES.AUTH : EXIT_CODES.SUCCESS;
+}
+
+module.exports = { run };
@@ -0,0 +1,63 @@
+const chalk = require('chalk');
+const { EXIT_CODES } = require('../cli');
+const { Manifest } = require('../utils/manifest');
+const { FailureStore } = require('../utils/failures');
+const { formatBytes } = require('../utils/format');
+const logger = require('../utils/logger');
+
+// Summarize the manifest without opening a browser
+async function run({ siteKey, site, downloadsDir }) {
+  const manifest = await new Manifest(downloadsDir, siteKey).load();
+  const entries = manifest.all();
+
+  logger.result(chalk.blue.bold(`\n🗂️  ${site.name} - ${downloadsDir}\n`));
+  if (entries.length === 0) {
+    logger.result(chalk.yellow('Nothing downloaded yet. Run `sync` to start.'));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const books = new Set(entries.map(entry => entry.bookId));
+  const byFormat = {};
+  let totalSize = 0;
+  let missing = 0;
+  let deduplicated = 0;
+  for (const entry of entries) {
+    byFormat[entry.format] = (byFormat[entry.format] || 0) + 1;
+    if (entry.duplicateOf) {
+      // Its content is a file of another library
+      deduplicated++;
+    } else {
+      // A file `verify` found broken has no size until it is downloaded again
+      totalSize += entry.size || 0;
+    }
+    if (!(await manifest.isComplete(entry.bookId, entry.format))) {
+      missing++;
+    }
+  }
+  const lastSync = entries.map(entry => entry.downloadedAt).sort().pop();
+
+  logger.result(`  Books:      ${books.size}`);
+  logger.result(`  Files:      ${entries.length} (${Object.entries(byFormat).map(([format, count]) => `${count} ${format}`).join(', ')})`);
+  logger.result(`  Total size: ${formatBytes(totalSize)}`);
+  logger.result(`  Last file:  ${lastSync}`);
+  if (deduplicated > 0) {
+    logger.result(`  Deduped:    ${deduplicated} files removed as duplicates of identical copies elsewhere`);
+  }
+  const updated = entries.filter(entry => entry.history && entry.history.length > 0);
+  if (updated.length > 0) {
+    const versions = updated.reduce((sum, entry) => sum + entry.history.length, 0);
+    logger.result(`  Updated:    ${updated.length} files have newer releases (${versions} previous versions archived)`);
+  }
+  if (missing > 0) {
+    logger.warning(chalk.yellow(`  ⚠️  ${missing} files are missing or changed on disk and will be re-downloaded`));
+  }
+
+  const failures = (await new FailureStore(downloadsDir, siteKey).load()).all();
+  if (failures.length > 0) {
+    logger.warning(chalk.yellow(`  ⚠️  ${failures.length} downloads failed last time - run \`retry-failed\``));
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = { run };
@@ -0,0 +1,91 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const { resolveCredentials, EXIT_CODES } = require('../cli');
+const { askConfirm } = require('../utils/prompt');
+const logger = require('../utils/logger');
+const { summaryTable, writeReports } = require('../utils/report');
+const { parseSelection, hasFilters, chooseBooks } = require('../core/selection');
+
+async function run({ args, site, adapter, config, downloadsDir, sharedLibrary = null }, { onlyFailed = false } = {}) {
+  const selection = parseSelection(args);
+  const credentials = await resolveCredentials(args, config.profile);
+  const { interactive } = credentials;
+  // On a terminal, without filters on the command line, the books are picked from a list
+  const choose = interactive && !onlyFailed && !hasFilters(selection) ? chooseBooks : null;
+
+  const { code } = await syncLibrary({ site, adapter, config, downloadsDir, sharedLibrary }, {
+    credentials,
+    selection,
+    choose,
+    onlyFailed,
+    confirm: interactive ? books => askConfirm(`Download ${books.length} books?`) : null
+  });
+  return code;
+}
+
+// One sync: download, print the summary and write the reports. Resolves with the exit
+// code and the adapter's stats; `watch` runs this on every cycle.
+async function syncLibrary({ site, adapter, config, downloadsDir, sharedLibrary = null }, { credentials, selection, choose = null, confirm = null, onlyFailed = false }) {
+  const { email, password, passphrase } = credentials;
+
+  await fs.ensureDir(downloadsDir);
+  logger.info(chalk.green(`\n🚀 Starting download from ${site.name}...\n`));
+
+  const stats = await adapter.download({
+    email,
+    password,
+    passphrase,
+    downloadsDir,
+    config,
+    selection,
+    choose,
+    onlyFailed,
+    sharedLibrary,
+    confirm
+  });
+
+  logger.result(chalk.cyan(`\n📊 ${stats.downloaded} files downloaded, ${stats.skipped} already up to date, ${stats.failed} failed`), {
+    downloaded: stats.downloaded,
+    skipped: stats.skipped,
+    failed: stats.failed,
+    updated: stats.updated.length,
+    shared: stats.shared.length
+  });
+  logger.result(summaryTable(stats.result), stats.result.summary);
+  if (stats.shared.length > 0) {
+    logger.result(chalk.gray(`📎 ${stats.shared.length} files skipped - already downloaded by another profile`));
+  }
+  if (stats.updated.length > 0) {
+    logger.result(chalk.magenta(`🆕 ${stats.updated.length} updated to a new release (previous versions in .versions/):`));
+    for (const update of stats.updated) {
+      logger.result(chalk.magenta(`   ↻ ${update.title} (${update.format}): ${update.reason}`));
+    }
+  }
+  for (const failure of stats.failures) {
+    logger.error(chalk.red(`   ✗ ${failure.title} (${failure.format}) [${failure.kind}]: ${failure.reason}`));
+  }
+  if (stats.hookFailures.length > 0) {
+    logger.warning(chalk.yellow(`🪝 ${stats.hookFailures.length} hook runs failed (the downloads themselves are fine):`), { hookFailures: stats.hookFailures });
+    for (const failure of stats.hookFailures) {
+      const subject = failure.bookId ? ` for ${failure.bookId} (${failure.format})` : '';
+      logger.warning(chalk.yellow(`   ✗ ${failure.stage} "${failure.hook}"${subject}: ${failure.reason}`));
+    }
+  }
+  logger.result(chalk.cyan(`📁 Files saved to: ${downloadsDir}`));
+
+  if (config.reports.formats.length > 0) {
+    const written = await writeReports(stats.result, config.reports);
+    logger.result(chalk.cyan(`📝 Report: ${written.join(', ')}`), { reports: written });
+  }
+
+  if (stats.failed > 0) {
+    logger.warning(chalk.yellow.bold('\n⚠️  Download completed with failures'));
+    logger.warning(chalk.yellow('   Run `retry-failed` to try just the failed items again'));
+    return { code: EXIT_CODES.PARTIAL, stats };
+  }
+
+  logger.result(chalk.green.bold('\n✅ Download completed successfully!'));
+  return { code: EXIT_CODES.SUCCESS, stats };
+}
+
+module.exports = { run, syncLibrary };
@@ -0,0 +1,60 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { EXIT_CODES } = require('../cli');
+const { Manifest } = require('../utils/manifest');
+const { validateFile } = require('../utils/validate');
+const logger = require('../utils/logger');
+
+// Re-check every downloaded file; broken ones are quarantined and marked invalid in the
+// manifest (keeping their version history) so the next sync downloads them again
+async function run({ siteKey, site, downloadsDir }) {
+  const manifest = await new Manifest(downloadsDir, siteKey).load();
+  const entries = manifest.all();
+  const quarantineDir = path.join(downloadsDir, '.quarantine');
+
+  logger.info(chalk.blue.bold(`\n🧪 Verifying ${entries.length} files from ${site.name}\n`));
+
+  let invalid = 0;
+  for (const entry of entries) {
+    if (entry.duplicateOf) {
+      // Removed by `dedupe`; the kept copy is checked with the library it belongs to
+      if (!(await manifest.isComplete(entry.bookId, entry.format))) {
+        logger.warning(chalk.yellow(`  ⚠️  Missing: ${entry.filePath} (kept copy ${manifest.locate(entry)} is gone)`));
+        manifest.invalidate(entry.bookId, entry.format, 'kept copy is missing');
+        invalid++;
+      }
+      continue;
+    }
+
+    const filePath = path.resolve(downloadsDir, entry.filePath);
+    if (!(await fs.pathExists(filePath))) {
+      logger.warning(chalk.yellow(`  ⚠️  Missing: ${entry.filePath}`));
+      manifest.invalidate(entry.bookId, entry.format, 'file is missing');
+      invalid++;
+      continue;
+    }
+
+    const check = await validateFile(filePath, entry.format);
+    if (check.valid) {
+      continue;
+    }
+
+    invalid++;
+    const target = path.join(quarantineDir, `${path.basename(filePath)}.${Date.now()}`);
+    await fs.move(filePath, target);
+    manifest.invalidate(entry.bookId, entry.format, check.reason);
+    logger.error(chalk.red(`  ❌ ${entry.filePath}: ${check.reason} - quarantined`));
+  }
+
+  await manifest.save();
+
+  if (invalid > 0) {
+    logger.warning(chalk.yellow(`\n⚠️  ${invalid} files will be downloaded again on the next sync`));
+    return EXIT_CODES.PARTIAL;
+  }
+  logger.result(chalk.green('✅ All files are valid'));
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = { run };
@@ -0,0 +1,192 @@
+const chalk = require('chalk');
+const path = require('path');
+const { resolveCredentials, UsageError, EXIT_CODES } = require('../cli');
+const { parseSelection } = require('../core/selection');
+const { AuthError } = require('../utils/errors');
+const { acquireLock, releaseLock, LockError } = require('../utils/lock');
+const { Notifier, buildEvent } = require('../utils/notify');
+const { parseSchedule, nextRun } = require('../utils/schedule');
+const logger = require('../utils/logger');
+const { syncLibrary } = require('./sync');
+
+const LOCK_FILENAME = '.watch.lock';
+
+// Long waits are slept in steps, which also keeps timers within setTimeout's range
+const MAX_SLEEP = 60 * 60 * 1000;
+
+// The first Ctrl+C (or SIGTERM) lets the running sync finish; a second one closes the
+// browser so the sync fails fast and the watcher can exit.
+class Shutdown {
+  constructor() {
+    this.requested = false;
+    this.adapter = null;
+    this.wake = null;
+    this.onSignal = this.onSignal.bind(this);
+  }
+
+  listen() {
+    process.on('SIGINT', this.onSignal);
+    process.on('SIGTERM', this.onSignal);
+  }
+
+  dispose() {
+    process.removeListener('SIGINT', this.onSignal);
+    process.removeListener('SIGTERM', this.onSignal);
+  }
+
+  onSignal(signal) {
+    if (!this.requested) {
+      this.requested = true;
+      if (this.adapter) {
+        logger.warning(chalk.yellow(`\n⏹️  ${signal}: stopping after the current sync (press Ctrl+C again to stop now)`));
+      } else {
+        logger.warning(chalk.yellow(`\n⏹️  ${signal}: stopping the watcher`));
+      }
+      if (this.wake) {
+        this.wake();
+      }
+      return;
+    }
+    if (this.adapter) {
+      logger.warning(chalk.yellow('⏹️  Stopping now - the interrupted downloads resume on the next sync'));
+      this.adapter.closeBrowser().catch(() => {});
+    }
+  }
+
+  // Resolves at `time`, or as soon as a stop is requested
+  sleepUntil(time) {
+    return new Promise(resolve => {
+      let timer = null;
+      const done = () => {
+        clearTimeout(timer);
+        this.wake = null;
+        resolve();
+      };
+      const wait = () => {
+        const remaining = time.getTime() - Date.now();
+        if (remaining <= 0 || this.requested) {
+          done();
+          return;
+        }
+        timer = setTimeout(wait, Math.min(remaining, MAX_SLEEP));
+      };
+      this.wake = done;
+      wait();
+    });
+  }
+}
+
+// One scheduled sync, then the notifications. Errors are reported, not thrown, so the
+// watcher keeps going; resolves with the sync's exit code.
+async function runCycle(context, { credentials, selection, notifier, cycle, shutdown }) {
+  const { siteKey, site, config } = context;
+  const startedAt = new Date();
+  const adapter = site.create();
+  let stats = null;
+  let error = null;
+  let code;
+
+  shutdown.adapter = adapter;
+  try {
+    ({ code, stats } = await syncLibrary({ ...context, adapter }, { credentials, selection }));
+  } catch (err) {
+    error = err;
+    code = err instanceof AuthError ? EXIT_CODES.AUTH : EXIT_CODES.ERROR;
+    logger.error(chalk.red.bold(`\n❌ Sync failed: ${err.message}`), err);
+    if (err instanceof AuthError) {
+      logger.warning(chalk.yellow('   Run `login` to save a fresh session; the watcher will try again on schedule'));
+    }
+  } finally {
+    shutdown.adapter = null;
+  }
+
+  if (stats && stats.newBooks.length > 0) {
+    logger.result(chalk.green.bold(`🆕 ${stats.newBooks.length} new in the library:`), { newBooks: stats.newBooks });
+    for (const book of stats.newBooks) {
+      logger.result(chalk.green(`   + ${book.title}`));
+    }
+  }
+
+  await notifier.send(buildEvent({
+    site: siteKey,
+    profile: config.profile ? config.profile.name : null,
+    cycle,
+    startedAt,
+    stats,
+    error
+  }));
+  return code;
+}
+
+// Sync on the watch.schedule until stopped, with the saved session, and notify after each
+// cycle. Only one watcher runs per downloads folder.
+async function run(context) {
+  const { args, siteKey, site, config, downloadsDir } = context;
+  if (args['all-profiles']) {
+    throw new UsageError('watch runs one profile at a time - start a watcher per --profile');
+  }
+
+  const schedule = parseSchedule(config.watch.schedule);
+  const selection = parseSelection(args);
+  const credentials = await resolveCredentials(args, config.profile);
+  if (!credentials.passphrase) {
+    throw new UsageError('watch needs the saved session - set EBOOK_SESSION_PASSPHRASE (or EBOOK_PASSWORD) so it can be decrypted');
+  }
+
+  let lock;
+  try {
+    lock = await acquireLock(path.join(downloadsDir, LOCK_FILENAME), {
+      site: siteKey,
+      profile: config.profile ? config.profile.name : null
+    });
+  } catch (error) {
+    if (error instanceof LockError) {
+      logger.error(chalk.red.bold(`\n❌ Another watcher is already running for ${downloadsDir}`));
+      logger.error(chalk.red(`   ${error.message}`));
+      return EXIT_CODES.ERROR;
+    }
+    throw error;
+  }
+
+  // Even if the process exits some other way, the lock must not outlive it
+  const releaseOnExit = () => releaseLock(lock.filePath);
+  process.on('exit', releaseOnExit);
+  const shutdown = new Shutdown();
+  shutdown.listen();
+  const notifier = new Notifier(config.watch.notify);
+
+  logger.info(chalk.blue.bold(`\n👀 Watching ${site.name} on schedule "${schedule.expression}" (Ctrl+C to stop)`));
+
+  let cycle = 0;
+  let code = EXIT_CODES.SUCCESS;
+  try {
+    let next = config.watch.runOnStart ? new Date() : nextRun(schedule);
+    while (!shutdown.requested) {
+      if (next.getTime() > Date.now()) {
+        logger.info(chalk.gray(`⏰ Next sync at ${next.toLocaleString()}`));
+        await shutdown.sleepUntil(next);
+        if (shutdown.requested) {
+          break;
+        }
+      }
+
+      cycle++;
+      logger.info(chalk.blue.bold(`\n🔄 Sync ${cycle} - ${new Date().toLocaleString()}`));
+      code = await runCycle(context, { credentials, selection, notifier, cycle, shutdown });
+      if (args.once) {
+        break;
+      }
+      next = nextRun(schedule);
+    }
+  } finally {
+    shutdown.dispose();
+    lock.release();
+    process.removeListener('exit', releaseOnExit);
+  }
+
+  logger.result(chalk.cyan(`\n👋 Watcher stopped after ${cycle} syncs`));
+  // --once reports how its single sync went; a stopped watcher has done its job
+  return args.once ? code : EXIT_CODES.SUCCESS;
+}
+
+module.exports = { run, LOCK_FILENAME };
@@ -0,0 +1,198 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Manifest } = require('../utils/manifest');
+const { normalizeTitle } = require('./profiles');
+
+const INDEX_FILENAME = '.content-index.json';
+const INDEX_VERSION = 1;
+
+// How alike two titles must be (0-1) to be reported as possibly the same book
+const TITLE_SIMILARITY = 0.9;
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+// The edition a title names ("Second Edition", "3rd ed."), 1 when it names none
+function editionOf(title) {
+  const text = normalizeTitle(title);
+  const numbered = text.match(/\b(\d+)(?: ?(?:st|nd|rd|th))? ed(?:ition)?\b/);
+  if (numbered) {
+    return Number(numbered[1]);
+  }
+  const word = text.match(new RegExp(`\\b(${ORDINALS.join('|')}) ed(?:ition)?\\b`));
+  return word ? ORDINALS.indexOf(word[1]) + 1 : 1;
+}
+
+// A title without the edition and early-access markers, for comparing
+function titleKey(title) {
+  return normalizeTitle(title)
+    .replace(new RegExp(`\\b(?:\\d+(?: ?(?:st|nd|rd|th))?|${ORDINALS.join('|')}) ed(?:ition)?\\b`, 'g'), ' ')
+    .replace(/\b(?:meap|early access|v\d+)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function bigrams(text) {
+  const pairs = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+  return pairs;
+}
+
+// Dice coefficient of the titles' character pairs: 1 for the same text, 0 for nothing in common
+function titleSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let shared = 0;
+  for (const [pair, count] of left) {
+    shared += Math.min(count, right.get(pair) || 0);
+  }
+  const total = Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0);
+  return total === 0 ? 0 : (2 * shared) / total;
+}
+
+// Oldest download first, so the copy that was there first is the one kept
+function byAge(a, b) {
+  return (a.downloadedAt || '').localeCompare(b.downloadedAt || '') || a.filePath.localeCompare(b.filePath);
+}
+
+// Every complete file of the given libraries (download folders with a manifest),
+// addressed by the SHA-256 the manifest recorded when it was saved
+class ContentIndex {
+  constructor() {
+    this.files = [];
+  }
+
+  // `libraries`: [{ label, site, dir }]
+  static async build(libraries) {
+    const index = new ContentIndex();
+    const seen = new Set();
+    for (const library of libraries) {
+      const manifest = await new Manifest(library.dir, library.site).load();
+      for (const entry of manifest.all()) {
+        // A duplicate already removed has no file of its own
+        if (entry.duplicateOf || !entry.hash || !(await manifest.isComplete(entry.bookId, entry.format))) {
+          continue;
+        }
+        const filePath = manifest.locate(entry);
+        if (seen.has(filePath)) {
+          continue;
+        }
+        seen.add(filePath);
+        const stats = await fs.stat(filePath);
+        index.files.push({
+          library: library.label,
+          site: library.site,
+          dir: library.dir,
+          bookId: entry.bookId,
+          title: entry.title,
+          format: entry.format,
+          filePath,
+          size: entry.size,
+          hash: entry.hash,
+          downloadedAt: entry.downloadedAt,
+          inode: `${stats.dev}:${stats.ino}`
+        });
+      }
+    }
+    return index;
+  }
+
+  byHash() {
+    const groups = new Map();
+    for (const file of this.files) {
+      if (!groups.has(file.hash)) {
+        groups.set(file.hash, []);
+      }
+      groups.get(file.hash).push(file);
+    }
+    return groups;
+  }
+
+  // Files with the same content: the copy to keep and the others. A copy that is already
+  // a hardlink of the kept file takes no extra space and is marked `linked`.
+  duplicates() {
+    const groups = [];
+    for (const [hash, files] of this.byHash()) {
+      if (files.length < 2) {
+        continue;
+      }
+      const [keep, ...rest] = [...files].sort(byAge);
+      const copies = rest.map(file => ({ ...file, linked: file.inode === keep.inode }));
+      const reclaimable = copies.filter(copy => !copy.linked).length * keep.size;
+      groups.push({ hash, size: keep.size, keep, copies, reclaimable });
+    }
+    return groups.sort((a, b) => b.reclaimable - a.reclaimable || a.keep.title.localeCompare(b.keep.title));
+  }
+
+  // Different books whose titles are nearly the same ("Rust in Action" and "Rust in Action
+  // MEAP"), but whose files differ. Only reported: they may be different releases on purpose.
+  // Titles naming different editions are never grouped.
+  similarTitles() {
+    const books = new Map();
+    for (const file of this.files) {
+      const id = `${file.library}\0${file.site}\0${file.bookId}`;
+      if (!books.has(id)) {
+        books.set(id, {
+          library: file.library,
+          site: file.site,
+          bookId: file.bookId,
+          title: file.title,
+          key: titleKey(file.title),
+          edition: editionOf(file.title),
+          hashes: new Set(),
+          formats: []
+        });
+      }
+      books.get(id).hashes.add(file.hash);
+      books.get(id).formats.push(file.format);
+    }
+
+    const list = [...books.values()].filter(book => book.key);
+    const groupOf = new Map(list.map(book => [book, [book]]));
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const a = list[i];
+        const b = list[j];
+        if (groupOf.get(a) === groupOf.get(b) || a.edition !== b.edition) {
+          continue;
+        }
+        // Books sharing a file are exact duplicates, already reported as such
+        if ([...a.hashes].some(hash => b.hashes.has(hash))) {
+          continue;
+        }
+        if (titleSimilarity(a.key, b.key) >= TITLE_SIMILARITY) {
+          const merged = [...groupOf.get(a), ...groupOf.get(b)];
+          merged.forEach(book => groupOf.set(book, merged));
+        }
+      }
+    }
+
+    return [...new Set(groupOf.values())]
+      .filter(group => group.length > 1)
+      .map(group => group.map(({ library, site, bookId, title, formats }) => ({ library, site, bookId, title, formats: formats.sort() })));
+  }
+
+  toJSON() {
+    const files = {};
+    for (const [hash, group] of this.byHash()) {
+      files[hash] = group.map(({ library, site, bookId, title, format, filePath, size }) => ({ library, site, bookId, title, format, filePath, size }));
+    }
+    return { version: INDEX_VERSION, generatedAt: new Date().toISOString(), files };
+  }
+
+  // Written next to the libraries for other tools; never read back, the manifests stay the source
+  async save(baseDir) {
+    const filePath = path.join(baseDir, INDEX_FILENAME);
+    await fs.ensureDir(baseDir);
+    await fs.writeJson(`${filePath}.tmp`, this.toJSON(), { spaces: 2 });
+    await fs.move(`${filePath}.tmp`, filePath, { overwrite: true });
+    return filePath;
+  }
+}
+
+module.exports = { ContentIndex, titleKey, titleSimilarity, editionOf, INDEX_FILENAME };
@@ -0,0 +1,109 @@
+const chalk = require('chalk');
+const logger = require('../utils/logger');
+const { redact } = require('../utils/redact');
+const { runShellCommand } = require('../utils/shell');
+
+// When hooks run: after every file a sync saves, and once when the sync ends
+const HOOK_STAGES = ['afterFile', 'afterRun'];
+
+// Linux refuses single environment variables over 128 KiB
+const MAX_ENV_PAYLOAD = 64 * 1024;
+
+function hookName(hook) {
+  return hook.name || hook.command || hook.module;
+}
+
+function withTimeout(promise, timeout, message) {
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeout);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+// Runs the user's `hooks` config. Each hook is a shell command, which gets the payload as
+// JSON on stdin (and in EBOOK_HOOK_PAYLOAD when it fits), or a JS module exporting `async (payload) => {}`.
+// Hooks of a stage run one after another in the order configured; a failing hook is
+// logged and counted in `failures`, and never stops the sync or the hooks after it.
+class HookRunner {
+  constructor(config, { site, profile = null, downloadsDir }) {
+    this.hooks = Object.fromEntries(HOOK_STAGES.map(stage => [stage, config[stage] || []]));
+    this.timeout = config.timeout;
+    this.context = { site, profile, downloadsDir };
+    this.failures = [];
+  }
+
+  has(stage) {
+    return this.hooks[stage].length > 0;
+  }
+
+  // `book` is the plain book record, with the normalized metadata when there is any
+  async afterFile({ book, format, filePath, status }) {
+    const hooks = this.hooks.afterFile.filter(hook => !hook.formats || hook.formats.includes(format));
+    await this.runAll('afterFile', hooks, { ...this.context, book, format, filePath, status }, {
+      EBOOK_FILE: filePath,
+      EBOOK_FORMAT: format,
+      EBOOK_BOOK_ID: String(book.id),
+      EBOOK_BOOK_TITLE: book.title
+    });
+  }
+
+  // `result` is the sync report (see utils/report.js); `files` the files saved this run
+  async afterRun({ result, files }) {
+    await this.runAll('afterRun', this.hooks.afterRun, { ...this.context, result, files }, {});
+  }
+
+  async runAll(stage, hooks, payload, env) {
+    if (hooks.length === 0) {
+      return;
+    }
+    // Signed download URLs and the like stay in the process
+    const data = redact({ hook: stage, ...payload });
+    for (const hook of hooks) {
+      const name = hookName(hook);
+      try {
+        const output = hook.command
+          ? await this.runCommand(hook.command, data, env)
+          : await this.runModule(hook.module, data);
+        logger.debug(chalk.gray(`  🪝 ${stage} hook "${name}" done${output ? `: ${output}` : ''}`));
+      } catch (error) {
+        const subject = payload.book ? ` for ${payload.book.title} (${payload.format})` : '';
+        logger.warning(chalk.yellow(`  ⚠️  ${stage} hook "${name}" failed${subject}: ${error.message}`));
+        if (error.output) {
+          logger.debug(chalk.gray(`     ${error.output}`));
+        }
+        this.failures.push({
+          stage,
+          hook: name,
+          bookId: payload.book ? payload.book.id : null,
+          format: payload.format || null,
+          reason: error.message
+        });
+      }
+    }
+  }
+
+  runCommand(command, data, env) {
+    const json = JSON.stringify(data);
+    const vars = { ...env, EBOOK_HOOK: data.hook };
+    // A big run's payload would not fit in one environment variable; stdin always has it
+    if (json.length <= MAX_ENV_PAYLOAD) {
+      vars.EBOOK_HOOK_PAYLOAD = json;
+    }
+    return runShellCommand(command, { input: json, timeout: this.timeout, env: vars });
+  }
+
+  // A module may export the hook itself, or afterFile/afterRun functions
+  async runModule(modulePath, data) {
+    const exported = require(modulePath);
+    const hook = typeof exported === 'function' ? exported : exported && exported[data.hook];
+    if (typeof hook !== 'function') {
+      throw new Error(`${modulePath} must export a function or an ${data.hook}() function`);
+    }
+    const result = await withTimeout(Promise.resolve(hook(data)), this.timeout,
+      `did not finish within ${Math.round(this.timeout / 1000)}s`);
+    return typeof result === 'string' ? result : '';
+  }
+}
+
+module.exports = { HookRunner, HOOK_STAGES };
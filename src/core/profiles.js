@@ -0,0 +1,96 @@
+const path = require('path');
+const { Manifest } = require('../utils/manifest');
+const { UsageError } = require('../cli');
+
+// Profiles of config `profiles` that belong to a site (a profile without `site` fits any)
+function profilesForSite(config, siteKey) {
+  return Object.entries(config.profiles)
+    .filter(([, profile]) => !profile.site || profile.site === siteKey)
+    .map(([name, profile]) => ({ name, ...profile }));
+}
+
+// Which profiles a run uses: --profile <name>, every profile with --all-profiles,
+// or none (a single run with the top-level settings)
+function selectProfiles(config, siteKey, args) {
+  const available = profilesForSite(config, siteKey);
+
+  if (args['all-profiles'] && args.profile) {
+    throw new UsageError('Use either --profile or --all-profiles, not both');
+  }
+  if (args['all-profiles']) {
+    if (available.length === 0) {
+      throw new UsageError(`--all-profiles: no profiles for ${siteKey} in the config`);
+    }
+    return available;
+  }
+  if (args.profile) {
+    const profile = available.find(candidate => candidate.name === args.profile);
+    const configured = config.profiles[args.profile];
+    if (!profile && configured) {
+      throw new UsageError(`Profile "${args.profile}" is for ${configured.site}, not ${siteKey}`);
+    }
+    if (!profile) {
+      const names = available.map(candidate => candidate.name);
+      throw new UsageError(`Unknown profile "${args.profile}"${names.length ? ` - expected one of: ${names.join(', ')}` : ''}`);
+    }
+    return [profile];
+  }
+  return [];
+}
+
+// The config a profile runs with: its own download folder (downloads/<profile> unless it
+// sets baseDir) and formats, plus `config.profile` for the session store and credentials
+function applyProfile(config, siteKey, profile) {
+  const profiled = JSON.parse(JSON.stringify(config));
+  profiled.downloads.baseDir = profile.baseDir || path.join(config.downloads.baseDir, profile.name);
+  if (profile.downloadFormats) {
+    profiled.sites[siteKey] = { ...profiled.sites[siteKey], downloadFormats: profile.downloadFormats };
+  }
+  profiled.profile = { name: profile.name, email: profile.email || null };
+  return profiled;
+}
+
+function normalizeTitle(title) {
+  return (title || '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// What the other profiles already have on disk, so a book owned by several accounts
+// is downloaded once. Books match by id, or by title when the sites' ids differ.
+class SharedLibrary {
+  constructor() {
+    this.byId = new Map();
+    this.byTitle = new Map();
+  }
+
+  static async load(profiles) {
+    const library = new SharedLibrary();
+    for (const { name, downloadsDir, site } of profiles) {
+      const manifest = await new Manifest(downloadsDir, site).load();
+      for (const entry of manifest.all()) {
+        if (await manifest.isComplete(entry.bookId, entry.format)) {
+          library.add(name, entry);
+        }
+      }
+    }
+    return library;
+  }
+
+  add(profile, { bookId, title, format }) {
+    const key = format.toLowerCase();
+    if (!this.byId.has(`${bookId}:${key}`)) {
+      this.byId.set(`${bookId}:${key}`, profile);
+    }
+    const titleKey = `${normalizeTitle(title)}:${key}`;
+    if (title && !this.byTitle.has(titleKey)) {
+      this.byTitle.set(titleKey, profile);
+    }
+  }
+
+  // Name of the profile that already has this format of the book, or null
+  owner(book, format) {
+    const key = format.toLowerCase();
+    return this.byId.get(`${book.id}:${key}`) || this.byTitle.get(`${normalizeTitle(book.title)}:${key}`) || null;
+  }
+}
+
+module.exports = { selectProfiles, applyProfile, profilesForSite, normalizeTitle, SharedLibrary };
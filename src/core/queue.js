@@ -0,0 +1,17 @@
+// Run worker(item, index, workerId) over items with at most `concurrency` in flight.
+// Each worker id is stable for the life of the queue, so a worker can own a resource such as a page.
+async function runQueue(items, worker, { concurrency = 1 } = {}) {
+  let next = 0;
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+
+  const workers = Array.from({ length: workerCount }, async (_, workerId) => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index, workerId);
+    }
+  });
+
+  await Promise.all(workers);
+}
+
+module.exports = { runQueue };
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { SiteAdapter } = require('./site-adapter');
+
+const SITES_DIR = path.join(__dirname, '..', 'sites');
+
+// Find every adapter in src/sites/ - each file exports a SiteAdapter subclass
+// with static `id` and `siteName` properties
+function discoverSites(sitesDir = SITES_DIR) {
+  const sites = {};
+
+  for (const file of fs.readdirSync(sitesDir).sort()) {
+    if (path.extname(file) !== '.js') {
+      continue;
+    }
+
+    const Adapter = require(path.join(sitesDir, file));
+    if (typeof Adapter !== 'function' || !(Adapter.prototype instanceof SiteAdapter)) {
+      throw new TypeError(`src/sites/${file} must export a class extending SiteAdapter`);
+    }
+    if (!Adapter.id || !Adapter.siteName) {
+      throw new TypeError(`${Adapter.name} in src/sites/${file} must define static id and siteName`);
+    }
+    if (sites[Adapter.id]) {
+      throw new TypeError(`Duplicate site id "${Adapter.id}" in src/sites/${file}`);
+    }
+
+    sites[Adapter.id] = {
+      id: Adapter.id,
+      name: Adapter.siteName,
+      create: () => new Adapter()
+    };
+  }
+
+  return sites;
+}
+
+module.exports = { discoverSites };
@@ -0,0 +1,171 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { UsageError } = require('../cli');
+const logger = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parsePattern(value, flag) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return new RegExp(value, 'i');
+  } catch (error) {
+    throw new UsageError(`${flag} is not a valid regular expression: ${error.message}`);
+  }
+}
+
+function parseDate(value, flag) {
+  if (!value) {
+    return null;
+  }
+  if (!DATE_PATTERN.test(value) || Number.isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw new UsageError(`${flag} expects a date like 2024-01-31, got "${value}"`);
+  }
+  return value;
+}
+
+// Which books a run works on, from --only, --exclude, --id, --purchased-after,
+// --purchased-before and --new. Every filter must match for a book to be included.
+function parseSelection(args) {
+  const selection = {
+    only: parsePattern(args.only, '--only'),
+    exclude: parsePattern(args.exclude, '--exclude'),
+    ids: args.id || [],
+    purchasedAfter: parseDate(args['purchased-after'], '--purchased-after'),
+    purchasedBefore: parseDate(args['purchased-before'], '--purchased-before'),
+    newOnly: Boolean(args.new)
+  };
+  if (selection.purchasedAfter && selection.purchasedBefore && selection.purchasedAfter > selection.purchasedBefore) {
+    throw new UsageError('--purchased-after must not be later than --purchased-before');
+  }
+  return selection;
+}
+
+function hasFilters(selection) {
+  return Boolean(selection && (selection.only || selection.exclude || selection.ids.length > 0 ||
+    selection.purchasedAfter || selection.purchasedBefore || selection.newOnly));
+}
+
+// A one-line summary, e.g. `title matches /rust/, purchased after 2024-01-01`
+function describeSelection(selection) {
+  const parts = [];
+  if (selection.only) parts.push(`title or id matches /${selection.only.source}/`);
+  if (selection.exclude) parts.push(`not /${selection.exclude.source}/`);
+  if (selection.ids.length > 0) parts.push(`id ${selection.ids.join(', ')}`);
+  if (selection.purchasedAfter) parts.push(`purchased on or after ${selection.purchasedAfter}`);
+  if (selection.purchasedBefore) parts.push(`purchased on or before ${selection.purchasedBefore}`);
+  if (selection.newOnly) parts.push('new since the last sync');
+  return parts.join(', ');
+}
+
+// Filter books by a selection. `isNew(book)` answers --new. Books without a purchase date
+// never match a date range; they are counted in `undated`.
+function applySelection(books, selection, { isNew = () => true } = {}) {
+  let undated = 0;
+  const matches = books.filter(book => {
+    if (selection.only && !(selection.only.test(book.title) || selection.only.test(book.id))) {
+      return false;
+    }
+    if (selection.exclude && (selection.exclude.test(book.title) || selection.exclude.test(book.id))) {
+      return false;
+    }
+    if (selection.ids.length > 0 && !selection.ids.includes(String(book.id).toLowerCase())) {
+      return false;
+    }
+    if (selection.purchasedAfter || selection.purchasedBefore) {
+      if (!book.purchased) {
+        undated++;
+        return false;
+      }
+      if ((selection.purchasedAfter && book.purchased < selection.purchasedAfter) ||
+        (selection.purchasedBefore && book.purchased > selection.purchasedBefore)) {
+        return false;
+      }
+    }
+    return !selection.newOnly || isNew(book);
+  });
+  return { books: matches, undated };
+}
+
+function formatsLabel(book) {
+  return Object.keys(book.formats || {})
+    .filter(format => book.formats[format])
+    .map(format => format.toUpperCase())
+    .join(', ') || 'no downloads';
+}
+
+// Pick books on a terminal: everything, only the new ones, or a checklist narrowed by a
+// search term. Searching again keeps earlier picks. Resolves with the chosen books, or
+// null when cancelled.
+async function chooseBooks(books, { isNew = () => false } = {}) {
+  const fresh = books.filter(isNew);
+  const { scope } = await inquirer.prompt([{
+    type: 'list',
+    name: 'scope',
+    message: 'Which books?',
+    choices: [
+      { name: `All ${books.length} books`, value: 'all' },
+      { name: `New since the last sync (${fresh.length})`, value: 'new' },
+      { name: 'Choose books...', value: 'choose' }
+    ]
+  }]);
+  if (scope === 'all') {
+    return books;
+  }
+  if (scope === 'new') {
+    return fresh;
+  }
+
+  const chosen = new Set();
+  for (;;) {
+    const { search } = await inquirer.prompt([{
+      type: 'input',
+      name: 'search',
+      message: 'Search by title or id (blank for all):'
+    }]);
+    const term = search.trim().toLowerCase();
+    const matches = books.filter(book => !term || book.title.toLowerCase().includes(term) || String(book.id).toLowerCase() === term);
+
+    if (matches.length === 0) {
+      logger.warning(chalk.yellow(`No books match "${search.trim()}"`));
+    } else {
+      const { picked } = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'picked',
+        message: `Select books (${matches.length} shown, space to toggle):`,
+        pageSize: 15,
+        loop: false,
+        choices: matches.map(book => ({
+          name: `${book.title} ${chalk.gray(`[${formatsLabel(book)}]`)}${isNew(book) ? chalk.green(' new') : ''}`,
+          value: book.id,
+          checked: chosen.has(book.id)
+        }))
+      }]);
+      for (const book of matches) {
+        chosen.delete(book.id);
+      }
+      picked.forEach(id => chosen.add(id));
+    }
+
+    const { next } = await inquirer.prompt([{
+      type: 'list',
+      name: 'next',
+      message: `${chosen.size} books selected`,
+      choices: [
+        { name: 'Download the selected books', value: 'done' },
+        { name: 'Search again', value: 'search' },
+        { name: 'Cancel', value: 'cancel' }
+      ]
+    }]);
+    if (next === 'cancel') {
+      return null;
+    }
+    if (next === 'done') {
+      return books.filter(book => chosen.has(book.id));
+    }
+  }
+}
+
+module.exports = { parseSelection, hasFilters, describeSelection, applySelection, chooseBooks, formatsLabel };
@@ -0,0 +1,1149 @@
+const { chromium } = require('playwright');
+const path = require('path');
+const fs = require('fs-extra');
+const chalk = require('chalk');
+const logger = require('../utils/logger');
+const { Manifest, hashFile } = require('../utils/manifest');
+const { FailureStore } = require('../utils/failures');
+const { LibraryIndex } = require('../utils/library');
+const { RetryPolicy } = require('../utils/retry');
+const { DownloadError, FAILURE_KINDS, classifyError } = require('../utils/errors');
+const { validateFile, imageExtension } = require('../utils/validate');
+const { savedExtension } = require('../utils/assets');
+const { readFileMetadata, normalizeBookRecord, toOpf } = require('../utils/metadata');
+const { ZipReader } = require('../utils/zip');
+const { sanitizeSegment, templateFields, renderFilePath, withSuffix } = require('../utils/filename');
+const { VersionArchive, describeChange } = require('../utils/versions');
+const { loadConfig, getSiteConfig } = require('../utils/config');
+const { HttpDownloader, filenameFromDisposition } = require('../utils/http-download');
+const { RateLimiter, parseRetryAfter, isThrottleStatus, sleep } = require('../utils/rate-limiter');
+const { progressReporter } = require('../utils/format');
+const { SessionStore } = require('../utils/session-store');
+const { buildResult } = require('../utils/report');
+const { runQueue } = require('./queue');
+const { HookRunner } = require('./hooks');
+const { hasFilters, applySelection, describeSelection } = require('./selection');
+
+// Methods every site adapter has to provide - the rest is shared here
+const REQUIRED_METHODS = ['login', 'getBooksList', 'downloadBook'];
+
+// How many times a file is retried when the site throttles us (429/503)
+const MAX_THROTTLE_RETRIES = 5;
+
+// Invalid downloads are moved here (inside the site folder) for inspection
+const QUARANTINE_DIRNAME = '.quarantine';
+
+// Calibre's own library layout, used instead of downloads.filenameTemplate with layout "calibre"
+const CALIBRE_TEMPLATE = '{author}/{title} ({id})/{title} - {author}.{ext}';
+
+// The names a Calibre book folder's cover can have: cover.jpg, the one Calibre looks for,
+// unless the image is a PNG, GIF or WebP, which keeps its own extension
+const CALIBRE_COVERS = ['jpg', 'png', 'gif', 'webp'].map(ext => `cover.${ext}`);
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Base class for site adapters. It owns the browser lifecycle, the manifest,
+// saving downloads, rate limiting and run statistics, so an adapter only has
+// to implement the site-specific scraping:
+//
+//   login(email, password)  - authenticate this.page, throw AuthError on failure; use
+//                              restoreSession()/saveSession() to reuse the encrypted saved session
+//   getBooksList()          - return [{ id, title, formats: { pdf: url, ... }, version, aliases }] where
+//                              `formats` maps the assets of utils/assets.js (pdf, epub, kindle, code,
+//                              cover) to their links, `id` is the site's stable product id (it keys the manifest), the
+//                              optional `version` holds markers such as { updated, chapters, meapVersion }
+//                              and `aliases` lists ids earlier runs may have used for the same book
+//   downloadBook(book, page) - fetch book.pendingFormats on `page`, calling saveDownload() for each
+//                              file, or recordFailure() with a (preferably classified) error
+//
+// navigateToLibrary() may be overridden to wait for the library to render after login.
+//
+// With downloads.mode = "http", downloadBook() is bypassed: the URLs in book.formats
+// are fetched directly with the browser session's cookies (see downloadBookHttp()).
+//
+// Failures are classified (see FAILURE_KINDS) and retried per config `retry`; whatever
+// still fails is kept in the site's failure store for the `retry-failed` command.
+//
+// The configured `hooks` (see core/hooks.js) run after each book's files are in place and
+// once at the end of the run.
+class SiteAdapter {
+  constructor({ id, name }) {
+    if (new.target === SiteAdapter) {
+      throw new TypeError('SiteAdapter is abstract - extend it for a specific site');
+    }
+    for (const method of REQUIRED_METHODS) {
+      if (typeof this[method] !== 'function') {
+        throw new TypeError(`${new.target.name} must implement ${method}()`);
+      }
+    }
+
+    this.id = id;
+    this.name = name;
+    this.browser = null;
+    this.page = null;
+    this.downloadsDir = null;
+    this.manifest = null;
+    this.config = null;
+    this.siteConfig = null;
+    this.stats = null;
+    this.httpDownloader = null;
+    this.rateLimiter = null;
+    this.failureStore = null;
+    this.library = null;
+    this.selection = null;
+    this.retryPolicy = null;
+    this.credentials = null;
+    this.onlyFailed = false;
+    this.recovering = null;
+    this.pathOwners = new Map();
+    this.versionArchive = null;
+    this.manifestDirty = false;
+    this.sessionStore = null;
+    this.passphrase = null;
+    this.sharedLibrary = null;
+    this.hooks = null;
+  }
+
+  configure(config) {
+    this.config = config || loadConfig();
+    this.siteConfig = getSiteConfig(this.config, this.id);
+    this.rateLimiter = new RateLimiter({
+      interval: this.siteConfig.rateLimit,
+      burst: this.siteConfig.burst
+    });
+    // Each profile has its own session file, e.g. manning@work.session
+    this.sessionStore = new SessionStore({
+      dir: this.config.session.dir,
+      site: this.config.profile ? `${this.id}@${this.config.profile.name}` : this.id,
+      maxAgeDays: this.config.session.maxAgeDays
+    });
+  }
+
+  // `selection` filters the library (see core/selection.js); `choose(books, { isNew })` may
+  // narrow it further interactively and `confirm(pending)` approve the final list
+  async download({ email, password, passphrase = null, downloadsDir, config, selection = null, choose = null, confirm = null, onlyFailed = false, sharedLibrary = null }) {
+    this.downloadsDir = downloadsDir;
+    this.configure(config);
+    this.setCredentials({ email, password, passphrase });
+    this.selection = selection;
+    this.onlyFailed = onlyFailed;
+    this.sharedLibrary = sharedLibrary;
+    this.retryPolicy = new RetryPolicy(this.config.retry);
+    this.hooks = new HookRunner(this.config.hooks, {
+      site: this.id,
+      profile: this.config.profile ? this.config.profile.name : null,
+      downloadsDir: this.downloadsDir
+    });
+    this.stats = { total: 0, skipped: 0, downloaded: 0, failed: 0, failures: [], updated: [], shared: [], items: [], newBooks: [], hookFailures: [] };
+    const startedAt = new Date();
+
+    try {
+      // Load the manifest of what previous runs already downloaded
+      this.manifest = await new Manifest(this.downloadsDir, this.id).load();
+      this.failureStore = await new FailureStore(this.downloadsDir, this.id).load();
+      this.library = await new LibraryIndex(this.downloadsDir, this.id).load();
+      this.loadPathOwners();
+      this.versionArchive = new VersionArchive(this.downloadsDir, { keep: this.config.updates.keepVersions });
+      logger.info(chalk.blue(`🗂️  Manifest has ${this.manifest.all().length} downloaded files`));
+
+      await this.openBrowser();
+      await this.login(email, password);
+      await this.navigateToLibrary();
+      if (this.config.downloads.mode === 'http') {
+        const cookies = await this.page.context().cookies();
+        logger.addSecrets(cookies.map(cookie => cookie.value));
+        this.httpDownloader = new HttpDownloader({
+          cookies,
+          userAgent: USER_AGENT,
+          timeout: this.config.browser.downloadTimeout
+        });
+      }
+
+      let books = await this.getBooksList();
+      this.adoptAliases(books);
+      this.stats.newBooks = books.filter(book => this.isNewBook(book)).map(book => ({ id: book.id, title: book.title }));
+      books = this.filterBooks(books, selection);
+      if (onlyFailed) {
+        books = books.filter(book => this.failureStore.formatsFor(book.id).length > 0);
+        logger.info(chalk.blue(`🔁 Retrying ${books.length} books that failed previously`));
+      }
+      if (choose && books.length > 0) {
+        books = await choose(books, { isNew: book => this.isNewBook(book) });
+        if (!books) {
+          logger.info(chalk.yellow('⏹️  Download cancelled'));
+          return this.stats;
+        }
+      }
+      const pending = await this.selectPending(books);
+
+      if (confirm && pending.length > 0 && !(await confirm(pending))) {
+        logger.info(chalk.yellow('⏹️  Download cancelled'));
+        return this.stats;
+      }
+
+      await this.downloadBooks(pending);
+      // Books this run worked on are no longer "new"; the ones it left out still are
+      this.library.markSeen(books);
+      await this.library.save();
+      return this.stats;
+
+    } catch (error) {
+      logger.error(chalk.red(`❌ Error during download: ${error.message}`), error);
+      throw error;
+    } finally {
+      if (this.failureStore) {
+        await this.failureStore.save();
+      }
+      await this.closeBrowser();
+      this.stats.result = buildResult({
+        site: this.id,
+        profile: this.config.profile ? this.config.profile.name : null,
+        mode: this.config.downloads.mode,
+        startedAt,
+        items: this.stats.items
+      });
+      if (this.hooks.has('afterRun')) {
+        await this.hooks.afterRun({ result: this.stats.result, files: this.savedFiles() });
+      }
+      this.stats.hookFailures = this.hooks.failures;
+    }
+  }
+
+  // Log in and discover the library without downloading anything. With `downloadsDir`,
+  // --new knows what earlier syncs have seen and each record gets `local`, what the folder
+  // has of every format (see localStatus()). Links are made absolute.
+  async listBooks({ email, password, passphrase = null, config, selection = null, downloadsDir = null }) {
+    this.configure(config);
+    this.setCredentials({ email, password, passphrase });
+    this.selection = selection;
+    if (downloadsDir) {
+      this.downloadsDir = downloadsDir;
+      this.manifest = await new Manifest(downloadsDir, this.id).load();
+      this.failureStore = await new FailureStore(downloadsDir, this.id).load();
+      this.library = await new LibraryIndex(downloadsDir, this.id).load();
+    }
+
+    try {
+      await this.openBrowser();
+      await this.login(email, password);
+      await this.navigateToLibrary();
+      let books = await this.getBooksList();
+      if (this.manifest) {
+        // Only in memory - listing never changes the manifest
+        this.adoptAliases(books);
+      }
+      books = this.filterBooks(books, selection);
+
+      const base = this.page.url();
+      const records = [];
+      for (const book of books) {
+        const record = this.toRecord(book);
+        record.formats = Object.fromEntries(Object.entries(record.formats || {})
+          .map(([format, url]) => [format, url ? new URL(url, base).toString() : url]));
+        if (this.manifest) {
+          record.local = await this.localStatus(book);
+        }
+        records.push(record);
+      }
+      return records;
+    } finally {
+      await this.closeBrowser();
+    }
+  }
+
+  // What the downloads folder has of each format of a book: downloaded, missing (recorded
+  // but gone or changed on disk), failed, pending (the next sync fetches it) or skipped (not
+  // in the site's downloadFormats), with the file's path relative to the folder
+  async localStatus(book) {
+    const formats = new Set(this.availableFormats(book));
+    this.manifest.all().filter(entry => entry.bookId === book.id).forEach(entry => formats.add(entry.format));
+
+    const local = {};
+    for (const format of [...formats].sort()) {
+      const entry = this.manifest.get(book.id, format);
+      let status;
+      if (entry) {
+        status = await this.manifest.isComplete(book.id, format) ? 'downloaded' : 'missing';
+      } else if (this.failureStore.has(book.id, format)) {
+        status = 'failed';
+      } else {
+        status = this.siteConfig.downloadFormats.includes(format) ? 'pending' : 'skipped';
+      }
+      local[format] = {
+        status,
+        file: entry ? entry.filePath : null,
+        downloadedAt: entry ? entry.downloadedAt : null
+      };
+    }
+    return local;
+  }
+
+  // Log in only, refreshing the saved session
+  async checkLogin({ email, password, passphrase = null, config }) {
+    this.configure(config);
+    this.setCredentials({ email, password, passphrase });
+
+    try {
+      await this.openBrowser();
+      await this.login(email, password);
+    } finally {
+      await this.closeBrowser();
+    }
+  }
+
+  async navigateToLibrary() {
+    // Nothing to wait for by default
+  }
+
+  setCredentials({ email, password, passphrase }) {
+    this.credentials = { email, password };
+    this.passphrase = passphrase || password || null;
+    logger.addSecrets(password, passphrase);
+  }
+
+  // Add the saved session's cookies to the browser. Returns false when there is none to use;
+  // login() should then check the cookies still work and call saveSession() afterwards.
+  async restoreSession() {
+    let cookies = null;
+    try {
+      cookies = await this.sessionStore.load({ passphrase: this.passphrase, account: this.credentials.email });
+    } catch (error) {
+      logger.warning(chalk.yellow(`⚠️  ${error.message}`));
+    }
+    cookies = cookies || await this.migrateLegacyCookies();
+    if (!cookies || cookies.length === 0) {
+      return false;
+    }
+
+    logger.addSecrets(cookies.map(cookie => cookie.value));
+    logger.info(chalk.blue(`🍪 Restoring saved session (${cookies.length} cookies)...`));
+    await this.page.context().addCookies(cookies);
+    return true;
+  }
+
+  // Earlier versions kept the cookies in plaintext <site>-cookies.json in the working directory.
+  // Use them one last time and delete the file; saveSession() stores them encrypted.
+  async migrateLegacyCookies() {
+    const legacyPath = path.resolve(`${this.id}-cookies.json`);
+    if (!(await fs.pathExists(legacyPath))) {
+      return null;
+    }
+    const cookies = await fs.readJson(legacyPath).catch(() => null);
+    await fs.remove(legacyPath);
+    logger.info(chalk.yellow(`🔒 Removed plaintext ${path.basename(legacyPath)} - sessions are now stored encrypted`));
+    return Array.isArray(cookies) ? cookies : null;
+  }
+
+  // Encrypt the browser's cookies into the session store for the next run
+  async saveSession() {
+    if (!this.passphrase) {
+      logger.info(chalk.gray('ℹ️  Session not saved - set EBOOK_SESSION_PASSPHRASE or log in with a password to keep it'));
+      return;
+    }
+    const cookies = await this.page.context().cookies();
+    logger.addSecrets(cookies.map(cookie => cookie.value));
+    const { expiresAt } = await this.sessionStore.save(cookies, { passphrase: this.passphrase, account: this.credentials.email });
+    logger.info(chalk.blue(`🔒 Saved encrypted session (${cookies.length} cookies, expires ${expiresAt.slice(0, 10)})`));
+  }
+
+  async openBrowser() {
+    logger.info(chalk.blue('🌐 Launching browser...'));
+    this.browser = await chromium.launch({
+      headless: this.config.browser.headless,
+      downloadPath: this.downloadsDir || undefined
+    });
+
+    const context = await this.browser.newContext({
+      acceptDownloads: true,
+      userAgent: USER_AGENT
+    });
+    this.page = await this.newPage(context);
+  }
+
+  async newPage(context = this.page.context()) {
+    const page = await context.newPage();
+    page.setDefaultTimeout(this.config.browser.timeout);
+
+    // Back off as soon as the site starts throttling any of our pages
+    page.on('response', response => {
+      if (isThrottleStatus(response.status())) {
+        const pause = this.rateLimiter.penalize(parseRetryAfter(response.headers()['retry-after']));
+        logger.warning(chalk.yellow(`🐢 ${this.name} is throttling (HTTP ${response.status()}), pausing ${Math.round(pause / 1000)}s`));
+      }
+    });
+    return page;
+  }
+
+  async closeBrowser() {
+    if (this.browser) {
+      await this.browser.close();
+      this.browser = null;
+      this.page = null;
+    }
+  }
+
+  // Plain data for a book, without any Playwright handles an adapter attached
+  toRecord(book) {
+    const { element, dropdownButtons, pendingFormats, savedFormats, attemptFailures, updateReasons, aliases, startedAt, attempt, ...record } = book;
+    return record;
+  }
+
+  // State from earlier runs follows the book's id, not its title or position in the library.
+  // Move entries recorded under one of book.aliases (e.g. a slug used before the product id
+  // was known) to the id, and keep the recorded titles in step with the site's.
+  adoptAliases(books) {
+    let moved = 0;
+    for (const book of books) {
+      for (const alias of book.aliases || []) {
+        if (alias !== book.id) {
+          moved += this.manifest.rekey(alias, book.id);
+          this.failureStore.rekey(alias, book.id);
+        }
+      }
+      for (const entry of this.manifest.all().filter(item => item.bookId === book.id && item.title !== book.title)) {
+        entry.title = book.title;
+        this.manifestDirty = true;
+      }
+    }
+
+    if (moved > 0) {
+      logger.info(chalk.blue(`🔑 Matched ${moved} files from earlier runs to their product ids`));
+      this.loadPathOwners();
+      this.manifestDirty = true;
+    }
+  }
+
+  // Keep only the books the run's selection (--only, --exclude, --id, --new...) asks for
+  filterBooks(books, selection) {
+    if (!hasFilters(selection)) {
+      return books;
+    }
+    const { books: matched, undated } = applySelection(books, selection, { isNew: book => this.isNewBook(book) });
+    logger.info(chalk.blue(`🔎 ${matched.length}/${books.length} books selected: ${describeSelection(selection)}`));
+    if (undated > 0) {
+      logger.warning(chalk.yellow(`⚠️  ${undated} books show no purchase date and were left out of the date range`));
+    }
+    return matched;
+  }
+
+  // A book no earlier sync has worked on and that has nothing downloaded
+  isNewBook(book) {
+    if (!this.library || !this.manifest) {
+      return true;
+    }
+    return !this.library.has(book.id) && !this.manifest.all().some(entry => entry.bookId === book.id);
+  }
+
+  availableFormats(book) {
+    return Object.keys(book.formats || {}).filter(format => book.formats[format]);
+  }
+
+  // Formats that are wanted by config, offered by the site and not yet on disk - or on
+  // disk but superseded by a newer release (book.updateReasons says why)
+  async getPendingFormats(book) {
+    const wanted = this.siteConfig.downloadFormats;
+    const formats = [];
+    book.updateReasons = {};
+    for (const format of this.availableFormats(book)) {
+      if (this.onlyFailed && !this.failureStore.has(book.id, format)) {
+        continue;
+      }
+      if (!wanted.includes(format)) {
+        continue;
+      }
+      if (!this.manifest.get(book.id, format)) {
+        await this.adoptExistingFile(book, format);
+      }
+      if (!(await this.manifest.isComplete(book.id, format))) {
+        // With --all-profiles, a book owned by several accounts is only downloaded once
+        const owner = this.sharedLibrary && this.sharedLibrary.owner(book, format);
+        if (owner) {
+          this.stats.shared.push({ title: book.title, format, profile: owner });
+          this.recordItem(book, format, 'skipped', { reason: `already downloaded by profile ${owner}` });
+          continue;
+        }
+        formats.push(format);
+        continue;
+      }
+      const reason = this.config.updates.check ? await this.findUpdate(book, format) : null;
+      if (reason) {
+        book.updateReasons[format] = reason;
+        formats.push(format);
+      } else {
+        this.stats.skipped++;
+        this.recordItem(book, format, 'skipped', { reason: 'already downloaded' });
+      }
+    }
+    return formats;
+  }
+
+  // Runs from before the manifest existed saved books as Title.pdf in the site folder, and
+  // the file may already be where the template puts it. Record a valid file found there
+  // instead of downloading the book again; writeMetadata() later moves it into place.
+  // Returns the new entry, or null when there is nothing (valid) to adopt.
+  async adoptExistingFile(book, format) {
+    const candidates = [
+      this.filePathFor(book, format),
+      path.join(this.downloadsDir, `${this.sanitizeFilename(book.title)}.${format}`)
+    ];
+    for (const filePath of new Set(candidates)) {
+      const owner = this.pathOwners.get(filePath.toLowerCase());
+      if ((owner && owner !== book.id) || !(await fs.pathExists(filePath))) {
+        continue;
+      }
+      const check = await validateFile(filePath, format);
+      if (!check.valid) {
+        logger.warning(chalk.yellow(`  ⚠️  ${path.relative(this.downloadsDir, filePath)} from an earlier run is not a valid ${format.toUpperCase()} (${check.reason}) - downloading it again`));
+        continue;
+      }
+      this.pathOwners.set(filePath.toLowerCase(), book.id);
+      logger.info(chalk.gray(`  📎 Adopted ${path.relative(this.downloadsDir, filePath)} from an earlier run`));
+      return this.manifest.record({
+        bookId: book.id,
+        title: book.title,
+        format,
+        sourceUrl: book.formats[format],
+        filePath,
+        validated: true,
+        version: book.version || null
+      });
+    }
+    return null;
+  }
+
+  // Why a downloaded format is out of date, or null. Compares the site's version markers
+  // with the ones recorded at download time and, with updates.checkServer in HTTP mode,
+  // asks the server whether the file's ETag/Last-Modified changed.
+  async findUpdate(book, format) {
+    const entry = this.manifest.get(book.id, format);
+    const recorded = entry.version || {};
+    const reason = describeChange(recorded, book.version);
+
+    // Markers we have never seen for this file (e.g. it was downloaded before versions
+    // were tracked) become the baseline for the next sync
+    const missing = Object.entries(book.version || {}).filter(([key, value]) => value != null && recorded[key] == null);
+    if (missing.length > 0) {
+      entry.version = { ...recorded, ...Object.fromEntries(missing) };
+      this.manifestDirty = true;
+    }
+
+    if (reason || !this.config.updates.checkServer || !this.httpDownloader) {
+      return reason;
+    }
+
+    const { etag, lastModified } = recorded;
+    if (!etag && !lastModified) {
+      return null;
+    }
+    try {
+      await this.waitForRateLimit();
+      const result = await this.httpDownloader.check(new URL(book.formats[format], this.page.url()).toString(), { etag, lastModified });
+      return result.changed ? describeChange({ etag, lastModified }, result) || 'file changed on the server' : null;
+    } catch (error) {
+      logger.debug(chalk.gray(`  ℹ️  Could not check ${book.title} (${format.toUpperCase()}) for updates: ${error.message}`));
+      return null;
+    }
+  }
+
+  async selectPending(books) {
+    logger.info(chalk.blue(`📚 Found ${books.length} books in library`));
+    this.stats.total = books.length;
+
+    // Only fetch formats that are new or missing on disk
+    const pending = [];
+    for (const book of books) {
+      book.pendingFormats = await this.getPendingFormats(book);
+      if (book.pendingFormats.length > 0) {
+        pending.push(book);
+      }
+    }
+
+    if (this.manifestDirty) {
+      await this.manifest.save();
+      this.manifestDirty = false;
+    }
+
+    // stats.skipped counts files, like downloaded and failed; this is whole books
+    const upToDate = books.length - pending.length;
+    if (upToDate > 0) {
+      logger.info(chalk.gray(`⏭️  Skipping ${upToDate} books already downloaded`));
+    }
+    for (const { title, format, profile } of this.stats.shared) {
+      logger.info(chalk.gray(`📎 ${title} (${format.toUpperCase()}) already downloaded by profile ${profile}`));
+    }
+    const updates = pending.filter(book => Object.keys(book.updateReasons).length > 0);
+    for (const book of updates) {
+      const reasons = Object.entries(book.updateReasons).map(([format, reason]) => `${format.toUpperCase()}: ${reason}`);
+      logger.info(chalk.magenta(`🆕 New release of ${book.title} (${reasons.join('; ')})`));
+    }
+    return pending;
+  }
+
+  async downloadBooks(pending) {
+    logger.success(chalk.green(`🚀 Starting download of ${pending.length} books...`));
+
+    const useHttp = this.config.downloads.mode === 'http';
+    if (useHttp) {
+      logger.info(chalk.blue('⚡ Direct HTTP mode - fetching files with the browser session'));
+    }
+
+    // Each browser worker gets its own tab in the logged-in context
+    const concurrency = Math.min(this.config.downloads.concurrency, pending.length || 1);
+    const pages = [this.page];
+    if (!useHttp) {
+      while (pages.length < concurrency) {
+        pages.push(await this.newPage());
+      }
+    }
+    if (concurrency > 1) {
+      logger.info(chalk.blue(`🧵 Using ${concurrency} parallel ${useHttp ? 'downloads' : 'browser tabs'}`));
+    }
+
+    try {
+      await runQueue(pending, async (book, index, workerId) => {
+        logger.info(chalk.cyan(`📖 Downloading book ${index + 1}/${pending.length}: ${book.title}`));
+        await this.downloadWithRetry(book, pages[workerId], useHttp);
+        // Kept current for an interrupted run; a failed write must not stop the other
+        // workers, the store is saved again when the run ends
+        await this.failureStore.save().catch(error => {
+          logger.warning(chalk.yellow(`⚠️  Could not save the failure list: ${error.message}`));
+        });
+      }, { concurrency });
+    } finally {
+      for (const page of pages.slice(1)) {
+        await page.close().catch(() => {});
+      }
+    }
+  }
+
+  // Download a book's pending formats, retrying each classified failure per the retry policy
+  async downloadWithRetry(book, page, useHttp) {
+    let formats = book.pendingFormats;
+    let savedAny = false;
+    book.startedAt = Date.now();
+
+    for (let attempt = 1; formats.length > 0; attempt++) {
+      book.attempt = attempt;
+      book.pendingFormats = formats;
+      book.savedFormats = [];
+      book.attemptFailures = [];
+
+      try {
+        if (useHttp) {
+          await this.downloadBookHttp(book);
+        } else {
+          await this.waitForRateLimit();
+          await this.downloadBook(book, page);
+        }
+      } catch (error) {
+        logger.error(chalk.red(`❌ Failed to download ${book.title}: ${error.message}`));
+        // Anything the adapter neither saved nor reported failed with this error
+        for (const format of formats) {
+          if (!book.savedFormats.includes(format) && !book.attemptFailures.some(f => f.format === format)) {
+            this.recordFailure(book, format, error);
+          }
+        }
+      }
+
+      for (const format of book.savedFormats) {
+        this.failureStore.clear(book.id, format);
+      }
+      savedAny = savedAny || book.savedFormats.length > 0;
+
+      const retry = [];
+      for (const failure of book.attemptFailures.filter(f => formats.includes(f.format))) {
+        if (this.retryPolicy.shouldRetry(failure.kind, attempt)) {
+          retry.push(failure);
+        } else {
+          this.finalizeFailure(book, failure, attempt);
+        }
+      }
+      formats = retry.map(failure => failure.format);
+      if (retry.length === 0) {
+        break;
+      }
+
+      if (retry.some(failure => failure.kind === FAILURE_KINDS.AUTH_EXPIRED)) {
+        try {
+          await this.recoverSession();
+        } catch (error) {
+          logger.error(chalk.red(`❌ Could not log in again: ${error.message}`));
+          retry.forEach(failure => this.finalizeFailure(book, failure, attempt));
+          break;
+        }
+      }
+
+      const delay = this.retryPolicy.delay(attempt);
+      const summary = retry.map(failure => `${failure.format.toUpperCase()} (${failure.kind})`).join(', ');
+      logger.info(chalk.yellow(`  🔁 Retrying ${summary} in ${Math.round(delay / 1000)}s (attempt ${attempt + 1})`));
+      await sleep(delay);
+    }
+
+    delete book.attemptFailures;
+
+    if (savedAny) {
+      await this.writeMetadata(book);
+      await this.runFileHooks(book);
+    }
+  }
+
+  // Files this run downloaded or updated, where they are now
+  savedFiles() {
+    return this.stats.items
+      .filter(item => item.status === 'downloaded' || item.status === 'updated')
+      .map(item => {
+        const entry = this.manifest.get(item.id, item.format);
+        return {
+          id: item.id,
+          title: item.title,
+          format: item.format,
+          status: item.status,
+          filePath: entry ? path.resolve(this.downloadsDir, entry.filePath) : null
+        };
+      });
+  }
+
+  // Hand the book's new files to the afterFile hooks, once they have their final names
+  async runFileHooks(book) {
+    if (!this.hooks || !this.hooks.has('afterFile')) {
+      return;
+    }
+    const record = this.toRecord(book);
+    for (const file of this.savedFiles().filter(saved => saved.id === book.id && saved.filePath)) {
+      await this.hooks.afterFile({ book: record, format: file.format, filePath: file.filePath, status: file.status });
+    }
+  }
+
+  // Files of a book recorded in the manifest, EPUB first as it has the richest metadata
+  bookFiles(book) {
+    return this.availableFormats(book)
+      .map(format => ({ format, entry: this.manifest.get(book.id, format) }))
+      // A duplicate removed by `dedupe`, or a file `verify` quarantined, has no file of its
+      // own to move or read
+      .filter(({ entry }) => entry && !entry.duplicateOf && !entry.invalid)
+      .map(({ format, entry }) => ({
+        format,
+        filePath: path.resolve(this.downloadsDir, entry.filePath),
+        serverFilename: entry.serverFilename || null
+      }))
+      .sort((a, b) => (a.format === 'epub' ? -1 : b.format === 'epub' ? 1 : 0));
+  }
+
+  // Work out the book's normalized metadata and store it with the files.
+  // The files themselves are trusted most (EPUB, then PDF), then the site's listing.
+  async writeMetadata(book) {
+    try {
+      const sources = [];
+      for (const file of this.bookFiles(book)) {
+        sources.push(await readFileMetadata(file.filePath, file.format));
+      }
+      sources.push(book.metadata || {});
+
+      book.metadata = normalizeBookRecord(book, sources);
+      await this.placeBook(book);
+    } catch (error) {
+      logger.warning(chalk.yellow(`  ⚠️  Could not write metadata for ${book.title}: ${error.message}`));
+    }
+  }
+
+  // Move a book's files to where the filename template (or Calibre layout) puts them now -
+  // the first download only knows the site's details, and `rename` changes the template -
+  // then write the JSON sidecar next to them. Returns how many files were moved.
+  async placeBook(book) {
+    let moved = 0;
+    for (const file of this.bookFiles(book)) {
+      const target = this.filePathFor(book, file.format, { ext: savedExtension(file.format, file.filePath), filename: file.serverFilename });
+      if (file.filePath !== target) {
+        await fs.move(file.filePath, target, { overwrite: true });
+        await fs.remove(`${file.filePath.slice(0, -path.extname(file.filePath).length)}.metadata.json`);
+        await this.manifest.relocate(book.id, file.format, target);
+        this.pathOwners.delete(file.filePath.toLowerCase());
+        await this.removeEmptyDirs(path.dirname(file.filePath));
+        logger.debug(chalk.gray(`  📁 Moved ${file.format.toUpperCase()} to ${path.relative(this.downloadsDir, target)}`));
+        moved++;
+      }
+    }
+
+    const files = this.bookFiles(book);
+    if (!book.metadata) {
+      // Downloaded before metadata was collected - nothing to write next to the files
+      return moved;
+    }
+    // Calibre's cover image is not a book file of its own
+    const sidecars = new Set(files
+      .filter(file => !(this.isCalibreLayout() && file.format === 'cover'))
+      .map(file => file.filePath.slice(0, -path.extname(file.filePath).length)));
+    for (const base of sidecars) {
+      await fs.writeJson(`${base}.metadata.json`, book.metadata, { spaces: 2 });
+    }
+
+    if (this.isCalibreLayout() && sidecars.size > 0) {
+      // Calibre keeps metadata.opf and the cover next to the formats
+      const bookDir = path.dirname(files[0].filePath);
+      const cover = await this.saveCover(book, bookDir);
+      await fs.writeFile(
+        path.join(bookDir, 'metadata.opf'),
+        toOpf(book.metadata, { site: this.id, cover: cover ? path.basename(cover) : null })
+      );
+    }
+    return moved;
+  }
+
+  isCalibreLayout() {
+    return this.config.downloads.layout === 'calibre';
+  }
+
+  // Take the cover from the EPUB, or fetch the one the site showed; a missing cover is not an error
+  async saveCover(book, bookDir) {
+    for (const name of CALIBRE_COVERS) {
+      const coverPath = path.join(bookDir, name);
+      if (await fs.pathExists(coverPath)) {
+        return coverPath;
+      }
+    }
+
+    const cover = book.metadata.cover || {};
+    const epub = this.bookFiles(book).find(file => file.format === 'epub');
+    if (cover.epubPath && epub) {
+      try {
+        const zip = await ZipReader.open(epub.filePath);
+        try {
+          return await this.writeCover(bookDir, await zip.read(cover.epubPath));
+        } finally {
+          await zip.close();
+        }
+      } catch (error) {
+        logger.debug(chalk.gray(`  ℹ️  Could not extract the EPUB cover: ${error.message}`));
+      }
+    }
+    if (cover.url && this.page) {
+      try {
+        const response = await this.page.request.get(new URL(cover.url, this.page.url()).toString());
+        if (response.ok()) {
+          return await this.writeCover(bookDir, await response.body());
+        }
+      } catch (error) {
+        logger.debug(chalk.gray(`  ℹ️  Could not fetch the cover: ${error.message}`));
+      }
+    }
+    return null;
+  }
+
+  // Save a cover image under the name for the kind of image it is
+  async writeCover(bookDir, image) {
+    const ext = imageExtension(image);
+    if (!ext) {
+      throw new Error('not a JPEG, PNG, GIF or WebP image');
+    }
+    const coverPath = path.join(bookDir, `cover.${ext}`);
+    await fs.writeFile(coverPath, image);
+    return coverPath;
+  }
+
+  // Remove a book folder left empty by a move, and its author folder if that is now empty too
+  async removeEmptyDirs(dir) {
+    while (dir.startsWith(this.downloadsDir) && dir !== this.downloadsDir) {
+      const remaining = (await fs.readdir(dir)).filter(name => name !== 'metadata.opf' && !CALIBRE_COVERS.includes(name));
+      if (remaining.length > 0) {
+        return;
+      }
+      await fs.remove(dir);
+      dir = path.dirname(dir);
+    }
+  }
+
+  // Log in again after the session expired mid-run; parallel workers share one attempt
+  async recoverSession() {
+    if (!this.recovering) {
+      logger.info(chalk.yellow('🔐 Session looks expired, logging in again...'));
+      this.recovering = (async () => {
+        await this.login(this.credentials.email, this.credentials.password);
+        if (this.httpDownloader) {
+          this.httpDownloader.cookies = await this.page.context().cookies();
+        }
+      })().finally(() => {
+        this.recovering = null;
+      });
+    }
+    return this.recovering;
+  }
+
+  // Wait for a token from the site's rate limiter before hitting the site again
+  async waitForRateLimit() {
+    await this.rateLimiter.acquire();
+  }
+
+  filenameOptions() {
+    return {
+      maxBytes: this.config.downloads.filenameMaxLength,
+      replaceSpaces: !this.isCalibreLayout() && this.config.downloads.replaceSpaces
+    };
+  }
+
+  // Where a book's file goes, from downloads.filenameTemplate or Calibre's
+  // Author/Title (id)/Title - Author.ext (with the cover as the folder's cover.jpg, the
+  // name Calibre looks for, or cover.png and so on when it is not a JPEG). `ext` is the file's extension when it is not the format's usual
+  // one, as for a PNG cover; `filename` the name the server sent it under, for {filename}.
+  filePathFor(book, format, { ext = null, filename = null } = {}) {
+    const fields = templateFields(book, { format, site: this.id, ext, filename });
+    let template = this.config.downloads.filenameTemplate;
+    if (this.isCalibreLayout()) {
+      template = CALIBRE_TEMPLATE;
+      fields.author = fields.author || 'Unknown';
+    }
+    let filePath = path.join(this.downloadsDir, renderFilePath(template, fields, this.filenameOptions()));
+    if (this.isCalibreLayout() && format === 'cover') {
+      filePath = path.join(path.dirname(filePath), `cover.${fields.ext}`);
+    }
+    return this.claimPath(book, filePath);
+  }
+
+  // Two books must never share a file. The path belongs to whichever book the manifest (or
+  // this run) has there first; any other book gets its id appended, so names stay stable.
+  // Paths are compared case-insensitively for macOS and Windows.
+  claimPath(book, filePath) {
+    const owner = this.pathOwners.get(filePath.toLowerCase());
+    if (owner && owner !== book.id) {
+      filePath = withSuffix(filePath, book.id, this.filenameOptions());
+    }
+    this.pathOwners.set(filePath.toLowerCase(), book.id);
+    return filePath;
+  }
+
+  // Register the files the manifest already knows about, so new books don't overwrite them
+  loadPathOwners() {
+    this.pathOwners = new Map();
+    for (const entry of this.manifest.all()) {
+      this.pathOwners.set(path.resolve(this.downloadsDir, entry.filePath).toLowerCase(), entry.bookId);
+    }
+  }
+
+  // Fetch each pending format straight from its URL, resuming any partial file from an earlier run
+  async downloadBookHttp(book) {
+    for (const format of book.pendingFormats) {
+      const url = new URL(book.formats[format], this.page.url()).toString();
+      const partialPath = path.join(this.downloadsDir, `.${this.sanitizeFilename(book.id)}.${format}.part`);
+
+      try {
+        const result = await this.fetchWithBackoff(url, partialPath, {
+          onProgress: logger.showsProgress ? progressReporter(`${format.toUpperCase()} ${book.title}`) : null
+        });
+        if (result.resumed) {
+          logger.debug(chalk.gray(`  ↪️  Resumed partial ${format.toUpperCase()} download`));
+        }
+
+        await this.storeFile(partialPath, this.filePathFor(book, format, { filename: result.filename }), book, format, url, {
+          etag: result.etag,
+          lastModified: result.lastModified,
+          filename: result.filename
+        });
+      } catch (error) {
+        logger.error(chalk.red(`  ❌ ${format.toUpperCase()} FAILED: ${error.message}`));
+        this.recordFailure(book, format, error);
+      }
+    }
+  }
+
+  // Download a file, pausing and retrying when the site answers 429/503
+  async fetchWithBackoff(url, partialPath, options) {
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit();
+      try {
+        const result = await this.httpDownloader.download(url, partialPath, options);
+        this.rateLimiter.reward();
+        return result;
+      } catch (error) {
+        if (!isThrottleStatus(error.statusCode) || attempt >= MAX_THROTTLE_RETRIES) {
+          throw error;
+        }
+        const pause = this.rateLimiter.penalize(error.retryAfter);
+        logger.warning(chalk.yellow(`  🐢 HTTP ${error.statusCode} - backing off ${Math.round(pause / 1000)}s (attempt ${attempt + 1}/${MAX_THROTTLE_RETRIES})`));
+      }
+    }
+  }
+
+  // Fetch an asset that is a plain link rather than a download button (a cover image)
+  // with the browser session, and record it in the manifest
+  async fetchAsset(book, format, page = this.page) {
+    const url = new URL(book.formats[format], page.url()).toString();
+    const response = await page.request.get(url, { timeout: this.config.browser.downloadTimeout });
+    if (!response.ok()) {
+      const kind = response.status() === 404 ? FAILURE_KINDS.LINK_MISSING : FAILURE_KINDS.NETWORK_ERROR;
+      throw new DownloadError(`HTTP ${response.status()} for ${url}`, kind);
+    }
+
+    const filename = filenameFromDisposition(response.headers()['content-disposition']);
+    const filepath = this.filePathFor(book, format, { filename });
+    const partialPath = `${filepath}.part`;
+    await fs.outputFile(partialPath, await response.body());
+    return this.storeFile(partialPath, filepath, book, format, url, { filename });
+  }
+
+  // Save a Playwright download for a book and record it in the manifest
+  async saveDownload(download, book, format, sourceUrl) {
+    // Playwright's suggested name is the Content-Disposition filename
+    const filename = download.suggestedFilename() || null;
+    const filepath = this.filePathFor(book, format, { filename });
+
+    // Save to a partial file first so an interrupted run never leaves a truncated book behind
+    const partialPath = `${filepath}.part`;
+    await download.saveAs(partialPath);
+    return this.storeFile(partialPath, filepath, book, format, sourceUrl, { filename });
+  }
+
+  // Validate a completed partial file, move it into place and record it in the manifest.
+  // Invalid files are quarantined and reported as corrupt so the retry policy re-queues them.
+  // `server` holds the ETag/Last-Modified of HTTP downloads, kept with the version markers,
+  // and the filename the file was served as, kept for {filename} when `rename` runs.
+  async storeFile(partialPath, filepath, book, format, sourceUrl, { filename = null, ...server } = {}) {
+    const check = await validateFile(partialPath, format);
+    if (!check.valid) {
+      const quarantined = await this.quarantine(partialPath, book, format);
+      throw new DownloadError(
+        `Invalid ${format.toUpperCase()}: ${check.reason} (quarantined as ${path.relative(this.downloadsDir, quarantined)})`,
+        FAILURE_KINDS.CORRUPT_FILE
+      );
+    }
+    // A cover is named after the image it is, which is only known now
+    if (check.ext && path.extname(filepath).toLowerCase() !== `.${check.ext}`) {
+      this.pathOwners.delete(filepath.toLowerCase());
+      filepath = this.filePathFor(book, format, { ext: check.ext, filename });
+    }
+
+    let version = { ...book.version };
+    for (const [key, value] of Object.entries(server)) {
+      if (value) {
+        version[key] = value;
+      }
+    }
+    version = Object.keys(version).length > 0 ? version : null;
+
+    // A new release of a book we already have: keep the old file in the version archive
+    const previous = this.manifest.get(book.id, format);
+    let history = previous ? previous.history || [] : [];
+    if (previous && previous.duplicateOf && await this.manifest.isComplete(book.id, format)) {
+      // The old release is the copy `dedupe` kept elsewhere, so there is nothing to archive
+      logger.info(chalk.gray(`  ↻ New ${format.toUpperCase()} of ${book.title} replaces a deduplicated copy`));
+    } else if (previous && await this.manifest.isComplete(book.id, format)) {
+      if (await hashFile(partialPath) === previous.hash) {
+        // Same content - only the markers moved on
+        await fs.remove(partialPath);
+        previous.version = version;
+        await this.manifest.save();
+        this.stats.skipped++;
+        logger.info(chalk.gray(`  ↔️  ${format.toUpperCase()} of ${book.title} is unchanged`));
+        this.recordItem(book, format, 'skipped', { reason: 'new release has the same content', bytes: previous.size, file: previous.filePath });
+        if (book.savedFormats) {
+          book.savedFormats.push(format);
+        }
+        return previous;
+      }
+
+      const reason = (book.updateReasons && book.updateReasons[format]) || 'content changed';
+      const archived = await this.versionArchive.archive(previous, this.sanitizeFilename(book.id), reason);
+      this.pathOwners.delete(path.resolve(this.downloadsDir, previous.filePath).toLowerCase());
+      history = [...history, {
+        hash: previous.hash,
+        size: previous.size,
+        version: previous.version || null,
+        downloadedAt: previous.downloadedAt,
+        archivedPath: path.relative(this.downloadsDir, archived)
+      }];
+      this.stats.updated.push({ id: book.id, title: book.title, format, reason });
+      logger.info(chalk.magenta(`  🗄️  Archived previous ${format.toUpperCase()} as ${path.relative(this.downloadsDir, archived)}`));
+    }
+
+    await fs.move(partialPath, filepath, { overwrite: true });
+    logger.success(chalk.green(`✅ Saved: ${path.basename(filepath)}`));
+
+    const entry = await this.manifest.record({
+      bookId: book.id,
+      title: book.title,
+      format,
+      sourceUrl,
+      filePath: filepath,
+      validated: true,
+      version,
+      history,
+      serverFilename: filename
+    });
+    this.stats.downloaded++;
+    const updated = this.stats.updated.find(update => update.id === book.id && update.format === format);
+    this.recordItem(book, format, updated ? 'updated' : 'downloaded', {
+      reason: updated ? updated.reason : null,
+      bytes: entry.size,
+      file: entry.filePath
+    });
+    if (book.savedFormats) {
+      book.savedFormats.push(format);
+    }
+    return entry;
+  }
+
+  async quarantine(filePath, book, format) {
+    const quarantineDir = path.join(this.downloadsDir, QUARANTINE_DIRNAME);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const target = path.join(quarantineDir, `${this.sanitizeFilename(book.id)}.${format}.${stamp}`);
+    await fs.move(filePath, target, { overwrite: true });
+    await fs.remove(`${filePath}.json`);
+    logger.error(chalk.red(`  🧪 Quarantined invalid ${format.toUpperCase()}: ${path.basename(target)}`));
+    return target;
+  }
+
+  // Report a failed format; `error` is an Error (classified via classifyError) or a message
+  recordFailure(book, format, error) {
+    const failure = {
+      format: format.toLowerCase(),
+      kind: typeof error === 'string' ? FAILURE_KINDS.UNKNOWN : classifyError(error),
+      reason: typeof error === 'string' ? error : error.message
+    };
+
+    if (book.attemptFailures) {
+      book.attemptFailures.push(failure);
+    } else {
+      this.finalizeFailure(book, failure, 1);
+    }
+  }
+
+  // Give up on a format for this run and remember it for `retry-failed`
+  finalizeFailure(book, { format, kind, reason }, attempts) {
+    this.stats.failed++;
+    this.stats.failures.push({ id: book.id, title: book.title, format, kind, reason, attempts });
+    this.recordItem(book, format, 'failed', { reason: `[${kind}] ${reason}`, attempts });
+    if (this.failureStore) {
+      this.failureStore.add({
+        bookId: book.id,
+        title: book.title,
+        format,
+        kind,
+        reason,
+        attempts,
+        sourceUrl: book.formats ? book.formats[format] : null
+      });
+    }
+  }
+
+  // One line of the run's report: what happened to this format of the book, and why
+  recordItem(book, format, status, { reason = null, bytes = null, file = null, attempts = book.attempt || null } = {}) {
+    if (!this.stats || !this.stats.items) {
+      return;
+    }
+    this.stats.items.push({
+      id: book.id,
+      title: book.title,
+      format,
+      status,
+      reason,
+      bytes,
+      durationMs: book.startedAt ? Date.now() - book.startedAt : null,
+      attempts,
+      file
+    });
+  }
+
+  sanitizeFilename(filename) {
+    return sanitizeSegment(filename, { maxBytes: this.config ? this.config.downloads.filenameMaxLength : 255 });
+  }
+}
+
+module.exports = { SiteAdapter, REQUIRED_METHODS };
@@ -1,91 +1,213 @@
 #!/usr/bin/env node
 
-const readline = require('readline');
 const chalk = require('chalk');
+const inquirer = require('inquirer');
 const path = require('path');
-const fs = require('fs-extra');
+const logger = require('./utils/logger');
+const { loadConfig, parseSetOverrides, ConfigError } = require('./utils/config');
+const { AuthError } = require('./utils/errors');
+const { parseArgs, UsageError, EXIT_CODES, USAGE } = require('./cli');
+const { discoverSites } = require('./core/registry');
+const { selectProfiles, applyProfile, SharedLibrary } = require('./core/profiles');
+
+// Every adapter in src/sites/ is picked up automatically
+const SUPPORTED_SITES = discoverSites();
+
+// Use --site if given, otherwise the only site, otherwise ask on a terminal
+async function chooseSite(args) {
+  const siteKeys = Object.keys(SUPPORTED_SITES);
+
+  if (args.site) {
+    if (!SUPPORTED_SITES[args.site]) {
+      throw new UsageError(`Unsupported site "${args.site}" - expected one of: ${siteKeys.join(', ')}`);
+    }
+    return args.site;
+  }
+  if (siteKeys.length === 1) {
+    return siteKeys[0];
+  }
+  if (!process.stdin.isTTY || args.yes) {
+    throw new UsageError(`--site is required - one of: ${siteKeys.join(', ')}`);
+  }
 
-// Import site downloaders
-const manningDownloader = require('./sites/manning');
+  const { site } = await inquirer.prompt([{
+    type: 'list',
+    name: 'site',
+    message: 'Select the site:',
+    choices: siteKeys.map(key => ({ name: SUPPORTED_SITES[key].name, value: key }))
+  }]);
+  return site;
+}
 
-const SUPPORTED_SITES = {
-  'manning': {
-    name: 'Manning Publications',
-    downloader: manningDownloader
+// --quiet, --verbose and --json, which apply before the config is even loaded
+function loggingOverrides(args) {
+  const logging = {};
+  if (args.quiet) {
+    logging.level = 'quiet';
   }
-};
+  if (args.verbose) {
+    logging.level = 'verbose';
+  }
+  if (args.json) {
+    logging.format = 'json';
+  }
+  return logging;
+}
 
-// Simple input helper using readline
-function askQuestion(question, hideInput = false) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+// Map the command-line flags onto config overrides, on top of any --set values
+function buildOverrides(args, site) {
+  const overrides = parseSetOverrides(args.set);
+  overrides.logging = { ...overrides.logging, ...loggingOverrides(args) };
+  if (args.headless) {
+    overrides.browser = { ...overrides.browser, headless: true };
+  }
+  if (args.out) {
+    overrides.downloads = { ...overrides.downloads, baseDir: path.resolve(args.out) };
+  }
+  if (args.mode) {
+    overrides.downloads = { ...overrides.downloads, mode: args.mode };
+  }
+  if (args.concurrency) {
+    overrides.downloads = { ...overrides.downloads, concurrency: args.concurrency };
+  }
+  if (args.layout) {
+    overrides.downloads = { ...overrides.downloads, layout: args.layout };
+  }
+  if (args.template) {
+    overrides.downloads = { ...overrides.downloads, filenameTemplate: args.template };
+  }
+  if (args.schedule) {
+    overrides.watch = { ...overrides.watch, schedule: args.schedule };
+  }
+  if (args.report) {
+    overrides.reports = { ...overrides.reports, formats: args.report };
+  }
+  if (args.formats) {
+    overrides.sites = overrides.sites || {};
+    overrides.sites[site] = { ...overrides.sites[site], downloadFormats: args.formats };
+  }
+  return overrides;
+}
 
-  return new Promise((resolve) => {
-    if (hideInput) {
-      // Hide password input
-      rl.stdoutMuted = true;
-      rl._writeToOutput = function _writeToOutput(stringToWrite) {
-        if (rl.stdoutMuted) {
-          rl.output.write('*');
-        } else {
-          rl.output.write(stringToWrite);
-        }
-      };
-    }
+function siteDownloadsDir(config, siteKey) {
+  return config.downloads.createSiteSubfolders
+    ? path.join(config.downloads.baseDir, siteKey)
+    : config.downloads.baseDir;
+}
 
-    rl.question(question, (answer) => {
-      rl.close();
-      if (hideInput) console.log(); // New line after password
-      resolve(answer.trim());
-    });
-  });
+// The worst outcome of several profile runs decides the exit code
+const EXIT_SEVERITY = [EXIT_CODES.SUCCESS, EXIT_CODES.PARTIAL, EXIT_CODES.AUTH, EXIT_CODES.ERROR];
+
+function worstExitCode(codes) {
+  return codes.reduce((worst, code) => (EXIT_SEVERITY.indexOf(code) > EXIT_SEVERITY.indexOf(worst) ? code : worst), EXIT_CODES.SUCCESS);
 }
 
-async function main() {
-  console.log(chalk.blue.bold('\n📚 Automated Ebook Downloader\n'));
+// Run the command once per profile. A failing profile doesn't stop the others; with
+// --all-profiles, sync skips books another profile has already downloaded.
+async function runProfiles({ args, siteKey, site, config, command, profiles }) {
+  const runs = profiles.map(profile => {
+    const profiled = applyProfile(config, siteKey, profile);
+    return { profile, config: profiled, downloadsDir: siteDownloadsDir(profiled, siteKey) };
+  });
 
-  try {
-    // For now, default to Manning (can be extended later)
-    const site = 'manning';
-    console.log(chalk.cyan(`Selected site: ${SUPPORTED_SITES[site].name}\n`));
-
-    // Get credentials
-    const email = await askQuestion('Enter your email: ');
-    if (!email.includes('@')) {
-      throw new Error('Please enter a valid email address');
+  const codes = [];
+  for (const current of runs) {
+    logger.info(chalk.blue.bold(`\n👤 Profile ${current.profile.name}${current.profile.email ? ` (${current.profile.email})` : ''}`));
+
+    try {
+      const others = runs
+        .filter(other => other !== current)
+        .map(other => ({ name: other.profile.name, downloadsDir: other.downloadsDir, site: siteKey }));
+      const sharedLibrary = args['all-profiles'] ? await SharedLibrary.load(others) : null;
+
+      codes.push(await command.run({
+        args,
+        siteKey,
+        site,
+        adapter: site.create(),
+        config: current.config,
+        downloadsDir: current.downloadsDir,
+        sharedLibrary
+      }));
+    } catch (error) {
+      if (error instanceof UsageError || error instanceof ConfigError) {
+        throw error;
+      }
+      const code = error instanceof AuthError ? EXIT_CODES.AUTH : EXIT_CODES.ERROR;
+      logger.error(chalk.red.bold(`\n❌ Profile ${current.profile.name} failed: ${error.message}`), error);
+      codes.push(code);
     }
+  }
 
-    const password = await askQuestion('Enter your password: ', true);
-    if (!password) {
-      throw new Error('Password cannot be empty');
+  if (runs.length > 1) {
+    const failed = runs.filter((_, i) => codes[i] !== EXIT_CODES.SUCCESS).map(run => run.profile.name);
+    if (failed.length > 0) {
+      logger.warning(chalk.yellow.bold(`\n⚠️  ${runs.length - failed.length}/${runs.length} profiles completed; check: ${failed.join(', ')}`));
+    } else {
+      logger.result(chalk.green.bold(`\n✅ All ${runs.length} profiles completed`));
     }
+  }
+  return worstExitCode(codes);
+}
 
-    // Create downloads directory
-    const downloadsDir = path.join(__dirname, '..', 'downloads', site);
-    await fs.ensureDir(downloadsDir);
+async function main(argv = process.argv.slice(2)) {
+  try {
+    const args = parseArgs(argv);
+    if (args.help) {
+      console.log(USAGE);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    logger.configure(loggingOverrides(args));
+    logger.info(chalk.blue.bold('\n📚 Automated Ebook Downloader\n'));
 
-    console.log(chalk.green(`\n🚀 Starting download from ${SUPPORTED_SITES[site].name}...\n`));
+    const siteKey = await chooseSite(args);
+    const site = SUPPORTED_SITES[siteKey];
+    logger.info(chalk.cyan(`Selected site: ${site.name}\n`));
 
-    // Run the appropriate downloader
-    await SUPPORTED_SITES[site].downloader.download({
-      email,
-      password,
-      downloadsDir
+    const config = loadConfig({
+      configPath: args.config,
+      overrides: buildOverrides(args, siteKey)
     });
+    logger.configure(config.logging);
+    logger.debug(chalk.gray(`Run ${logger.runId}, logging to ${logger.logFile}`));
+
+    const command = require(`./commands/${args.command}`);
+    const profiles = selectProfiles(config, siteKey, args);
+    if (profiles.length > 0) {
+      return await runProfiles({ args, siteKey, site, config, command, profiles });
+    }
 
-    console.log(chalk.green.bold('\n✅ Download completed successfully!'));
-    console.log(chalk.cyan(`📁 Files saved to: ${downloadsDir}`));
+    const adapter = site.create();
+    return await command.run({ args, siteKey, site, adapter, config, downloadsDir: siteDownloadsDir(config, siteKey) });
 
   } catch (error) {
-    console.error(chalk.red.bold('\n❌ Error occurred:'), error.message);
-    process.exit(1);
+    if (error instanceof UsageError) {
+      logger.error(chalk.red.bold(`\n❌ ${error.message}`));
+      if (logger.format === 'text') {
+        console.error(`\n${USAGE}`);
+      }
+      return EXIT_CODES.USAGE;
+    }
+    if (error instanceof ConfigError) {
+      logger.error(chalk.red.bold(`\n❌ Configuration error: ${error.message}`));
+      return EXIT_CODES.USAGE;
+    }
+    if (error instanceof AuthError) {
+      logger.error(chalk.red.bold(`\n❌ Login failed: ${error.message}`));
+      return EXIT_CODES.AUTH;
+    }
+    logger.error(chalk.red.bold(`\n❌ Error occurred: ${error.message}`), error);
+    return EXIT_CODES.ERROR;
   }
 }
 
 if (require.main === module) {
-  main();
+  // Let queued log file writes finish before exiting
+  main().then(async code => {
+    await logger.flush();
+    process.exit(code);
+  });
 }
 
-module.exports = { main };
+module.exports = { main, SUPPORTED_SITES };
@@ -1,234 +1,207 @@
-const { chromium } = require('playwright');
-const path = require('path');
-const fs = require('fs-extra');
 const chalk = require('chalk');
+const logger = require('../utils/logger');
+const { SiteAdapter } = require('../core/site-adapter');
+const { AuthError, DownloadError, FAILURE_KINDS } = require('../utils/errors');
+const { splitAuthors, parseEdition } = require('../utils/metadata');
+const { ASSET_FORMATS, assetLabel, assetEmoji, assetForContentType } = require('../utils/assets');
+const { LoginPage, DashboardPage } = require('./manning/pages');
 
-class ManningDownloader {
-  constructor() {
-    this.browser = null;
-    this.page = null;
-    this.downloadsDir = null;
-  }
+const DEFAULT_DASHBOARD_URL = 'https://www.manning.com/dashboard';
 
-  async download({ email, password, downloadsDir }) {
-    this.downloadsDir = downloadsDir;
-    
-    try {
-      // Launch browser
-      console.log(chalk.blue('🌐 Launching browser...'));
-      this.browser = await chromium.launch({ 
-        headless: false, // Show browser for debugging
-        downloadPath: this.downloadsDir
-      });
-      
-      const context = await this.browser.newContext({
-        acceptDownloads: true,
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      });
-      this.page = await context.newPage();
+// Dates as the dashboard prints them: "Mar 3, 2024", "2024-03-03" or "3/3/2024"
+const DATE_SOURCE = '([A-Za-z]{3,9}\\.?\\s+\\d{1,2},?\\s+\\d{4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\/\\d{1,2}\\/\\d{4})';
 
-      // Login
-      await this.login(email, password);
-      
-      // Navigate to dashboard/library
-      await this.navigateToLibrary();
-      
-      // Get all books
-      const books = await this.getBooksList();
-      await this.downloadBooks(books);
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Error during download:'), error.message);
-      throw error;
-    } finally {
-      if (this.browser) {
-        await this.browser.close();
-      }
+function parseRowDate(text) {
+  const date = new Date(`${text.replace('.', '')} UTC`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+// How the dashboard names each downloadable asset - in the downloadFormat parameter, the
+// link text or the label of its dropdown. The cover comes from the row's image instead.
+const ASSET_PATTERNS = {
+  pdf: /\bpdf\b/i,
+  epub: /\bepub\b/i,
+  kindle: /\b(?:kindle|mobi|azw3?)\b/i,
+  code: /\b(?:source[ -]?code|code)\b/i
+};
+
+function matchAsset(text) {
+  return Object.keys(ASSET_PATTERNS).find(format => ASSET_PATTERNS[format].test(text)) || null;
+}
+
+// Which asset a row link is, or null for extras we don't download (liveBook, errata...).
+// A downloadFormat parameter decides on its own; otherwise the link's wording, then its
+// dropdown's label, then the URL.
+function classifyAsset({ href, text, menu }) {
+  const param = (href.match(/[?&]downloadFormat=([^&#]+)/i) || [])[1];
+  if (param) {
+    return matchAsset(param);
+  }
+  // A product page's slug ("/books/clean-code") says nothing about the link itself
+  for (const source of [text, menu, /download/i.test(href) ? href : null]) {
+    const format = source ? matchAsset(source) : null;
+    if (format) {
+      return format;
     }
   }
+  return null;
+}
 
-  async downloadBooks(books) {
-    console.log(chalk.blue(`📚 Found ${books.length} books to download`));
-    console.log(chalk.green(`🚀 Starting full download of all books...`));
-    
-    for (let i = 0; i < books.length; i++) {
-      const book = books[i];
-      console.log(chalk.cyan(`📖 Downloading book ${i + 1}/${books.length}: ${book.title}`));
-      
-      // Debug: Show what URLs we have for this book
-      console.log(chalk.gray(`  🔗 PDF URL: ${book.pdfUrl || 'None'}`));
-      console.log(chalk.gray(`  🔗 EPUB URL: ${book.epubUrl || 'None'}`));
-      
-      // Download both formats for this book without refreshing page
-      await this.downloadBookFormats(book);
-      
-      // Small delay between books
-      await this.page.waitForTimeout(800);
+class ManningDownloader extends SiteAdapter {
+  constructor() {
+    super({ id: ManningDownloader.id, name: ManningDownloader.siteName });
+  }
+
+  configure(config) {
+    super.configure(config);
+    this.dashboardUrl = this.siteConfig.dashboardUrl || DEFAULT_DASHBOARD_URL;
+    this.loginUrl = this.siteConfig.loginUrl || this.dashboardUrl;
+  }
+
+  getBookId(book) {
+    // The Manning product id is the most stable key for a book: rows and download links carry it
+    if (book.productId) {
+      return book.productId;
+    }
+    for (const url of [...Object.values(book.formats || {}), book.metadata && book.metadata.productUrl]) {
+      const match = url && url.match(/productId=([^&]+)/);
+      if (match) {
+        return match[1];
+      }
     }
+    return book.slug || this.sanitizeFilename(book.title).toLowerCase();
   }
 
-  async downloadBookFormats(book) {
-    // Navigate to dashboard once per book
-    await this.page.goto('https://www.manning.com/dashboard');
-    await this.page.waitForTimeout(2000);
-    await this.page.waitForSelector('#productTable tbody tr', { timeout: 8000 });
+  async downloadBook(book, page = this.page) {
+    const pendingFormats = book.pendingFormats;
     
-    // Get the book row
-    const bookRows = await this.page.locator('table tbody tr').all();
-    if (book.index >= bookRows.length) {
-      console.log(chalk.yellow(`⚠️  Book index ${book.index} out of range`));
+    // Navigate to dashboard once per book and find its row by product id - the table's
+    // order can change between discovery and now
+    const dashboard = new DashboardPage(page, this.dashboardUrl);
+    await dashboard.open();
+    const row = await dashboard.findRow(book.id, { timeout: this.config.browser.timeout });
+    if (!row) {
+      logger.warning(chalk.yellow(`⚠️  No row for product ${book.id} (${book.title}) on the dashboard`));
+      for (const format of pendingFormats) {
+        this.recordFailure(book, format, new DownloadError('Book row not found on dashboard', FAILURE_KINDS.LINK_MISSING));
+      }
       return;
     }
-    const row = bookRows[book.index];
-    
-    // Track which dropdown was used for PDF
-    let usedDropdownIndex = -1;
     
-    // Download PDF if available
-    if (book.hasPdf && book.pdfUrl) {
-      console.log(chalk.blue(`  📄 Downloading PDF: ${book.title}`));
-      const result = await this.downloadFormatFromRow(book, 'PDF', row, usedDropdownIndex);
-      if (result && result.success) {
-        usedDropdownIndex = result.dropdownIndex;
-        console.log(chalk.green(`  📄 PDF SUCCESS (used dropdown ${usedDropdownIndex + 1})`));
-      } else {
-        console.log(chalk.red(`  📄 PDF FAILED`));
+    // Each asset in turn from the same row, without reloading. A dropdown that gave one
+    // format is not searched again for the next.
+    const usedDropdowns = [];
+    for (const [i, format] of pendingFormats.entries()) {
+      const label = assetLabel(format);
+      const emoji = assetEmoji(format);
+      logger.info(chalk.blue(`  ${emoji} Downloading ${label}: ${book.title}`));
+
+      // Every file after the first still counts against the site's rate limit
+      if (i > 0) {
+        await this.waitForRateLimit();
       }
-    }
-    
-    // Download EPUB if available (using same row, no refresh, but different dropdown)
-    if (book.hasEpub && book.epubUrl) {
-      console.log(chalk.blue(`  📱 Downloading EPUB: ${book.title}`));
-      
+
       try {
-        const result = await this.downloadFormatFromRow(book, 'EPUB', row, usedDropdownIndex);
-        if (result && result.success) {
-          console.log(chalk.green(`  📱 EPUB SUCCESS`));
+        if (format === 'cover') {
+          // The row's image, not a download button
+          await this.fetchAsset(book, format, page);
+          logger.success(chalk.green(`  ${emoji} ${label} SUCCESS`));
         } else {
-          console.log(chalk.red(`  📱 EPUB FAILED`));
+          const result = await this.downloadFormatFromRow(book, format, row, usedDropdowns, page);
+          usedDropdowns.push(result.dropdownIndex);
+          logger.success(chalk.green(`  ${emoji} ${label} SUCCESS (used dropdown ${result.dropdownIndex + 1})`));
         }
-      } catch (epubError) {
-        console.log(chalk.red(`  📱 EPUB FAILED: ${epubError.message}`));
+      } catch (error) {
+        this.recordFailure(book, format, error);
+        logger.error(chalk.red(`  ${emoji} ${label} FAILED: ${error.message}`));
       }
-      
-      // Add delay between PDF and EPUB downloads
-      await this.page.waitForTimeout(1000);
     }
   }
 
   async login(email, password) {
-    console.log(chalk.blue('🔐 Starting login process...'));
-    
-    // Try to load existing cookies first
-    const cookiesPath = 'manning-cookies.json';
+    logger.info(chalk.blue('🔐 Starting login process...'));
     
+    // Try the saved (encrypted) session first
     try {
-      if (await fs.pathExists(cookiesPath)) {
-        const cookiesData = await fs.readFile(cookiesPath, 'utf8');
-        const cookies = JSON.parse(cookiesData);
-        
-        console.log(chalk.blue(`🍪 Loading ${cookies.length} saved cookies...`));
-        await this.page.context().addCookies(cookies);
-        
+      if (await this.restoreSession()) {
         // Test if cookies are still valid
-        await this.page.goto('https://www.manning.com/dashboard');
-        await this.page.waitForTimeout(3000);
+        const dashboard = new DashboardPage(this.page, this.dashboardUrl);
+        await dashboard.open();
+        await dashboard.waitForSession(this.config.browser.timeout);
         
-        const isLoggedIn = await this.page.locator('table').count() > 0;
-        if (isLoggedIn) {
-          console.log(chalk.green('✅ Login successful using saved cookies!'));
+        if (await dashboard.isLoggedIn()) {
+          logger.success(chalk.green('✅ Login successful using saved session!'));
+          await this.saveSession();
           return;
         } else {
-          console.log(chalk.yellow('⚠️  Saved cookies are expired, proceeding with manual login'));
+          logger.warning(chalk.yellow('⚠️  Saved session has expired, proceeding with manual login'));
         }
       }
     } catch (error) {
-      console.log(chalk.yellow('⚠️  Could not load saved cookies, proceeding with manual login'));
+      logger.warning(chalk.yellow('⚠️  Could not restore saved session, proceeding with manual login'));
     }
     
     // Manual login if cookies failed or don't exist
-    console.log(chalk.blue('🔐 Logging in with credentials...'));
-    
-    // Navigate to login page
-    await this.page.goto('https://www.manning.com/dashboard');
-    
-    // Wait for login form
-    await this.page.waitForSelector('input[type="email"], input[name="email"], [data-testid="email"], textbox', { timeout: 10000 });
-    
-    // Fill login form - try multiple selectors
-    try {
-      await this.page.fill('input[type="email"]', email);
-    } catch {
-      try {
-        await this.page.fill('input[name="email"]', email);
-      } catch {
-        await this.page.fill('textbox >> nth=0', email);
-      }
-    }
-    
-    try {
-      await this.page.fill('input[type="password"]', password);
-    } catch {
-      try {
-        await this.page.fill('input[name="password"]', password);
-      } catch {
-        await this.page.fill('textbox >> nth=1', password);
-      }
+    if (!email || !password) {
+      throw new AuthError('No valid saved session and no credentials provided');
     }
+    logger.info(chalk.blue('🔐 Logging in with credentials...'));
     
-    // Click login button
-    await this.page.click('button:has-text("log in now"), input[type="submit"], button[type="submit"]');
+    // Navigate to login page and fill in the form
+    const loginPage = new LoginPage(this.page, this.loginUrl);
+    await loginPage.open();
+    await loginPage.logIn(email, password);
     
     // Wait for successful login (dashboard page)
-    await this.page.waitForURL('**/dashboard**', { timeout: 15000 });
+    try {
+      await loginPage.waitForDashboard();
+    } catch (error) {
+      throw new AuthError('Login failed - check your email and password');
+    }
     
-    // Save new cookies for future use
-    const cookies = await this.page.context().cookies();
-    const cookiesJson = JSON.stringify(cookies, null, 2);
-    await fs.writeFile(cookiesPath, cookiesJson);
-    console.log(chalk.blue(`🍪 Saved ${cookies.length} cookies for future use`));
+    // Save the session for future runs
+    await this.saveSession();
     
-    console.log(chalk.green('✅ Successfully logged in'));
+    logger.success(chalk.green('✅ Successfully logged in'));
   }
 
   async navigateToLibrary() {
-    console.log(chalk.blue('📚 Navigating to library...'));
-    
-    // Manning dashboard should already be loaded after login
-    await this.page.waitForURL('**/dashboard**', { timeout: 10000 });
-    
-    // Wait for the main products header to appear
-    await this.page.waitForSelector('.your-products', { timeout: 15000 });
-    console.log(chalk.green('✓ Products header found'));
+    logger.info(chalk.blue('📚 Navigating to library...'));
     
-    // Wait for the product table structure to be created
-    await this.page.waitForSelector('#productTable', { timeout: 10000 });
-    console.log(chalk.green('✓ Product table found'));
-    
-    // Wait for AJAX content to load - Manning loads books dynamically
-    console.log(chalk.yellow('⏳ Waiting for books to load via AJAX...'));
-    await this.page.waitForTimeout(8000);
+    // Manning dashboard should already be loaded after login, with the products header
+    // and the (still empty) product table
+    await new DashboardPage(this.page, this.dashboardUrl).waitForLibrary();
+    logger.debug(chalk.green('✓ Product table found'));
   }
 
   async getBooksList() {
-    console.log(chalk.blue('🔍 Discovering books...'));
-    
-    // Wait for books to load via AJAX - Manning loads content dynamically
-    console.log(chalk.yellow('⏳ Waiting for AJAX content to load...'));
-    await this.page.waitForTimeout(10000);
+    logger.info(chalk.blue('🔍 Discovering books...'));
     
-    // Wait for the product table to be populated
+    // Books arrive via AJAX in batches as the table is scrolled - load them all, or with
+    // --id just until those books are there
+    const dashboard = new DashboardPage(this.page, this.dashboardUrl);
+    const wantedIds = this.selection ? this.selection.ids : [];
+    let loaded;
     try {
-      await this.page.waitForSelector('#productTable tbody tr', { timeout: 30000 });
+      loaded = await dashboard.loadAllRows({
+        timeout: this.config.browser.timeout,
+        until: wantedIds.length > 0 ? () => dashboard.hasRows(wantedIds) : null,
+        onBatch: count => logger.info(chalk.gray(`  📜 Loaded ${count} books so far...`))
+      });
     } catch (error) {
-      console.log(chalk.red('❌ No books found in table, taking screenshot...'));
+      logger.warning(chalk.red('❌ No books found in table, taking screenshot...'));
       await this.page.screenshot({ path: 'debug-no-books.png', fullPage: true });
       throw new Error('No books found in dashboard table');
     }
+    if (loaded.timedOut) {
+      logger.warning(chalk.yellow(`⚠️  The library stopped loading after ${loaded.count} books - later books are missing from this run`));
+    }
+    // Only a full walk of the library can be compared with its size
+    const expected = loaded.complete ? await dashboard.expectedCount() : null;
     
-    // Get all book rows from the table - Manning uses dynamic loading
-    const bookRows = await this.page.locator('#productTable tbody tr').all();
-    console.log(chalk.green(`Found ${bookRows.length} rows in product table`));
+    // Get all book rows from the table
+    const bookRows = await dashboard.rows();
+    logger.debug(chalk.green(`Found ${bookRows.length} rows in product table`));
     
     let books = [];
     
@@ -236,18 +209,18 @@ class ManningDownloader {
       const row = bookRows[i];
       try {
         // Skip loading rows or empty rows
-        const isLoadingRow = await row.locator('.infinite-scroll-loading').count() > 0;
-        if (isLoadingRow) {
-          console.log(chalk.yellow(`⏳ Skipping loading row ${i}`));
+        if (await row.isLoading()) {
+          logger.debug(chalk.yellow(`⏳ Skipping loading row ${i}`));
           continue;
         }
         
         // Extract book title - Manning puts title in first cell
         let title = `Book ${i + 1}`;
+        let slug = null;
         
         try {
           // Extract title from the href URL - this is the most reliable method
-          const bookLink = await row.locator('td:first-child a[href*="/books/"]').first();
+          const bookLink = row.bookLink();
           if (await bookLink.count() > 0) {
             const href = await bookLink.getAttribute('href');
             if (href && href.includes('/books/')) {
@@ -255,12 +228,13 @@ class ManningDownloader {
               const urlParts = href.split('/books/');
               if (urlParts.length > 1) {
                 const bookSlug = urlParts[1].split('/')[0];
+                slug = bookSlug;
                 // Convert slug to readable title
                 title = bookSlug
                   .replace(/-/g, ' ')
                   .replace(/\b\w/g, l => l.toUpperCase())
                   .trim();
-                console.log(chalk.green(`  ✅ Found title from URL: "${title}"`));
+                logger.debug(chalk.green(`  ✅ Found title from URL: "${title}"`));
               }
             }
           }
@@ -268,18 +242,18 @@ class ManningDownloader {
           // If no clean title found, try to extract from the image alt text or other attributes
           if (title === `Book ${i + 1}`) {
             // Try image alt text first
-            const bookImage = await row.locator('td:first-child img').first();
+            const bookImage = row.image();
             if (await bookImage.count() > 0) {
               const altText = await bookImage.getAttribute('alt');
               if (altText && altText.trim() && altText.length > 3) {
                 title = altText.trim();
-                console.log(chalk.green(`  📖 Found title from image alt: "${title}"`));
+                logger.debug(chalk.green(`  📖 Found title from image alt: "${title}"`));
               }
             }
             
             // If still no title, try href attribute of the link
             if (title === `Book ${i + 1}`) {
-              const bookLink = await row.locator('td:first-child a').first();
+              const bookLink = row.firstCellLink();
               if (await bookLink.count() > 0) {
                 const href = await bookLink.getAttribute('href');
                 if (href && href.includes('/book/')) {
@@ -287,8 +261,9 @@ class ManningDownloader {
                   const urlParts = href.split('/book/');
                   if (urlParts.length > 1) {
                     const bookSlug = urlParts[1].split('/')[0];
+                    slug = bookSlug;
                     title = bookSlug.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-                    console.log(chalk.green(`  📖 Found title from URL: "${title}"`));
+                    logger.debug(chalk.green(`  📖 Found title from URL: "${title}"`));
                   }
                 }
               }
@@ -296,98 +271,55 @@ class ManningDownloader {
           }
           
         } catch (titleError) {
-          console.log(chalk.yellow(`⚠️  Error extracting title for row ${i}: ${titleError.message}`));
+          logger.warning(chalk.yellow(`⚠️  Error extracting title for row ${i}: ${titleError.message}`));
         }
-        console.log(chalk.cyan(`📖 Processing: ${title.trim()}`));
-        
-        // Look for download buttons/links - Manning may use various patterns
-        let hasPdf = false;
-        let hasEpub = false;
-        let pdfUrl = null;
-        let epubUrl = null;
-        
-        // Manning uses specific patterns - look for download elements in the last columns
-        // The download buttons are typically in the rightmost cells
-        const downloadCells = await row.locator('td').all();
+
+        // The row's own text beats the slug: it has the real title, subtitle and authors
+        const metadata = await this.scrapeRowMetadata(row);
+        if (metadata.title) {
+          title = metadata.title;
+        }
+        logger.debug(chalk.cyan(`📖 Processing: ${title.trim()}`));
         
-        // Check each cell for download links/buttons
-        for (const cell of downloadCells) {
-          const cellLinks = await cell.locator('a').all();
-          
-          for (const link of cellLinks) {
-            const href = await link.getAttribute('href') || '';
-            const className = await link.getAttribute('class') || '';
-            const title = await link.getAttribute('title') || '';
-            const ariaLabel = await link.getAttribute('aria-label') || '';
-            
-            // Manning might use data attributes or specific URL patterns
-            const allAttributes = [href, className, title, ariaLabel].join(' ').toLowerCase();
-            
-            // Look for PDF indicators
-            if (allAttributes.includes('pdf') || href.includes('/pdf/') || href.includes('.pdf') || href.includes('downloadFormat=PDF')) {
-              hasPdf = true;
-              pdfUrl = href;
-              console.log(chalk.green(`  ✓ Found PDF link - href: ${href}`));
-            }
-            
-            // Look for EPUB indicators  
-            if (allAttributes.includes('epub') || href.includes('/epub/') || href.includes('.epub') || href.includes('downloadFormat=EPUB')) {
-              hasEpub = true;
-              epubUrl = href;
-              console.log(chalk.green(`  ✓ Found EPUB link - href: ${href}`));
-            }
-            
-            // Look for generic download links that might lead to format selection
-            if (href.includes('/download') && href.includes('productId=')) {
-              // This is a Manning download link - determine format from URL
-              if (href.includes('downloadFormat=PDF') && !pdfUrl) {
-                hasPdf = true;
-                pdfUrl = href;
-                console.log(chalk.green(`  ✓ Found PDF download - href: ${href}`));
-              } else if (href.includes('downloadFormat=EPUB') && !epubUrl) {
-                hasEpub = true;
-                epubUrl = href;
-                console.log(chalk.green(`  ✓ Found EPUB download - href: ${href}`));
-              } else if (!href.includes('downloadFormat=')) {
-                // Generic download link - assume both formats available
-                if (!pdfUrl) {
-                  hasPdf = true;
-                  pdfUrl = href;
-                  console.log(chalk.yellow(`  ? Found potential PDF download - href: ${href}`));
-                }
-                if (!epubUrl) {
-                  hasEpub = true;
-                  epubUrl = href;
-                  console.log(chalk.yellow(`  ? Found potential EPUB download - href: ${href}`));
-                }
-              }
-            }
+        // Every link in the row's dropdowns, sorted into the assets of utils/assets.js
+        const found = {};
+        const extras = [];
+        const unresolved = [];
+        for (const asset of await row.downloadAssets()) {
+          const format = classifyAsset(asset);
+          if (format && !found[format]) {
+            found[format] = asset.href;
+            logger.debug(chalk.green(`  ✓ Found ${assetLabel(format)} link - href: ${asset.href}`));
+          } else if (!format && asset.href.includes('/download') && asset.href.includes('productId=') && !/downloadFormat=/i.test(asset.href)) {
+            // Its wording and its dropdown's label don't say what it is - the server will
+            unresolved.push(asset);
+          } else if (!format) {
+            extras.push(asset.text || asset.href);
           }
-          
-          // Also check for buttons in each cell
-          const cellButtons = await cell.locator('button').all();
-          for (const button of cellButtons) {
-            const className = await button.getAttribute('class') || '';
-            const title = await button.getAttribute('title') || '';
-            const dataToggle = await button.getAttribute('data-toggle') || '';
-            
-            if (dataToggle === 'dropdown' || className.includes('dropdown')) {
-              // This is likely a dropdown with format options
-              console.log(chalk.blue(`  🔽 Found dropdown button - class: ${className}`));
-            }
+        }
+        for (const asset of unresolved) {
+          const format = await this.probeAsset(asset.href);
+          if (format && format !== 'cover' && !found[format]) {
+            found[format] = asset.href;
+            logger.debug(chalk.green(`  ✓ Found ${assetLabel(format)} link by its Content-Type - href: ${asset.href}`));
+          } else {
+            logger.warning(chalk.yellow(`  ⚠️  Can't tell what "${asset.text || asset.href}" downloads, leaving it out`));
+            extras.push(asset.text || asset.href);
           }
         }
+        found.cover = metadata.cover || null;
+        const hasDownloads = ASSET_FORMATS.some(format => format !== 'cover' && found[format]);
         
         // If no downloads found yet, inspect the row HTML structure
-        if (!hasPdf && !hasEpub) {
-          console.log(chalk.yellow(`  🔍 No downloads found for "${title.trim()}", inspecting HTML...`));
+        if (!hasDownloads) {
+          logger.warning(chalk.yellow(`  🔍 No downloads found for "${title.trim()}", inspecting HTML...`));
           
           // Get the HTML content of the row for debugging
           const rowHTML = await row.innerHTML();
-          console.log(chalk.gray(`  📋 Row HTML snippet: ${rowHTML.substring(0, 200)}...`));
+          logger.debug(chalk.gray(`  📋 Row HTML snippet: ${rowHTML.substring(0, 200)}...`));
           
           // Look for any elements that might be download buttons
-          const allElements = await row.locator('*').all();
+          const allElements = await row.elements();
           for (const element of allElements.slice(0, 10)) { // Limit to first 10 elements
             try {
               const tagName = await element.evaluate(el => el.tagName);
@@ -397,7 +329,7 @@ class ManningDownloader {
               const text = await element.textContent() || '';
               
               if (className || href || title || (text && text.trim())) {
-                console.log(chalk.gray(`    ${tagName}: class="${className}", href="${href}", title="${title}", text="${text.trim()}"`));
+                logger.debug(chalk.gray(`    ${tagName}: class="${className}", href="${href}", title="${title}", text="${text.trim()}"`));
               }
             } catch (err) {
               // Skip elements that can't be inspected
@@ -406,237 +338,265 @@ class ManningDownloader {
         }
         
         // Check for dropdown buttons that might contain download options
-        const dropdownButtons = await row.locator('button[data-toggle="dropdown"], .dropdown-toggle, .btn-group button').all();
+        const dropdownButtons = await row.dropdownToggles();
         
         // Always add books to the list for now, even without detected downloads
-        books.push({
+        const book = {
           title: title.trim(),
-          element: row,
-          hasPdf,
-          hasEpub,
-          pdfUrl,
-          epubUrl,
+          slug,
+          productId: await row.productId(),
+          element: row.locator,
           dropdownButtons,
-          index: i
-        });
-        console.log(chalk.cyan(`  📖 ${title.trim()} - PDF: ${hasPdf ? '✓' : '✗'} EPUB: ${hasEpub ? '✓' : '✗'} Dropdowns: ${dropdownButtons.length}`));
+          metadata,
+          version: await this.scrapeRowVersion(row),
+          purchased: await this.scrapeRowPurchased(row)
+        };
+        book.formats = Object.fromEntries(ASSET_FORMATS.map(format => [format, found[format] || null]));
+        book.id = this.getBookId(book);
+        if (books.some(known => known.id === book.id)) {
+          logger.debug(chalk.gray(`  ⏭️  Product ${book.id} is listed twice, keeping the first row`));
+          continue;
+        }
+        // Ids earlier runs may have used when the product id wasn't found
+        book.aliases = [slug, this.sanitizeFilename(book.title).toLowerCase()].filter(alias => alias && alias !== book.id);
+        books.push(book);
+        const offered = this.availableFormats(book).join(', ') || 'nothing';
+        logger.debug(chalk.cyan(`  📖 ${title.trim()} - ${offered}${extras.length ? ` (not downloaded: ${extras.join(', ')})` : ''} Dropdowns: ${dropdownButtons.length}`));
       } catch (err) {
-        console.log(chalk.yellow(`⚠️  Could not process book row ${i}: ${err.message}`));
+        logger.warning(chalk.yellow(`⚠️  Could not process book row ${i}: ${err.message}`));
       }
     }
     
+    // Compare with the count the dashboard shows, when it shows one
+    if (expected !== null && books.length < expected) {
+      logger.warning(chalk.yellow(`⚠️  Found ${books.length} of ${expected} books the dashboard lists`));
+    } else if (expected !== null) {
+      logger.info(chalk.blue(`📚 Found ${books.length} of ${expected} books`));
+    }
     return books;
   }
 
-  async downloadBook(book) {
+  // Which asset an unlabelled download link serves, by the Content-Type the server answers
+  // a HEAD request with - without downloading the file. Each probe takes a token like a download.
+  async probeAsset(href) {
     try {
-      const sanitizedTitle = this.sanitizeFilename(book.title);
-      
-      // Try direct download links first
-      if (book.hasPdf && book.pdfButton) {
-        console.log(chalk.cyan(`  📄 Downloading PDF: ${book.title}`));
-        await this.downloadFormat(book.pdfButton, sanitizedTitle, 'pdf');
-      }
-      
-      if (book.hasEpub && book.epubButton) {
-        console.log(chalk.cyan(`  📱 Downloading EPUB: ${book.title}`));
-        await this.downloadFormat(book.epubButton, sanitizedTitle, 'epub');
-      }
-      
-      // If no direct links found, try dropdown buttons
-      if (!book.hasPdf && !book.hasEpub && book.dropdownButtons.length > 0) {
-        console.log(chalk.cyan(`  🔍 Checking dropdown options for: ${book.title}`));
-        await this.exploreDropdownOptions(book, sanitizedTitle);
-      }
-      
+      await this.waitForRateLimit();
+      const response = await this.page.request.head(new URL(href, this.page.url()).toString(), { timeout: this.config.browser.timeout });
+      return response.ok() ? assetForContentType(response.headers()['content-type']) : null;
     } catch (error) {
-      console.error(chalk.red(`❌ Failed to download ${book.title}:`), error.message);
+      logger.debug(chalk.gray(`  ℹ️  Could not check ${href}: ${error.message}`));
+      return null;
     }
   }
 
-  async exploreDropdownOptions(book, sanitizedTitle) {
+  // Title, authors, edition and cover as shown in a dashboard row. Every field is optional -
+  // the metadata step fills the gaps from the downloaded files.
+  async scrapeRowMetadata(row) {
+    const metadata = {};
     try {
-      for (const dropdown of book.dropdownButtons) {
-        // Click dropdown to reveal options
-        await dropdown.click();
-        await this.page.waitForTimeout(2000);
-        
-        // Look for PDF/EPUB options in the dropdown
-        const dropdownMenu = this.page.locator('.dropdown-menu:visible, .dropdown:visible');
-        
-        if (await dropdownMenu.count() > 0) {
-          const pdfLink = dropdownMenu.locator('a:has-text("pdf"), a:has-text("PDF")').first();
-          const epubLink = dropdownMenu.locator('a:has-text("epub"), a:has-text("EPUB")').first();
-          
-          if (await pdfLink.count() > 0) {
-            console.log(chalk.cyan(`    📄 Found PDF in dropdown`));
-            await this.downloadFormat(pdfLink, sanitizedTitle, 'pdf');
-          }
-          
-          if (await epubLink.count() > 0) {
-            console.log(chalk.cyan(`    📱 Found EPUB in dropdown`));
-            await this.downloadFormat(epubLink, sanitizedTitle, 'epub');
-          }
-          
-          // Close dropdown
-          await this.page.click('body');
-          await this.page.waitForTimeout(1000);
-        }
+      const details = await row.firstCellDetails();
+
+      const title = details.title || (details.alt && details.alt.length > 3 ? details.alt.trim() : null);
+      // Kept whole ("Title: Subtitle") so editions of the same book don't share a filename
+      metadata.title = title;
+      metadata.authors = splitAuthors(details.byline);
+      metadata.edition = parseEdition(details.cellText);
+      metadata.cover = details.cover && !details.cover.startsWith('data:') ? details.cover : null;
+      metadata.productUrl = details.href;
+      metadata.publisher = 'Manning Publications';
+    } catch (error) {
+      logger.debug(chalk.gray(`  ℹ️  Could not read row metadata: ${error.message}`));
+    }
+    return metadata;
+  }
+
+  // The purchase date shown in a dashboard row (YYYY-MM-DD), for --purchased-after/-before
+  async scrapeRowPurchased(row) {
+    try {
+      const text = (await row.innerText()).replace(/\s+/g, ' ');
+      const purchased = text.match(new RegExp(`purchased:?\\s*(?:on\\s+)?${DATE_SOURCE}`, 'i'));
+      return purchased ? parseRowDate(purchased[1]) : null;
+    } catch (error) {
+      logger.debug(chalk.gray(`  ℹ️  Could not read purchase date: ${error.message}`));
+      return null;
+    }
+  }
+
+  // Version markers shown in a dashboard row: MEAP books list their release ("MEAP V07"),
+  // chapter count and when they were last updated
+  async scrapeRowVersion(row) {
+    const version = {};
+    try {
+      const text = (await row.innerText()).replace(/\s+/g, ' ');
+
+      const meap = text.match(/\bMEAP\b(?:\s*(?:v|version)\s*(\d+))?/i);
+      if (meap && meap[1]) {
+        version.meapVersion = parseInt(meap[1], 10);
+      }
+
+      const chapters = text.match(/(\d+)\s*(?:of\s*\d+\s*)?chapters/i);
+      if (chapters) {
+        version.chapters = parseInt(chapters[1], 10);
+      }
+
+      const updated = text.match(new RegExp(`updated:?\\s*(?:on\\s+)?${DATE_SOURCE}`, 'i'));
+      if (updated) {
+        version.updated = parseRowDate(updated[1]) || updated[1];
       }
     } catch (error) {
-      console.error(chalk.red(`    ❌ Error exploring dropdowns: ${error.message}`));
+      logger.debug(chalk.gray(`  ℹ️  Could not read row version: ${error.message}`));
     }
+    return Object.keys(version).length > 0 ? version : null;
   }
 
-  async downloadFormatFromRow(book, format, row, excludeDropdownIndex = -1) {
-    const bookTitle = book.title || `Book_${book.index || 'Unknown'}`;
-    const sanitizedTitle = this.sanitizeFilename(bookTitle);
+  // Download one asset (pdf, epub, kindle or code) through the row's dropdown, skipping the
+  // dropdowns in `excludeDropdowns` that earlier formats used. Resolves with { dropdownIndex }
+  // on success and throws a classified DownloadError otherwise.
+  async downloadFormatFromRow(book, asset, row, excludeDropdowns = [], page = this.page) {
+    const bookTitle = book.title || `Book ${book.id}`;
+    const dashboard = new DashboardPage(page, this.dashboardUrl);
+    const format = assetLabel(asset);
+    const popups = [];
+    let onPopup = null;
     
     try {
-      console.log(chalk.blue(`🔍 Downloading ${format} for: ${bookTitle}`));
+      logger.debug(chalk.blue(`🔍 Downloading ${format} for: ${bookTitle}`));
       
       // Find the download link in this row
-      const formatUrl = format === 'PDF' ? book.pdfUrl : book.epubUrl;
+      const formatUrl = book.formats[asset];
       if (!formatUrl) {
-        console.log(chalk.yellow(`⚠️  No ${format} URL found for ${bookTitle}`));
-        return { success: false, dropdownIndex: -1 };
+        throw new DownloadError(`No ${format} URL found for ${bookTitle}`, FAILURE_KINDS.LINK_MISSING);
       }
       
-      console.log(chalk.gray(`  🔗 Looking for link: ${formatUrl}`));
-      if (excludeDropdownIndex >= 0) {
-        console.log(chalk.gray(`  🚫 Excluding dropdown ${excludeDropdownIndex + 1} (already used for other format)`));
+      logger.debug(chalk.gray(`  🔗 Looking for link: ${formatUrl}`));
+      if (excludeDropdowns.length > 0) {
+        logger.debug(chalk.gray(`  🚫 Excluding dropdowns ${excludeDropdowns.map(index => index + 1).join(', ')} (already used for other formats)`));
       }
       
       // Find the specific dropdown button that contains the format we want
-      console.log(chalk.blue(`🔽 Looking for ${format} dropdown button in row...`));
+      logger.debug(chalk.blue(`🔽 Looking for ${format} dropdown button in row...`));
       
       // Get all dropdown buttons in this row
-      const allDropdownButtons = await row.locator('button.dropdown-toggle, .dropdown-toggle, button[data-toggle="dropdown"], .btn-group button').all();
+      const allDropdownButtons = await row.dropdownToggles();
       
       if (allDropdownButtons.length === 0) {
-        console.log(chalk.yellow(`⚠️  Could not find any dropdown buttons for ${format}`));
-        return { success: false, dropdownIndex: -1 };
+        throw new DownloadError(`Could not find any dropdown buttons for ${format}`, FAILURE_KINDS.LINK_MISSING);
       }
       
-      console.log(chalk.gray(`  Found ${allDropdownButtons.length} dropdown buttons in row`));
+      logger.debug(chalk.gray(`  Found ${allDropdownButtons.length} dropdown buttons in row`));
       
       let correctDropdownButton = null;
       let correctDropdownIndex = -1;
       
       // Close any previously open dropdowns first
-      await this.page.click('body');
-      await this.page.waitForTimeout(300);
+      await dashboard.closeDropdowns();
       
       // Try each dropdown button to find the one that contains our format
       for (let i = 0; i < allDropdownButtons.length; i++) {
-        // Skip the dropdown that was already used for the other format
-        if (i === excludeDropdownIndex) {
-          console.log(chalk.gray(`  ⏭️  Skipping dropdown ${i + 1}/${allDropdownButtons.length} (already used)`));
+        // Skip the dropdowns that were already used for other formats
+        if (excludeDropdowns.includes(i)) {
+          logger.debug(chalk.gray(`  ⏭️  Skipping dropdown ${i + 1}/${allDropdownButtons.length} (already used)`));
           continue;
         }
         
         const dropdownButton = allDropdownButtons[i];
         
-        // First check if this dropdown has the right text content (pdf/epub/kindle)
+        // First check if this dropdown has the right text content (pdf/epub/kindle/code)
         const dropdownText = await dropdownButton.textContent();
-        const expectedText = format.toLowerCase();
         
-        console.log(chalk.gray(`  🔍 Testing dropdown ${i + 1}/${allDropdownButtons.length} (text: "${dropdownText?.trim()}") for ${format}...`));
+        logger.debug(chalk.gray(`  🔍 Testing dropdown ${i + 1}/${allDropdownButtons.length} (text: "${dropdownText?.trim()}") for ${format}...`));
         
-        // If the dropdown text doesn't match the format, skip it
-        if (dropdownText && !dropdownText.toLowerCase().includes(expectedText)) {
-          console.log(chalk.gray(`  ❌ Dropdown ${i + 1} text "${dropdownText.trim()}" doesn't match ${format}, skipping`));
+        // If the dropdown is labelled with another format, skip it ("more" may hold anything)
+        const labelled = dropdownText ? matchAsset(dropdownText) : null;
+        if (labelled && labelled !== asset) {
+          logger.debug(chalk.gray(`  ❌ Dropdown ${i + 1} text "${dropdownText.trim()}" doesn't match ${format}, skipping`));
           continue;
         }
         
         // Close any open dropdowns first
-        await this.page.click('body');
-        await this.page.waitForTimeout(300);
+        await dashboard.closeDropdowns();
         
-        // Click to open this specific dropdown
-        await dropdownButton.scrollIntoViewIfNeeded();
-        await dropdownButton.click();
-        await this.page.waitForTimeout(800);
+        // Open this specific dropdown
+        await dashboard.openDropdown(dropdownButton);
         
         // Check if this dropdown contains our format link
-        const formatLinkInDropdown = await this.page.locator(`a[href="${formatUrl}"]`).first();
+        const formatLinkInDropdown = dashboard.downloadLink(formatUrl);
         const linkExists = await formatLinkInDropdown.count() > 0;
         
         if (linkExists) {
-          console.log(chalk.green(`  ✅ Found ${format} link in dropdown ${i + 1}/${allDropdownButtons.length} (text: "${dropdownText?.trim()}")`));
+          logger.debug(chalk.green(`  ✅ Found ${format} link in dropdown ${i + 1}/${allDropdownButtons.length} (text: "${dropdownText?.trim()}")`));
           correctDropdownButton = dropdownButton;
           correctDropdownIndex = i;
           break;
         } else {
-          console.log(chalk.gray(`  ❌ Dropdown ${i + 1}/${allDropdownButtons.length} doesn't contain ${format} link`));
+          logger.debug(chalk.gray(`  ❌ Dropdown ${i + 1}/${allDropdownButtons.length} doesn't contain ${format} link`));
           
           // Debug: Show what links are in this dropdown
-          const allLinksInDropdown = await this.page.locator('a[href*="download"]').all();
-          console.log(chalk.gray(`    Found ${allLinksInDropdown.length} download links in this dropdown:`));
+          const allLinksInDropdown = await dashboard.downloadLinks();
+          logger.debug(chalk.gray(`    Found ${allLinksInDropdown.length} download links in this dropdown:`));
           for (let j = 0; j < Math.min(allLinksInDropdown.length, 3); j++) {
             const href = await allLinksInDropdown[j].getAttribute('href');
-            console.log(chalk.gray(`      - ${href}`));
+            logger.debug(chalk.gray(`      - ${href}`));
           }
         }
       }
       
       if (!correctDropdownButton) {
-        console.log(chalk.yellow(`⚠️  Could not find dropdown containing ${format} link`));
-        return { success: false, dropdownIndex: -1 };
+        throw new DownloadError(`Could not find dropdown containing ${format} link`, FAILURE_KINDS.LINK_MISSING);
       }
       
-      console.log(chalk.blue(`🖱️  Using correct dropdown for ${format} downloads...`));
+      logger.debug(chalk.blue(`🖱️  Using correct dropdown for ${format} downloads...`));
       
       // Now look for the download link in the opened dropdown
-      const downloadLink = await this.page.locator(`a[href="${formatUrl}"]`).first();
+      let downloadLink = dashboard.downloadLink(formatUrl);
       const linkCount = await downloadLink.count();
       
       if (linkCount === 0) {
-        console.log(chalk.yellow(`⚠️  Could not find download link in dropdown for ${format}`));
-        return { success: false, dropdownIndex: -1 };
+        throw new DownloadError(`Could not find download link in dropdown for ${format}`, FAILURE_KINDS.LINK_MISSING);
       }
       
-      console.log(chalk.blue(`🖱️  Clicking download link for ${format}`));
+      logger.debug(chalk.blue(`🖱️  Clicking download link for ${format}`));
       
       // Set up download promise before clicking
-      const downloadPromise = this.page.waitForEvent('download', { timeout: 45000 });
+      const downloadTimeout = this.config.browser.downloadTimeout;
+      const downloadPromise = page.waitForEvent('download', { timeout: downloadTimeout });
+      // Handled below - but don't let an early failure leave it as an unhandled rejection
+      downloadPromise.catch(() => {});
       
       // Ensure link is visible and ready for interaction
       try {
         await downloadLink.scrollIntoViewIfNeeded({ timeout: 3000 });
         await downloadLink.waitFor({ state: 'visible', timeout: 3000 });
       } catch (visibilityError) {
-        console.log(chalk.yellow(`⚠️  Link not visible, trying alternative approach for ${format}`));
+        logger.debug(chalk.yellow(`⚠️  Link not visible, trying alternative approach for ${format}`));
         
         // Close any open dropdowns first
-        await this.page.click('body');
-        await this.page.waitForTimeout(300);
+        await dashboard.closeDropdowns();
         
         // Re-open the dropdown
-        const newDropdownButton = await row.locator('button.dropdown-toggle, .dropdown-toggle, button[data-toggle="dropdown"], .btn-group button').first();
+        const newDropdownButton = row.firstDropdownToggle();
         if (await newDropdownButton.count() > 0) {
-          await newDropdownButton.click();
-          await this.page.waitForTimeout(800);
+          await dashboard.openDropdown(newDropdownButton);
           
           // Try to find the link again
-          const newDownloadLink = await this.page.locator(`a[href="${formatUrl}"]`).first();
+          const newDownloadLink = dashboard.downloadLink(formatUrl);
           if (await newDownloadLink.count() > 0) {
             await newDownloadLink.scrollIntoViewIfNeeded({ timeout: 2000 });
             await newDownloadLink.waitFor({ state: 'visible', timeout: 2000 });
             // Update the downloadLink reference
-            const downloadLink = newDownloadLink;
+            downloadLink = newDownloadLink;
           } else {
-            console.log(chalk.red(`❌ Could not find ${format} link after retry`));
-            return false;
+            throw new DownloadError(`Could not find ${format} link after reopening the dropdown`, FAILURE_KINDS.LINK_MISSING);
           }
         } else {
-          console.log(chalk.red(`❌ Could not find dropdown button for retry`));
-          return false;
+          throw new DownloadError('Could not find dropdown button to reopen', FAILURE_KINDS.LINK_MISSING);
         }
       }
       
-      // Small delay to simulate human behavior
-      await this.page.waitForTimeout(500);
+      // Remember any tab this click opens - the other workers' tabs share the browser
+      // context, so only these may be closed if the download never starts
+      onPopup = popup => popups.push(popup);
+      page.on('popup', onPopup);
       
       // Click the download link
       await downloadLink.click({ 
@@ -644,113 +604,67 @@ class ManningDownloader {
         delay: 100,
         button: 'left'
       });
-      console.log(chalk.green(`  ✅ Download link clicked`));
-      
-      // Additional wait after click for EPUB downloads (they seem slower)
-      if (format === 'EPUB') {
-        await this.page.waitForTimeout(800);
-      }
-      
-      // Wait a moment for any processing
-      await this.page.waitForTimeout(1000);
+      logger.debug(chalk.green(`  ✅ Download link clicked`));
       
-      // Check current URL and page state
-      const currentUrl = this.page.url();
-      const pageTitle = await this.page.title();
-      console.log(chalk.gray(`  🌐 Current URL after click: ${currentUrl}`));
-      console.log(chalk.gray(`  📄 Page title after click: ${pageTitle}`));
-      
-      // Check for error messages or login requirements
-      const errorMessages = await this.page.locator('.error, .alert-danger, [class*="error"], .login-required').count();
-      if (errorMessages > 0) {
-        console.log(chalk.red(`  ❌ Found ${errorMessages} error/login message(s) on page`));
-        const errorText = await this.page.locator('.error, .alert-danger, [class*="error"], .login-required').first().textContent();
-        console.log(chalk.red(`  Error/Login text: ${errorText}`));
-      }
-      
-      // Wait for download
-      console.log(chalk.blue(`  ⏳ Waiting for download to start (30s timeout)...`));
+      // Wait for the download itself; the page is only inspected when it never starts
+      logger.debug(chalk.blue(`  ⏳ Waiting for download to start (${downloadTimeout / 1000}s timeout)...`));
       
+      let download;
       try {
-        const download = await downloadPromise;
-        console.log(chalk.green(`  📥 Download started!`));
-        
-        const filename = `${sanitizedTitle}.${format.toLowerCase()}`;
-        const filepath = path.join(this.downloadsDir, filename);
+        download = await downloadPromise;
+      } catch (waitError) {
+        logger.warning(chalk.yellow(`  ⏰ Download timeout - trying alternative approach`));
+        logger.debug(chalk.gray(`  🌐 Current URL after click: ${page.url()}`));
+        logger.debug(chalk.gray(`  📄 Page title after click: ${await page.title()}`));
         
-        await download.saveAs(filepath);
-        console.log(chalk.green(`✅ Saved: ${filename}`));
-        
-        return { success: true, dropdownIndex: correctDropdownIndex };
-        
-      } catch (downloadTimeout) {
-        console.log(chalk.yellow(`  ⏰ Download timeout - trying alternative approach`));
+        // Check for error messages or login requirements
+        const errorText = await dashboard.errorText();
+        if (errorText !== null) {
+          logger.warning(chalk.red(`  ❌ Error/login message on page: ${errorText}`));
+        }
         
         // Maybe the click opened a new tab or window
-        const pages = await this.page.context().pages();
-        console.log(chalk.gray(`  📑 Total pages/tabs: ${pages.length}`));
-        
-        if (pages.length > 1) {
-          console.log(chalk.blue(`  🔄 Checking other tabs for downloads...`));
-          for (let i = 1; i < pages.length; i++) {
-            const otherPage = pages[i];
-            const otherUrl = otherPage.url();
-            console.log(chalk.gray(`    Tab ${i}: ${otherUrl}`));
-            
-            // Close extra tabs
-            await otherPage.close();
-          }
+        logger.debug(chalk.gray(`  📑 Tabs opened by the click: ${popups.length}`));
+        for (const [i, popup] of popups.entries()) {
+          logger.debug(chalk.gray(`    Tab ${i + 1}: ${popup.url()}`));
+          await popup.close().catch(() => {});
         }
         
-        // Check if we need to handle a different flow
-        const pageContent = await this.page.content();
-        if (pageContent.includes('download') || pageContent.includes('Download')) {
-          console.log(chalk.blue(`  🔍 Page contains download references, investigating...`));
-          
-          // Look for any new download buttons or links
-          const newDownloadLinks = await this.page.locator('a[href*="download"], button:has-text("download"), .download').all();
-          console.log(chalk.gray(`    Found ${newDownloadLinks.length} potential download elements`));
+        // A login prompt instead of a file means the session has expired
+        if (errorText && /log\s*in|sign\s*in|session/i.test(errorText)) {
+          throw new DownloadError(`Login required: ${errorText.trim()}`, FAILURE_KINDS.AUTH_EXPIRED);
         }
-        
-        return false;
+        throw new DownloadError(`Download did not start within ${downloadTimeout / 1000}s`, FAILURE_KINDS.DOWNLOAD_TIMEOUT);
       }
       
-      // Close any open dropdowns before finishing
-      await this.page.click('body');
-      await this.page.waitForTimeout(300);
+      logger.debug(chalk.green(`  📥 Download started!`));
+      await this.saveDownload(download, book, asset, formatUrl);
       
-      // Small delay before next action
-      await this.page.waitForTimeout(800);
+      // Close any open dropdowns before finishing
+      await dashboard.closeDropdowns();
       
-      return { success: true, dropdownIndex: correctDropdownIndex };
+      return { dropdownIndex: correctDropdownIndex };
       
     } catch (error) {
-      console.log(chalk.red(`❌ Failed to download ${format}: ${error.message}`));
+      logger.error(chalk.red(`❌ Failed to download ${format}: ${error.message}`));
       
       // Always close dropdowns on error to prevent interference with next format
       try {
-        await this.page.click('body');
-        await this.page.waitForTimeout(300);
+        await dashboard.closeDropdowns();
       } catch (cleanupError) {
         // Ignore cleanup errors
       }
       
-      return { success: false, dropdownIndex: -1 };
-    }
-  }
-
-  sanitizeFilename(filename) {
-    if (!filename || typeof filename !== 'string') {
-      return 'Unknown_Book';
+      throw error;
+    } finally {
+      if (onPopup) {
+        page.off('popup', onPopup);
+      }
     }
-    return filename
-      .replace(/[<>:"/\\|?*]/g, '_') // Replace invalid characters with underscore
-      .replace(/\s+/g, '_') // Replace spaces with underscores for better file names
-      .replace(/_{2,}/g, '_') // Replace multiple underscores with single
-      .replace(/^_+|_+$/g, '') // Remove leading/trailing underscores
-      .trim()
-      .substring(0, 150); // Reasonable length limit
   }
 }
 
-module.exports = new ManningDownloader();
+ManningDownloader.id = 'manning';
+ManningDownloader.siteName = 'Manning Publications';
+
+module.exports = ManningDownloader;
@@ -0,0 +1,336 @@
+// Page objects for manning.com. Every selector the adapter relies on lives here, so a
+// site redesign is fixed in one place (and caught by test/manning.e2e.test.js).
+
+const SELECTORS = {
+  login: {
+    form: 'input[type="email"], input[name="email"], [data-testid="email"], textbox',
+    email: ['input[type="email"]', 'input[name="email"]', 'textbox >> nth=0'],
+    password: ['input[type="password"]', 'input[name="password"]', 'textbox >> nth=1'],
+    submit: 'button:has-text("log in now"), input[type="submit"], button[type="submit"]'
+  },
+  dashboard: {
+    productsHeader: '.your-products',
+    // "Your products (42)" - how many books the library should have, when the page says
+    productCount: '.your-products .product-count, [data-product-count]',
+    productTable: '#productTable',
+    rows: '#productTable tbody tr',
+    anyTable: 'table',
+    errorMessage: '.error, .alert-danger, [class*="error"], .login-required',
+    // A format dropdown that is open (Bootstrap 4 adds .show, Bootstrap 3 .open on the group)
+    openMenu: '.dropdown-menu.show, .open > .dropdown-menu',
+    // Somewhere to click that closes an open dropdown
+    outside: 'body'
+  },
+  row: {
+    loading: '.infinite-scroll-loading',
+    productId: '[data-product-id]',
+    // Any link in the row, for a productId= in its URL
+    links: 'a[href]',
+    firstCell: 'td:first-child',
+    bookLink: 'td:first-child a[href*="/books/"]',
+    firstCellLink: 'td:first-child a',
+    firstCellImage: 'td:first-child img',
+    dropdownToggle: 'button.dropdown-toggle, .dropdown-toggle, button[data-toggle="dropdown"], .btn-group button',
+    downloadLinks: 'a[href*="download"]',
+    // Every link past the title cell: the format dropdowns, source code, liveBook and other extras
+    assetLinks: 'td:not(:first-child) a[href]',
+    dropdownGroup: '.btn-group, .dropdown',
+    anyElement: '*'
+  },
+  // Inside the row's first cell: the book's link, cover, title and byline
+  firstCell: {
+    bookLink: 'a[href*="/books/"], a[href*="/book/"]',
+    image: 'img',
+    title: '.product-title, .title, h2, h3, h4'
+  }
+};
+
+// URL patterns, for pages we wait to land on
+const DASHBOARD_URL_PATTERN = '**/dashboard**';
+
+// Rows that belong to a product: tagged with its id, or holding a download link for it
+function productRowSelector(productId) {
+  const id = String(productId).replace(/["\\]/g, '');
+  return [
+    `${SELECTORS.dashboard.rows}[data-product-id="${id}"]`,
+    `${SELECTORS.dashboard.rows}:has([data-product-id="${id}"])`,
+    `${SELECTORS.dashboard.rows}:has(a[href*="productId=${id}&"])`,
+    `${SELECTORS.dashboard.rows}:has(a[href$="productId=${id}"])`
+  ].join(', ');
+}
+
+// Fill the first selector that works - the login form has changed markup before
+async function fillFirst(page, selectors, value) {
+  let lastError;
+  for (const selector of selectors) {
+    try {
+      await page.fill(selector, value);
+      return;
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+class LoginPage {
+  constructor(page, url) {
+    this.page = page;
+    this.url = url;
+  }
+
+  async open() {
+    await this.page.goto(this.url);
+    await this.page.waitForSelector(SELECTORS.login.form, { timeout: 10000 });
+  }
+
+  async logIn(email, password) {
+    await fillFirst(this.page, SELECTORS.login.email, email);
+    await fillFirst(this.page, SELECTORS.login.password, password);
+    await this.page.click(SELECTORS.login.submit);
+  }
+
+  // Resolves once the site redirects to the dashboard; rejects on timeout (wrong password)
+  async waitForDashboard(timeout = 15000) {
+    await this.page.waitForURL(DASHBOARD_URL_PATTERN, { timeout });
+  }
+}
+
+class DashboardPage {
+  constructor(page, url) {
+    this.page = page;
+    this.url = url;
+  }
+
+  async open() {
+    await this.page.goto(this.url);
+  }
+
+  // Wait until the page shows the library table or, for an expired session, the login
+  // form. A timeout is not an error: isLoggedIn() then answers no.
+  async waitForSession(timeout = 10000) {
+    await this.page.waitForSelector(`${SELECTORS.dashboard.anyTable}, ${SELECTORS.login.form}`, { timeout })
+      .catch(() => {});
+  }
+
+  // The dashboard only shows the product table to a logged-in user
+  async isLoggedIn() {
+    return await this.page.locator(SELECTORS.dashboard.anyTable).count() > 0;
+  }
+
+  // Wait for the page structure; the rows themselves arrive later via AJAX
+  async waitForLibrary() {
+    await this.page.waitForURL(DASHBOARD_URL_PATTERN, { timeout: 10000 });
+    await this.page.waitForSelector(SELECTORS.dashboard.productsHeader, { timeout: 15000 });
+    await this.page.waitForSelector(SELECTORS.dashboard.productTable, { timeout: 10000 });
+  }
+
+  async waitForRows(timeout = 30000) {
+    await this.page.waitForSelector(SELECTORS.dashboard.rows, { timeout });
+  }
+
+  async rows() {
+    return (await this.page.locator(SELECTORS.dashboard.rows).all()).map(row => new ProductRow(this.page, row));
+  }
+
+  // Book rows so far, not counting the "loading more..." placeholder
+  bookRowCount() {
+    return this.page.evaluate(({ rows, loading }) =>
+      Array.from(document.querySelectorAll(rows)).filter(row => !row.querySelector(loading)).length,
+    { rows: SELECTORS.dashboard.rows, loading: SELECTORS.row.loading });
+  }
+
+  async hasMoreRows() {
+    return await this.page.locator(SELECTORS.row.loading).count() > 0;
+  }
+
+  // The library size the dashboard advertises, or null when it doesn't show one
+  async expectedCount() {
+    const counter = this.page.locator(SELECTORS.dashboard.productCount).first();
+    if (await counter.count() === 0) {
+      return null;
+    }
+    const text = (await counter.getAttribute('data-product-count')) || (await counter.textContent()) || '';
+    const match = text.match(/\d[\d,]*/);
+    return match ? parseInt(match[0].replace(/,/g, ''), 10) : null;
+  }
+
+  // The dashboard loads the library in batches as the "loading more..." row scrolls into
+  // view. Keep scrolling until it is gone (or `until()` resolves true), waiting for each
+  // batch to land rather than for a fixed time. Returns the book row count, whether the
+  // whole library loaded and whether a batch failed to arrive in time.
+  async loadAllRows({ until = null, timeout = 30000, onBatch = null } = {}) {
+    await this.waitForRows(timeout);
+    let count = await this.bookRowCount();
+
+    while (!(until && await until()) && await this.hasMoreRows()) {
+      await this.page.locator(SELECTORS.row.loading).last().scrollIntoViewIfNeeded();
+      try {
+        await this.page.waitForFunction(({ rows, loading, previous }) => {
+          const bookRows = Array.from(document.querySelectorAll(rows)).filter(row => !row.querySelector(loading));
+          return bookRows.length > previous || !document.querySelector(loading);
+        }, { rows: SELECTORS.dashboard.rows, loading: SELECTORS.row.loading, previous: count }, { timeout });
+      } catch (error) {
+        // The next batch never came - work with what we have
+        return { count, complete: false, timedOut: true };
+      }
+      count = await this.bookRowCount();
+      if (onBatch) {
+        onBatch(count);
+      }
+    }
+    return { count, complete: !(await this.hasMoreRows()), timedOut: false };
+  }
+
+  // Whether every one of these product ids has a row yet
+  async hasRows(productIds) {
+    for (const productId of productIds) {
+      if (await this.page.locator(productRowSelector(productId)).count() === 0) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // The row for a product id, scrolling the library as far as it takes; null if it is gone
+  async findRow(productId, { timeout = 30000 } = {}) {
+    const row = this.page.locator(productRowSelector(productId)).first();
+    await this.loadAllRows({ until: async () => await row.count() > 0, timeout });
+    return await row.count() > 0 ? new ProductRow(this.page, row) : null;
+  }
+
+  // Text of the first error or "please log in" message on the page, or null
+  async errorText() {
+    const messages = this.page.locator(SELECTORS.dashboard.errorMessage);
+    if (await messages.count() === 0) {
+      return null;
+    }
+    return messages.first().textContent();
+  }
+
+  // Open a format dropdown and wait for its menu to show. Returns false if no menu opened
+  // in time; the caller then looks for the link anyway.
+  async openDropdown(toggle, timeout = 3000) {
+    await toggle.scrollIntoViewIfNeeded();
+    await toggle.click();
+    return this.page.locator(SELECTORS.dashboard.openMenu).first().waitFor({ state: 'visible', timeout })
+      .then(() => true, () => false);
+  }
+
+  // Close any open dropdown by clicking outside it, and wait for its menu to hide
+  async closeDropdowns(timeout = 3000) {
+    await this.page.click(SELECTORS.dashboard.outside);
+    await this.page.locator(SELECTORS.dashboard.openMenu).first().waitFor({ state: 'hidden', timeout })
+      .catch(() => {});
+  }
+
+  // The link for a download URL, wherever its dropdown put it
+  downloadLink(href) {
+    return this.page.locator(`a[href="${href}"]`).first();
+  }
+
+  downloadLinks() {
+    return this.page.locator(SELECTORS.row.downloadLinks).all();
+  }
+}
+
+// One row of #productTable - a book with its download dropdowns
+class ProductRow {
+  constructor(page, locator) {
+    this.page = page;
+    this.locator = locator;
+  }
+
+  // The "loading more..." placeholder at the end of the table
+  async isLoading() {
+    return await this.locator.locator(SELECTORS.row.loading).count() > 0;
+  }
+
+  // The Manning product id, from a data attribute or any link that carries it
+  productId() {
+    return this.locator.evaluate((row, { tagged, links }) => {
+      const element = row.matches(tagged) ? row : row.querySelector(tagged);
+      if (element) {
+        return element.getAttribute('data-product-id');
+      }
+      for (const link of row.querySelectorAll(links)) {
+        const match = link.getAttribute('href').match(/[?&]productId=([^&#]+)/);
+        if (match) {
+          return decodeURIComponent(match[1]);
+        }
+      }
+      return null;
+    }, { tagged: SELECTORS.row.productId, links: SELECTORS.row.links });
+  }
+
+  bookLink() {
+    return this.locator.locator(SELECTORS.row.bookLink).first();
+  }
+
+  firstCellLink() {
+    return this.locator.locator(SELECTORS.row.firstCellLink).first();
+  }
+
+  image() {
+    return this.locator.locator(SELECTORS.row.firstCellImage).first();
+  }
+
+  // Every link in the row's dropdowns and buttons, with the wording around it: the link's
+  // own text and attributes, and the label of the dropdown it sits in
+  downloadAssets() {
+    return this.locator.evaluate((row, { links, group, toggle }) => {
+      const text = el => (el && el.textContent ? el.textContent.replace(/\s+/g, ' ').trim() : '');
+      return Array.from(row.querySelectorAll(links)).map(link => {
+        const dropdown = link.closest(group);
+        return {
+          href: link.getAttribute('href'),
+          text: [text(link), link.getAttribute('title'), link.getAttribute('aria-label'), link.getAttribute('class')]
+            .filter(Boolean).join(' '),
+          menu: dropdown ? text(dropdown.querySelector(toggle)) : ''
+        };
+      });
+    }, { links: SELECTORS.row.assetLinks, group: SELECTORS.row.dropdownGroup, toggle: SELECTORS.row.dropdownToggle });
+  }
+
+  dropdownToggles() {
+    return this.locator.locator(SELECTORS.row.dropdownToggle).all();
+  }
+
+  firstDropdownToggle() {
+    return this.locator.locator(SELECTORS.row.dropdownToggle).first();
+  }
+
+  // Title link, cover and text of the first cell, read in one round trip
+  firstCellDetails() {
+    return this.locator.locator(SELECTORS.row.firstCell).first().evaluate((cell, selectors) => {
+      const text = el => (el && el.textContent ? el.textContent.replace(/\s+/g, ' ').trim() : null);
+      const link = cell.querySelector(selectors.bookLink);
+      const image = cell.querySelector(selectors.image);
+      const byline = Array.from(cell.querySelectorAll(selectors.anyElement))
+        .map(text)
+        .find(value => value && /^by\s+/i.test(value));
+      return {
+        title: text(cell.querySelector(selectors.title)) || text(link),
+        alt: image ? image.getAttribute('alt') : null,
+        cover: image ? (image.getAttribute('data-src') || image.getAttribute('src')) : null,
+        byline,
+        href: link ? link.href : null,
+        cellText: text(cell)
+      };
+    }, { ...SELECTORS.firstCell, anyElement: SELECTORS.row.anyElement });
+  }
+
+  innerText() {
+    return this.locator.innerText();
+  }
+
+  innerHTML() {
+    return this.locator.innerHTML();
+  }
+
+  elements() {
+    return this.locator.locator(SELECTORS.row.anyElement).all();
+  }
+}
+
+module.exports = { SELECTORS, LoginPage, DashboardPage, ProductRow };
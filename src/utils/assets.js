@@ -0,0 +1,43 @@
+const path = require('path');
+
+// Everything a book can come with. Config `downloadFormats` (and --formats) picks among
+// these keys; `ext` is the extension of the saved file, the {ext} of filename templates
+// (a cover takes the one of the image it turns out to be), and `types` the Content-Types a
+// server sends it with.
+const ASSETS = {
+  pdf: { label: 'PDF', ext: 'pdf', emoji: '📄', types: ['application/pdf'] },
+  epub: { label: 'EPUB', ext: 'epub', emoji: '📱', types: ['application/epub+zip'] },
+  kindle: { label: 'Kindle', ext: 'mobi', emoji: '📘', types: ['application/x-mobipocket-ebook', 'application/vnd.amazon.ebook'] },
+  code: { label: 'source code', ext: 'zip', emoji: '💾', types: ['application/zip', 'application/x-zip-compressed'] },
+  cover: { label: 'cover', ext: 'jpg', emoji: '🖼️', types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'] }
+};
+
+const ASSET_FORMATS = Object.keys(ASSETS);
+
+function assetExtension(format) {
+  return ASSETS[format] ? ASSETS[format].ext : format;
+}
+
+// The extension a saved file keeps when it moves. A cover is named after the image the
+// site served (cover.png, say); every other asset after its format.
+function savedExtension(format, filePath) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  return format === 'cover' && ext ? ext : assetExtension(format);
+}
+
+// "PDF", "Kindle", "source code"... for log lines
+function assetLabel(format) {
+  return ASSETS[format] ? ASSETS[format].label : format.toUpperCase();
+}
+
+function assetEmoji(format) {
+  return ASSETS[format] ? ASSETS[format].emoji : '📦';
+}
+
+// The asset a Content-Type header names, or null for generic ones like application/octet-stream
+function assetForContentType(contentType) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  return ASSET_FORMATS.find(format => ASSETS[format].types.includes(type)) || null;
+}
+
+module.exports = { ASSETS, ASSET_FORMATS, assetExtension, savedExtension, assetLabel, assetEmoji, assetForContentType };
@@ -0,0 +1,120 @@
+// The library as `list --export` writes it: one entry per book with its product page,
+// formats, download links and what the local downloads folder has of it.
+
+const CATALOG_FORMATS = {
+  '.json': 'json',
+  '.csv': 'csv',
+  '.md': 'markdown',
+  '.markdown': 'markdown'
+};
+
+// What the local status of a format means, for the Markdown legend
+const LOCAL_STATUSES = {
+  downloaded: 'on disk',
+  missing: 'downloaded before, but the file is gone or changed',
+  failed: 'the last attempt failed (see retry-failed)',
+  pending: 'the next sync downloads it',
+  skipped: 'not in the configured download formats'
+};
+
+// json, csv or markdown for an export path, or null when the extension is not one of them
+function catalogFormat(filePath) {
+  const match = String(filePath).toLowerCase().match(/\.[a-z]+$/);
+  return match ? CATALOG_FORMATS[match[0]] || null : null;
+}
+
+function catalogEntry(book) {
+  const metadata = book.metadata || {};
+  const formatUrls = Object.fromEntries(Object.entries(book.formats || {}).filter(([, url]) => url));
+  return {
+    id: book.id,
+    title: book.title,
+    authors: metadata.authors || [],
+    purchased: book.purchased || null,
+    productUrl: metadata.productUrl || null,
+    formats: Object.keys(formatUrls),
+    formatUrls,
+    local: book.local || {}
+  };
+}
+
+// Every format any book has, in a stable order for table columns
+function formatColumns(entries) {
+  const formats = new Set();
+  for (const entry of entries) {
+    entry.formats.forEach(format => formats.add(format));
+    Object.keys(entry.local).forEach(format => formats.add(format));
+  }
+  return [...formats].sort();
+}
+
+function localStatus(entry, format) {
+  return entry.local[format] ? entry.local[format].status : '';
+}
+
+// Quote a CSV field when needed. Values a spreadsheet would run as a formula are
+// prefixed with a quote, as the export is meant to be opened there.
+function csvField(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const formats = formatColumns(entries);
+  const header = ['id', 'title', 'authors', 'purchased', 'product_url', 'formats',
+    ...formats.flatMap(format => [`${format}_url`, `${format}_status`, `${format}_file`])];
+  const rows = entries.map(entry => [
+    entry.id,
+    entry.title,
+    entry.authors.join('; '),
+    entry.purchased,
+    entry.productUrl,
+    entry.formats.join(';'),
+    ...formats.flatMap(format => [
+      entry.formatUrls[format],
+      localStatus(entry, format),
+      entry.local[format] ? entry.local[format].file : null
+    ])
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function markdownCell(text) {
+  return String(text == null ? '' : text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function toMarkdown(entries, { siteName, exportedAt }) {
+  const lines = [
+    `# ${siteName} library`,
+    '',
+    `${entries.length} books, exported ${exportedAt}.`,
+    '',
+    '| Title | Id | Purchased | Formats | Local |',
+    '|-------|----|-----------|---------|-------|'
+  ];
+  for (const entry of entries) {
+    const title = entry.productUrl ? `[${markdownCell(entry.title)}](${entry.productUrl})` : markdownCell(entry.title);
+    const formats = entry.formats.map(format => `[${format.toUpperCase()}](${entry.formatUrls[format]})`).join(', ');
+    const local = Object.entries(entry.local).map(([format, file]) => `${format.toUpperCase()} ${file.status}`).join(', ');
+    lines.push(`| ${title} | ${markdownCell(entry.id)} | ${entry.purchased || ''} | ${formats} | ${local} |`);
+  }
+  lines.push('', 'Local status: ' + Object.entries(LOCAL_STATUSES).map(([status, meaning]) => `**${status}** - ${meaning}`).join('; ') + '.', '');
+  return lines.join('\n');
+}
+
+// The export file's contents for `books` (records from SiteAdapter.listBooks())
+function renderCatalog(books, format, { site, siteName = site, exportedAt = new Date().toISOString() }) {
+  const entries = books.map(catalogEntry);
+  if (format === 'csv') {
+    return toCsv(entries);
+  }
+  if (format === 'markdown') {
+    return toMarkdown(entries, { siteName, exportedAt });
+  }
+  return JSON.stringify({ site, exportedAt, count: entries.length, books: entries }, null, 2) + '\n';
+}
+
+module.exports = { renderCatalog, catalogFormat, CATALOG_FORMATS, LOCAL_STATUSES };
@@ -0,0 +1,448 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { unknownPlaceholders, TEMPLATE_FIELDS } = require('./filename');
+const { defaultSessionDir } = require('./session-store');
+const { parseSchedule } = require('./schedule');
+const { ASSET_FORMATS } = require('./assets');
+
+const PROJECT_ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_CONFIG_PATH = path.join(PROJECT_ROOT, 'config', 'config.json');
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Schema for config/config.json - every key that may appear, its type and default
+const SITE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    loginUrl: { type: 'url' },
+    dashboardUrl: { type: 'url' },
+    downloadFormats: { type: 'array', items: { type: 'string', enum: ASSET_FORMATS }, default: ['pdf', 'epub'] },
+    rateLimit: { type: 'integer', min: 0, default: 2000 },
+    burst: { type: 'integer', min: 1, max: 20, default: 1 }
+  }
+};
+
+// A named account: its own session, download folder and format preferences
+const PROFILE_SCHEMA = {
+  type: 'object',
+  properties: {
+    site: { type: 'string' },
+    email: { type: 'string' },
+    baseDir: { type: 'string' },
+    downloadFormats: { type: 'array', items: { type: 'string', enum: ASSET_FORMATS } }
+  }
+};
+
+// A post-download hook: a shell command or a JS module, optionally for some formats only
+const HOOK_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    command: { type: 'string' },
+    module: { type: 'string' },
+    formats: { type: 'array', items: { type: 'string', enum: ASSET_FORMATS } }
+  }
+};
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    sites: { type: 'map', values: SITE_SCHEMA, default: {} },
+    profiles: { type: 'map', values: PROFILE_SCHEMA, default: {} },
+    downloads: {
+      type: 'object',
+      properties: {
+        baseDir: { type: 'string', default: './downloads' },
+        mode: { type: 'string', enum: ['browser', 'http'], default: 'browser' },
+        concurrency: { type: 'integer', min: 1, max: 8, default: 1 },
+        createSiteSubfolders: { type: 'boolean', default: true },
+        layout: { type: 'string', enum: ['flat', 'calibre'], default: 'flat' },
+        filenameTemplate: { type: 'string', default: '{title}.{ext}' },
+        replaceSpaces: { type: 'boolean', default: true },
+        filenameMaxLength: { type: 'integer', min: 20, max: 255, default: 200 }
+      }
+    },
+    updates: {
+      type: 'object',
+      properties: {
+        check: { type: 'boolean', default: true },
+        checkServer: { type: 'boolean', default: false },
+        keepVersions: { type: 'integer', min: 1, max: 100, default: 5 }
+      }
+    },
+    reports: {
+      type: 'object',
+      properties: {
+        dir: { type: 'string', default: './reports' },
+        formats: { type: 'array', items: { type: 'string', enum: ['json', 'markdown', 'html'] }, default: ['json', 'markdown'] }
+      }
+    },
+    session: {
+      type: 'object',
+      properties: {
+        dir: { type: 'string', default: '' },
+        maxAgeDays: { type: 'integer', min: 1, max: 365, default: 30 }
+      }
+    },
+    browser: {
+      type: 'object',
+      properties: {
+        headless: { type: 'boolean', default: false },
+        timeout: { type: 'integer', min: 1000, default: 30000 },
+        downloadTimeout: { type: 'integer', min: 1000, default: 60000 }
+      }
+    },
+    retry: {
+      type: 'object',
+      properties: {
+        baseDelay: { type: 'integer', min: 0, default: 2000 },
+        maxDelay: { type: 'integer', min: 0, default: 60000 },
+        attempts: {
+          type: 'object',
+          properties: {
+            'auth-expired': { type: 'integer', min: 0, max: 10, default: 1 },
+            'link-missing': { type: 'integer', min: 0, max: 10, default: 0 },
+            'download-timeout': { type: 'integer', min: 0, max: 10, default: 2 },
+            'network-error': { type: 'integer', min: 0, max: 10, default: 3 },
+            'corrupt-file': { type: 'integer', min: 0, max: 10, default: 2 },
+            'unknown': { type: 'integer', min: 0, max: 10, default: 1 }
+          }
+        }
+      }
+    },
+    hooks: {
+      type: 'object',
+      properties: {
+        afterFile: { type: 'array', items: HOOK_SCHEMA, default: [] },
+        afterRun: { type: 'array', items: HOOK_SCHEMA, default: [] },
+        timeout: { type: 'integer', min: 1000, default: 120000 }
+      }
+    },
+    watch: {
+      type: 'object',
+      properties: {
+        schedule: { type: 'string', default: '0 */6 * * *' },
+        runOnStart: { type: 'boolean', default: true },
+        notify: {
+          type: 'object',
+          properties: {
+            webhook: { type: 'string', default: '' },
+            command: { type: 'string', default: '' },
+            stdout: { type: 'boolean', default: true },
+            when: { type: 'string', enum: ['changes', 'always'], default: 'changes' }
+          }
+        }
+      }
+    },
+    logging: {
+      type: 'object',
+      properties: {
+        dir: { type: 'string', default: './logs' },
+        level: { type: 'string', enum: ['quiet', 'normal', 'verbose'], default: 'normal' },
+        format: { type: 'string', enum: ['text', 'json'], default: 'text' },
+        retentionDays: { type: 'integer', min: 1, default: 14 },
+        debug: { type: 'boolean', default: false }
+      }
+    }
+  }
+};
+
+// Environment variables that override config file values
+const ENV_OVERRIDES = {
+  EBOOK_HEADLESS: 'browser.headless',
+  EBOOK_TIMEOUT: 'browser.timeout',
+  EBOOK_DOWNLOAD_TIMEOUT: 'browser.downloadTimeout',
+  EBOOK_DOWNLOADS_DIR: 'downloads.baseDir',
+  EBOOK_DOWNLOAD_MODE: 'downloads.mode',
+  EBOOK_CONCURRENCY: 'downloads.concurrency',
+  EBOOK_LAYOUT: 'downloads.layout',
+  EBOOK_FILENAME_TEMPLATE: 'downloads.filenameTemplate',
+  EBOOK_FILENAME_MAX_LENGTH: 'downloads.filenameMaxLength',
+  EBOOK_SESSION_DIR: 'session.dir',
+  EBOOK_REPORTS_DIR: 'reports.dir',
+  EBOOK_REPORT_FORMATS: 'reports.formats',
+  EBOOK_WATCH_SCHEDULE: 'watch.schedule',
+  EBOOK_WEBHOOK_URL: 'watch.notify.webhook',
+  EBOOK_NOTIFY_COMMAND: 'watch.notify.command',
+  EBOOK_LOGS_DIR: 'logging.dir',
+  EBOOK_LOG_LEVEL: 'logging.level',
+  EBOOK_LOG_FORMAT: 'logging.format',
+  EBOOK_DEBUG: 'logging.debug'
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(result[key])
+      ? deepMerge(result[key], value)
+      : value;
+  }
+  return result;
+}
+
+function setPath(obj, keyPath, value) {
+  const keys = keyPath.split('.');
+  let current = obj;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(current[key])) {
+      current[key] = {};
+    }
+    current = current[key];
+  }
+  current[keys[keys.length - 1]] = value;
+}
+
+// Find the schema node for a dotted key path, used to type env and CLI values
+function schemaAt(keyPath) {
+  let node = SCHEMA;
+  for (const key of keyPath.split('.')) {
+    if (!node) return null;
+    node = node.type === 'map' ? node.values : (node.properties || {})[key];
+  }
+  return node;
+}
+
+// Convert a string from the environment or command line into the type the schema expects
+function coerce(raw, node) {
+  if (!node || typeof raw !== 'string') return raw;
+  switch (node.type) {
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      return raw;
+    case 'integer':
+      return /^-?\d+$/.test(raw) ? parseInt(raw, 10) : raw;
+    case 'array':
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return raw;
+  }
+}
+
+// Levenshtein distance, to suggest the intended key when a config key is misspelled
+function distance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+function suggest(key, candidates) {
+  const best = candidates
+    .map(candidate => ({ candidate, score: distance(key.toLowerCase(), candidate.toLowerCase()) }))
+    .sort((a, b) => a.score - b.score)[0];
+  return best && best.score <= 3 ? ` (did you mean "${best.candidate}"?)` : '';
+}
+
+function describe(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Validate a value against a schema node, filling in defaults, and collect readable errors
+function validate(value, node, keyPath, errors) {
+  const label = keyPath || 'config';
+
+  if (value === undefined) {
+    if (node.default !== undefined) {
+      return JSON.parse(JSON.stringify(node.default));
+    }
+    if (node.type === 'object') {
+      value = {};
+    } else {
+      return undefined;
+    }
+  }
+
+  switch (node.type) {
+    case 'object': {
+      if (!isPlainObject(value)) {
+        errors.push(`${label}: expected an object, got ${describe(value)}`);
+        return value;
+      }
+      const known = Object.keys(node.properties);
+      const result = {};
+      for (const key of Object.keys(value)) {
+        if (!known.includes(key)) {
+          errors.push(`${keyPath ? `${keyPath}.` : ''}${key}: unknown setting${suggest(key, known)}`);
+        }
+      }
+      for (const key of known) {
+        const child = validate(value[key], node.properties[key], keyPath ? `${keyPath}.${key}` : key, errors);
+        if (child !== undefined) {
+          result[key] = child;
+        }
+      }
+      return result;
+    }
+    case 'map': {
+      if (!isPlainObject(value)) {
+        errors.push(`${label}: expected an object, got ${describe(value)}`);
+        return value;
+      }
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        result[key] = validate(child, node.values, `${label}.${key}`, errors);
+      }
+      return result;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push(`${label}: expected a list, got ${describe(value)}`);
+        return value;
+      }
+      return value.map((item, i) => validate(item, node.items, `${label}[${i}]`, errors));
+    }
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        errors.push(`${label}: expected a whole number, got ${JSON.stringify(value)}`);
+      } else if (node.min !== undefined && value < node.min) {
+        errors.push(`${label}: must be at least ${node.min}, got ${value}`);
+      } else if (node.max !== undefined && value > node.max) {
+        errors.push(`${label}: must be at most ${node.max}, got ${value}`);
+      }
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${label}: expected true or false, got ${JSON.stringify(value)}`);
+      }
+      return value;
+    case 'url':
+      if (typeof value !== 'string' || !/^https?:\/\//.test(value)) {
+        errors.push(`${label}: expected an http(s) URL, got ${JSON.stringify(value)}`);
+      }
+      return value;
+    case 'string':
+    default:
+      if (typeof value !== 'string') {
+        errors.push(`${label}: expected a string, got ${describe(value)}`);
+      } else if (node.enum && !node.enum.includes(value)) {
+        errors.push(`${label}: must be one of ${node.enum.join(', ')}, got "${value}"${suggest(value, node.enum)}`);
+      }
+      return value;
+  }
+}
+
+function envOverrides(env) {
+  const overrides = {};
+  for (const [name, keyPath] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      setPath(overrides, keyPath, coerce(env[name], schemaAt(keyPath)));
+    }
+  }
+  return overrides;
+}
+
+// Turn ["browser.headless=true", ...] from --set flags into a nested override object
+function parseSetOverrides(assignments = []) {
+  const overrides = {};
+  for (const assignment of assignments) {
+    const separator = assignment.indexOf('=');
+    if (separator <= 0) {
+      throw new ConfigError(`Invalid override "${assignment}" - expected key.path=value`);
+    }
+    const keyPath = assignment.slice(0, separator).trim();
+    const raw = assignment.slice(separator + 1).trim();
+    setPath(overrides, keyPath, coerce(raw, schemaAt(keyPath)));
+  }
+  return overrides;
+}
+
+// Load config.json, layer environment and CLI overrides on top, then validate
+function loadConfig({ configPath, overrides = {}, env = process.env } = {}) {
+  const filePath = path.resolve(configPath || env.EBOOK_CONFIG || DEFAULT_CONFIG_PATH);
+
+  let fileConfig = {};
+  if (fs.pathExistsSync(filePath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`Could not parse ${filePath}: ${error.message}`);
+    }
+  } else if (configPath || env.EBOOK_CONFIG) {
+    throw new ConfigError(`Config file not found: ${filePath}`);
+  }
+
+  const merged = deepMerge(deepMerge(fileConfig, envOverrides(env)), overrides);
+  const errors = [];
+  const config = validate(merged, SCHEMA, '', errors);
+
+  for (const name of Object.keys(config.profiles)) {
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+      errors.push(`profiles.${name}: profile names may only contain letters, digits, "-" and "_"`);
+    }
+  }
+
+  const unknown = unknownPlaceholders(config.downloads.filenameTemplate);
+  if (unknown.length > 0) {
+    errors.push(`downloads.filenameTemplate: unknown placeholder {${unknown[0]}}${suggest(unknown[0], TEMPLATE_FIELDS)}`);
+  }
+
+  for (const stage of ['afterFile', 'afterRun']) {
+    config.hooks[stage].forEach((hook, i) => {
+      if (isPlainObject(hook) && Boolean(hook.command) === Boolean(hook.module)) {
+        errors.push(`hooks.${stage}[${i}]: needs either "command" or "module"`);
+      }
+    });
+  }
+
+  try {
+    parseSchedule(config.watch.schedule);
+  } catch (error) {
+    errors.push(`watch.schedule: ${error.message}`);
+  }
+  if (config.watch.notify.webhook && !/^https?:\/\//.test(config.watch.notify.webhook)) {
+    errors.push(`watch.notify.webhook: expected an http(s) URL, got ${JSON.stringify(config.watch.notify.webhook)}`);
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid configuration in ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  // Relative directories are relative to the project root, not the current working directory
+  config.downloads.baseDir = path.resolve(PROJECT_ROOT, config.downloads.baseDir);
+  config.logging.dir = path.resolve(PROJECT_ROOT, config.logging.dir);
+  config.reports.dir = path.resolve(PROJECT_ROOT, config.reports.dir);
+  for (const hook of [...config.hooks.afterFile, ...config.hooks.afterRun]) {
+    if (hook.module) {
+      hook.module = path.resolve(PROJECT_ROOT, hook.module);
+    }
+  }
+  for (const profile of Object.values(config.profiles)) {
+    if (profile.baseDir) {
+      profile.baseDir = path.resolve(PROJECT_ROOT, profile.baseDir);
+    }
+  }
+  // Sessions live in the user's config directory unless configured otherwise
+  config.session.dir = config.session.dir ? path.resolve(PROJECT_ROOT, config.session.dir) : defaultSessionDir(env);
+  config.configPath = filePath;
+
+  return config;
+}
+
+// Settings for a single site, with the schema defaults applied even if the site has no entry
+function getSiteConfig(config, site) {
+  const errors = [];
+  return validate((config.sites || {})[site], SITE_SCHEMA, `sites.${site}`, errors);
+}
+
+module.exports = { loadConfig, getSiteConfig, parseSetOverrides, ConfigError, ENV_OVERRIDES };
@@ -0,0 +1,51 @@
+// Why a download failed - each kind has its own retry budget (config `retry.attempts`)
+const FAILURE_KINDS = {
+  AUTH_EXPIRED: 'auth-expired',
+  LINK_MISSING: 'link-missing',
+  DOWNLOAD_TIMEOUT: 'download-timeout',
+  NETWORK_ERROR: 'network-error',
+  CORRUPT_FILE: 'corrupt-file',
+  UNKNOWN: 'unknown'
+};
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EPIPE', 'ENETUNREACH'];
+
+// Raised when a site rejects our credentials or the saved session is no longer valid
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// A single file could not be downloaded; `kind` is one of FAILURE_KINDS
+class DownloadError extends Error {
+  constructor(message, kind = FAILURE_KINDS.UNKNOWN) {
+    super(message);
+    this.name = 'DownloadError';
+    this.kind = kind;
+  }
+}
+
+// Work out which FAILURE_KINDS an arbitrary error belongs to
+function classifyError(error) {
+  if (!error) {
+    return FAILURE_KINDS.UNKNOWN;
+  }
+  if (error.kind && Object.values(FAILURE_KINDS).includes(error.kind)) {
+    return error.kind;
+  }
+  if (error instanceof AuthError) {
+    return FAILURE_KINDS.AUTH_EXPIRED;
+  }
+  // Playwright raises TimeoutError for waitForEvent/waitForSelector
+  if (error.name === 'TimeoutError') {
+    return FAILURE_KINDS.DOWNLOAD_TIMEOUT;
+  }
+  if (NETWORK_ERROR_CODES.includes(error.code) || /net::ERR_/.test(error.message || '')) {
+    return FAILURE_KINDS.NETWORK_ERROR;
+  }
+  return FAILURE_KINDS.UNKNOWN;
+}
+
+module.exports = { AuthError, DownloadError, FAILURE_KINDS, classifyError };
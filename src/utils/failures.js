@@ -0,0 +1,83 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeJsonAtomic } = require('./json-file');
+
+const FAILURES_FILENAME = '.failures.json';
+
+// Failed downloads from previous runs, so `retry-failed` can re-attempt just those items
+class FailureStore {
+  constructor(siteDir, site) {
+    this.siteDir = siteDir;
+    this.site = site;
+    this.filePath = path.join(siteDir, FAILURES_FILENAME);
+    this.entries = {};
+  }
+
+  async load() {
+    if (await fs.pathExists(this.filePath)) {
+      try {
+        const data = await fs.readJson(this.filePath);
+        this.entries = data.entries || {};
+      } catch {
+        this.entries = {};
+      }
+    }
+    return this;
+  }
+
+  async save() {
+    await fs.ensureDir(this.siteDir);
+    await writeJsonAtomic(this.filePath, {
+      site: this.site,
+      updatedAt: new Date().toISOString(),
+      entries: this.entries
+    });
+  }
+
+  key(bookId, format) {
+    return `${bookId}:${format.toLowerCase()}`;
+  }
+
+  add({ bookId, title, format, kind, reason, attempts, sourceUrl }) {
+    const key = this.key(bookId, format);
+    const previous = this.entries[key];
+    this.entries[key] = {
+      bookId,
+      title,
+      format: format.toLowerCase(),
+      kind,
+      reason,
+      attempts,
+      sourceUrl: sourceUrl || null,
+      runs: previous ? previous.runs + 1 : 1,
+      failedAt: new Date().toISOString()
+    };
+  }
+
+  clear(bookId, format) {
+    delete this.entries[this.key(bookId, format)];
+  }
+
+  // Move failures recorded under oldId to newId (see Manifest#rekey)
+  rekey(oldId, newId) {
+    for (const entry of this.all().filter(item => item.bookId === oldId)) {
+      const key = this.key(newId, entry.format);
+      this.entries[key] = this.entries[key] || { ...entry, bookId: newId };
+      this.clear(oldId, entry.format);
+    }
+  }
+
+  has(bookId, format) {
+    return Boolean(this.entries[this.key(bookId, format)]);
+  }
+
+  formatsFor(bookId) {
+    return this.all().filter(entry => entry.bookId === bookId).map(entry => entry.format);
+  }
+
+  all() {
+    return Object.values(this.entries);
+  }
+}
+
+module.exports = { FailureStore, FAILURES_FILENAME };
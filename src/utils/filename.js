@@ -0,0 +1,139 @@
+const path = require('path');
+const { assetExtension } = require('./assets');
+
+// Placeholders a filename template may use
+const TEMPLATE_FIELDS = ['title', 'subtitle', 'author', 'authors', 'year', 'edition', 'isbn', 'publisher', 'id', 'site', 'filename', 'ext'];
+
+// Names Windows refuses for files, with or without an extension
+const WINDOWS_RESERVED = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+const FALLBACK_NAME = 'Unknown_Book';
+
+// Placeholders that are not in TEMPLATE_FIELDS, to report typos in the config
+function unknownPlaceholders(template) {
+  const names = (template.match(/\{[^}]*\}/g) || []).map(token => token.slice(1, -1));
+  return names.filter(name => !TEMPLATE_FIELDS.includes(name));
+}
+
+// Cut a string to at most maxBytes of UTF-8 without splitting a character (or a
+// character and its combining accents)
+function truncateBytes(text, maxBytes) {
+  if (Buffer.byteLength(text) <= maxBytes) {
+    return text;
+  }
+  const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+  let result = '';
+  let bytes = 0;
+  for (const { segment } of segmenter.segment(text)) {
+    const size = Buffer.byteLength(segment);
+    if (bytes + size > maxBytes) {
+      break;
+    }
+    result += segment;
+    bytes += size;
+  }
+  return result;
+}
+
+function trimEnds(text) {
+  // Leading dots hide files on Unix; trailing dots and spaces are dropped by Windows
+  return text.replace(/^[\s_.]+|[\s_.]+$/g, '');
+}
+
+// Make one path segment safe on Windows, macOS and Linux and at most maxBytes long
+function sanitizeSegment(name, { maxBytes = 255, replaceSpaces = true } = {}) {
+  if (!name || typeof name !== 'string') {
+    return FALLBACK_NAME;
+  }
+
+  let result = name
+    .normalize('NFC') // macOS hands back decomposed names - compose so the same title is the same name
+    .replace(/[\u0000-\u001f\u007f]/g, '') // Control characters
+    .replace(/[<>:"/\\|?*]/g, '_') // Replace invalid characters with underscore
+    .replace(/\s+/g, replaceSpaces ? '_' : ' ') // Replace spaces with underscores for better file names
+    .replace(/_{2,}/g, '_'); // Replace multiple underscores with single
+
+  result = trimEnds(truncateBytes(trimEnds(result), maxBytes));
+  if (WINDOWS_RESERVED.test(result)) {
+    result = truncateBytes(`_${result}`, maxBytes);
+  }
+  return result || FALLBACK_NAME;
+}
+
+// "2" -> "2nd Edition"
+function editionLabel(edition) {
+  if (!edition) {
+    return '';
+  }
+  const suffix = edition % 100 >= 11 && edition % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[edition % 10] || 'th');
+  return `${edition}${suffix} Edition`;
+}
+
+// Values for every placeholder from a book and its metadata (site row or normalized record).
+// `ext` overrides the format's usual extension, for a cover that turned out to be a PNG.
+// `filename` is the name the server sent the file under (Content-Disposition); {filename}
+// is that name without its extension, or the title when the server sent none.
+function templateFields(book, { format, site, ext = null, filename = null }) {
+  const metadata = book.metadata || {};
+  const authors = metadata.authors || [];
+  const year = (String(metadata.published || '').match(/\d{4}/) || [''])[0];
+  return {
+    title: book.title || '',
+    subtitle: metadata.subtitle || '',
+    author: authors[0] || '',
+    authors: authors.length > 3 ? `${authors.slice(0, 3).join(', ')} et al.` : authors.join(', '),
+    year,
+    edition: editionLabel(metadata.edition),
+    isbn: metadata.isbn || '',
+    publisher: metadata.publisher || '',
+    id: book.id || '',
+    site: site || '',
+    filename: (filename && path.parse(filename).name) || book.title || '',
+    ext: ext || assetExtension(format)
+  };
+}
+
+// Fill a template like "{authors} - {title} ({year}) [{edition}].{ext}". Empty values take
+// their brackets and separators with them, so a book without a year is "Author - Title.pdf".
+function renderSegment(segment, fields) {
+  return segment
+    .replace(/\(\{(\w+)\}\)|\[\{(\w+)\}\]/g, (group, round, square) => (fields[round || square] ? group : ''))
+    .replace(/\{(\w+)\}/g, (_, name) => String(fields[name] || ''))
+    .replace(/\s+/g, ' ')
+    .replace(/^\s*[-–,]\s*|\s*[-–,]\s*(?=\.[^.]*$)|\s*[-–,]\s*$/g, '')
+    .replace(/\s+-\s+-\s+/g, ' - ')
+    .trim();
+}
+
+// Relative path for a book file. Templates may contain "/" to create folders; every segment
+// is sanitized, and the file name keeps its extension within maxBytes.
+function renderFilePath(template, fields, { maxBytes = 255, replaceSpaces = true } = {}) {
+  const ext = `.${fields.ext}`;
+  const segments = template.split('/').map(segment => renderSegment(segment, fields)).filter(Boolean);
+  let fileName = segments.pop() || '';
+  if (fileName.toLowerCase().endsWith(ext.toLowerCase())) {
+    fileName = fileName.slice(0, -ext.length);
+  }
+
+  const dirs = segments.map(segment => sanitizeSegment(segment, { maxBytes, replaceSpaces }));
+  const base = sanitizeSegment(fileName, { maxBytes: maxBytes - Buffer.byteLength(ext), replaceSpaces });
+  return path.join(...dirs, `${base}${ext}`);
+}
+
+// "dir/Title.pdf" + "abc" -> "dir/Title (abc).pdf", still within maxBytes
+function withSuffix(filePath, suffix, { maxBytes = 255, replaceSpaces = true } = {}) {
+  const ext = path.extname(filePath);
+  const tag = `${replaceSpaces ? '_' : ' '}(${sanitizeSegment(suffix, { maxBytes: 64, replaceSpaces })})`;
+  const base = truncateBytes(path.basename(filePath, ext), maxBytes - Buffer.byteLength(ext) - Buffer.byteLength(tag));
+  return path.join(path.dirname(filePath), `${trimEnds(base)}${tag}${ext}`);
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  sanitizeSegment,
+  templateFields,
+  renderFilePath,
+  withSuffix,
+  unknownPlaceholders,
+  editionLabel
+};
@@ -0,0 +1,31 @@
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// Returns an onProgress callback that redraws a single status line at most twice a second
+function progressReporter(label, stream = process.stdout) {
+  let lastDraw = 0;
+  return ({ received, total }) => {
+    const now = Date.now();
+    const done = total !== null && received >= total;
+    if (!stream.isTTY || (!done && now - lastDraw < 500)) {
+      return;
+    }
+    lastDraw = now;
+    const percent = total ? ` (${Math.floor((received / total) * 100)}%)` : '';
+    const size = total ? `${formatBytes(received)}/${formatBytes(total)}` : formatBytes(received);
+    stream.write(`\r  ⬇️  ${label} ${size}${percent}   `);
+    if (done) {
+      stream.write('\n');
+    }
+  };
+}
+
+module.exports = { formatBytes, progressReporter };
@@ -0,0 +1,239 @@
+const fs = require('fs-extra');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { parseRetryAfter } = require('./rate-limiter');
+const { DownloadError, FAILURE_KINDS } = require('./errors');
+
+const MAX_REDIRECTS = 5;
+
+function kindForStatus(statusCode) {
+  if (statusCode === 401 || statusCode === 403) return FAILURE_KINDS.AUTH_EXPIRED;
+  if (statusCode === 404 || statusCode === 410) return FAILURE_KINDS.LINK_MISSING;
+  return FAILURE_KINDS.NETWORK_ERROR;
+}
+
+class HttpDownloadError extends DownloadError {
+  constructor(message, statusCode = null, retryAfter = null, kind = null) {
+    super(message, kind || kindForStatus(statusCode));
+    this.name = 'HttpDownloadError';
+    this.statusCode = statusCode;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Build a Cookie header from Playwright cookies that apply to this URL
+function cookieHeaderFor(url, cookies) {
+  const { hostname, pathname, protocol } = new URL(url);
+  return cookies
+    .filter(cookie => {
+      const domain = cookie.domain.replace(/^\./, '');
+      const domainMatches = hostname === domain || hostname.endsWith(`.${domain}`);
+      const pathMatches = pathname.startsWith(cookie.path || '/');
+      const secureMatches = !cookie.secure || protocol === 'https:';
+      const notExpired = !cookie.expires || cookie.expires < 0 || cookie.expires * 1000 > Date.now();
+      return domainMatches && pathMatches && secureMatches && notExpired;
+    })
+    .map(cookie => `${cookie.name}=${cookie.value}`)
+    .join('; ');
+}
+
+// Extract the filename from a Content-Disposition header, preferring the RFC 5987 form
+function filenameFromDisposition(header) {
+  if (!header) {
+    return null;
+  }
+  const extended = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''));
+    } catch {
+      // Fall through to the plain filename parameter
+    }
+  }
+  const plain = header.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+  if (plain) {
+    return (plain[2] !== undefined ? plain[2] : plain[1]).trim();
+  }
+  return null;
+}
+
+function request(url, headers, timeout) {
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, { headers }, resolve);
+    req.on('error', error => reject(
+      error instanceof HttpDownloadError ? error : new HttpDownloadError(`Network error: ${error.message}`)
+    ));
+    req.setTimeout(timeout, () => {
+      req.destroy(new HttpDownloadError(`No data received for ${timeout / 1000}s`, null, null, FAILURE_KINDS.DOWNLOAD_TIMEOUT));
+    });
+  });
+}
+
+// Streams authenticated downloads straight to disk using the browser session's cookies.
+// Partial files are kept next to the target and resumed with HTTP Range on the next attempt.
+class HttpDownloader {
+  constructor({ cookies = [], userAgent, timeout = 60000 } = {}) {
+    this.cookies = cookies;
+    this.userAgent = userAgent;
+    this.timeout = timeout;
+  }
+
+  // Follow redirects manually so the right cookies are sent to each host
+  async open(url, extraHeaders = {}) {
+    let currentUrl = url;
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+      const headers = { ...extraHeaders };
+      if (this.userAgent) {
+        headers['User-Agent'] = this.userAgent;
+      }
+      const cookie = cookieHeaderFor(currentUrl, this.cookies);
+      if (cookie) {
+        headers.Cookie = cookie;
+      }
+
+      const response = await request(currentUrl, headers, this.timeout);
+      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+        response.resume();
+        currentUrl = new URL(response.headers.location, currentUrl).toString();
+        continue;
+      }
+      return { response, finalUrl: currentUrl };
+    }
+    throw new HttpDownloadError(`Too many redirects for ${url}`);
+  }
+
+  // Download url into partialPath (resuming if it exists) and return what the server told us
+  async download(url, partialPath, { onProgress = null } = {}) {
+    await fs.ensureDir(path.dirname(partialPath));
+
+    const metaPath = `${partialPath}.json`;
+    let offset = 0;
+    let meta = null;
+    if (await fs.pathExists(partialPath) && await fs.pathExists(metaPath)) {
+      meta = await fs.readJson(metaPath).catch(() => null);
+      if (meta && meta.url === url) {
+        offset = (await fs.stat(partialPath)).size;
+      }
+    }
+
+    const headers = {};
+    if (offset > 0) {
+      headers.Range = `bytes=${offset}-`;
+      // Only resume if the file on the server is still the one we started
+      if (meta.etag || meta.lastModified) {
+        headers['If-Range'] = meta.etag || meta.lastModified;
+      }
+    }
+
+    const { response, finalUrl } = await this.open(url, headers);
+    const { statusCode } = response;
+
+    if (statusCode === 416) {
+      // Our partial file is no use for this range - start over
+      response.resume();
+      await fs.remove(partialPath);
+      await fs.remove(metaPath);
+      return this.download(url, partialPath, { onProgress });
+    }
+    if (statusCode !== 200 && statusCode !== 206) {
+      response.resume();
+      throw new HttpDownloadError(
+        `Server responded with HTTP ${statusCode}`,
+        statusCode,
+        parseRetryAfter(response.headers['retry-after'])
+      );
+    }
+
+    const contentType = response.headers['content-type'] || '';
+    if (contentType.includes('text/html')) {
+      response.resume();
+      throw new HttpDownloadError(
+        'Server returned an HTML page instead of a file - the session may have expired',
+        statusCode,
+        null,
+        FAILURE_KINDS.AUTH_EXPIRED
+      );
+    }
+
+    const resumed = statusCode === 206;
+    if (!resumed) {
+      offset = 0;
+    }
+    await fs.writeJson(metaPath, {
+      url,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null
+    });
+
+    const length = parseInt(response.headers['content-length'], 10);
+    const total = Number.isFinite(length) ? offset + length : null;
+    let received = offset;
+
+    await new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(partialPath, { flags: resumed ? 'a' : 'w' });
+      response.on('data', chunk => {
+        received += chunk.length;
+        if (onProgress) {
+          onProgress({ received, total });
+        }
+      });
+      response.on('error', reject);
+      response.on('aborted', () => reject(new HttpDownloadError('Connection closed before the download finished')));
+      out.on('error', reject);
+      out.on('finish', resolve);
+      response.pipe(out);
+    });
+
+    if (total !== null && received < total) {
+      throw new HttpDownloadError(`Download incomplete: ${received} of ${total} bytes`);
+    }
+
+    await fs.remove(metaPath);
+    return {
+      finalUrl,
+      resumed,
+      size: received,
+      filename: filenameFromDisposition(response.headers['content-disposition']),
+      contentType,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null
+    };
+  }
+
+  // Ask the server whether a file changed since we fetched it, without downloading it.
+  // Servers that ignore conditional requests answer 200, so the validators are compared too.
+  async check(url, { etag = null, lastModified = null } = {}) {
+    const headers = {};
+    if (etag) {
+      headers['If-None-Match'] = etag;
+    }
+    if (lastModified) {
+      headers['If-Modified-Since'] = lastModified;
+    }
+
+    const { response } = await this.open(url, headers);
+    response.destroy();
+    const current = {
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null
+    };
+
+    if (response.statusCode === 304) {
+      return { changed: false, ...current };
+    }
+    if (response.statusCode !== 200) {
+      throw new HttpDownloadError(
+        `Server responded with HTTP ${response.statusCode}`,
+        response.statusCode,
+        parseRetryAfter(response.headers['retry-after'])
+      );
+    }
+    const changed = Boolean((etag && current.etag && etag !== current.etag) ||
+      (lastModified && current.lastModified && lastModified !== current.lastModified));
+    return { changed, ...current };
+  }
+}
+
+module.exports = { HttpDownloader, HttpDownloadError, cookieHeaderFor, filenameFromDisposition };
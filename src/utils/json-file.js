@@ -0,0 +1,32 @@
+const fs = require('fs-extra');
+
+// Writes still running, by target file
+const pending = new Map();
+let counter = 0;
+
+// Write JSON to a temp file and rename it over the target, so a killed run never leaves a
+// half-written file. Parallel download workers save the same manifest at the same moment:
+// writes to one file are queued, and each has a temp file of its own.
+function writeJsonAtomic(filePath, data) {
+  const previous = pending.get(filePath) || Promise.resolve();
+  const write = previous.catch(() => {}).then(async () => {
+    const tmpPath = `${filePath}.${process.pid}-${++counter}.tmp`;
+    try {
+      await fs.writeJson(tmpPath, data, { spaces: 2 });
+      await fs.move(tmpPath, filePath, { overwrite: true });
+    } catch (error) {
+      await fs.remove(tmpPath).catch(() => {});
+      throw error;
+    }
+  });
+
+  pending.set(filePath, write);
+  write.catch(() => {}).then(() => {
+    if (pending.get(filePath) === write) {
+      pending.delete(filePath);
+    }
+  });
+  return write;
+}
+
+module.exports = { writeJsonAtomic };
@@ -0,0 +1,56 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeJsonAtomic } = require('./json-file');
+
+const LIBRARY_FILENAME = '.library.json';
+
+// Every book earlier syncs have worked on, by id, so `--new` can tell which books were
+// added to the library since. Books with files in the manifest count as seen too, for
+// downloads made before this file existed.
+class LibraryIndex {
+  constructor(siteDir, site) {
+    this.siteDir = siteDir;
+    this.site = site;
+    this.filePath = path.join(siteDir, LIBRARY_FILENAME);
+    this.books = {};
+    this.lastSyncAt = null;
+  }
+
+  async load() {
+    if (await fs.pathExists(this.filePath)) {
+      try {
+        const data = await fs.readJson(this.filePath);
+        this.books = data.books || {};
+        this.lastSyncAt = data.lastSyncAt || null;
+      } catch {
+        this.books = {};
+      }
+    }
+    return this;
+  }
+
+  async save() {
+    await fs.ensureDir(this.siteDir);
+    await writeJsonAtomic(this.filePath, {
+      site: this.site,
+      lastSyncAt: this.lastSyncAt,
+      books: this.books
+    });
+  }
+
+  has(bookId) {
+    return Boolean(this.books[bookId]);
+  }
+
+  // Record the books a sync worked on; the rest stay "new" for the next --new run
+  markSeen(books) {
+    const now = new Date().toISOString();
+    for (const book of books) {
+      const known = this.books[book.id];
+      this.books[book.id] = { title: book.title, firstSeen: known ? known.firstSeen : now, lastSeen: now };
+    }
+    this.lastSyncAt = now;
+  }
+}
+
+module.exports = { LibraryIndex, LIBRARY_FILENAME };
@@ -0,0 +1,60 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Raised when another live process holds the lock
+class LockError extends Error {
+  constructor(message, holder) {
+    super(message);
+    this.name = 'LockError';
+    this.holder = holder;
+  }
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+// Take an exclusive lock file holding our pid. A lock left behind by a process that is no
+// longer running is taken over. Resolves with { filePath, release }.
+async function acquireLock(filePath, info = {}) {
+  await fs.ensureDir(path.dirname(filePath));
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(filePath, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString(), ...info }, null, 2), { flag: 'wx' });
+      return { filePath, release: () => releaseLock(filePath) };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const holder = await fs.readJson(filePath).catch(() => null);
+    if (holder && holder.pid !== process.pid && isRunning(holder.pid)) {
+      throw new LockError(`Already running as pid ${holder.pid} since ${holder.startedAt} (lock: ${filePath})`, holder);
+    }
+    // Stale: its process is gone
+    await fs.remove(filePath);
+  }
+  throw new LockError(`Could not take the lock ${filePath}`, null);
+}
+
+// Remove the lock if it is still ours. Synchronous so it also works from an 'exit' handler.
+function releaseLock(filePath) {
+  try {
+    const holder = fs.readJsonSync(filePath);
+    if (holder.pid === process.pid) {
+      fs.removeSync(filePath);
+    }
+  } catch {
+    // Already gone
+  }
+}
+
+module.exports = { acquireLock, releaseLock, LockError };
@@ -1,67 +1,176 @@
 const chalk = require('chalk');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
+const { redact, addSecret } = require('./redact');
+
+// How much each level needs to be shown: quiet shows errors, warnings and command
+// results; normal adds progress; verbose adds debug detail (row HTML, links, tabs)
+const LEVELS = { error: 0, warning: 1, result: 1, success: 2, info: 2, debug: 3 };
+const MODES = { quiet: 1, normal: 2, verbose: 3 };
+
+const LOG_FILE_PATTERN = /^download-(\d{4}-\d{2}-\d{2})\.log$/;
+
+function stripAnsi(text) {
+  return text.replace(/\u001b\[[0-9;]*m/g, '');
+}
 
 class Logger {
   constructor() {
+    // Ties together every line of one run, in the log files and in JSON output
+    this.runId = crypto.randomBytes(4).toString('hex');
+    this.mode = process.env.DEBUG ? 'verbose' : 'normal';
+    this.format = 'text';
+    this.retentionDays = 14;
+    this.writes = Promise.resolve();
     this.logsDir = path.join(__dirname, '..', '..', 'logs');
-    this.logFile = path.join(this.logsDir, `download-${new Date().toISOString().split('T')[0]}.log`);
-    this.initializeLogFile();
+    // Lines logged before the config says where logs go are held back until it does
+    this.buffered = [];
   }
 
-  async initializeLogFile() {
-    try {
-      await fs.ensureDir(this.logsDir);
-      await fs.ensureFile(this.logFile);
-    } catch (error) {
-      console.error('Failed to initialize log file:', error.message);
+  // Apply the logging section of the loaded config (or just the flags, before it is loaded)
+  configure({ dir, debug, level, format, retentionDays } = {}) {
+    if (level) {
+      this.mode = level;
+    }
+    // logging.debug / DEBUG from before there were levels
+    if ((debug || process.env.DEBUG) && this.mode === 'normal') {
+      this.mode = 'verbose';
     }
+    if (format) {
+      this.format = format;
+    }
+    if (retentionDays) {
+      this.retentionDays = retentionDays;
+    }
+    if (dir) {
+      this.logsDir = dir;
+      this.queue(() => this.removeOldLogs());
+      this.writeBuffered();
+    }
+  }
+
+  get verbose() {
+    return this.mode === 'verbose';
   }
 
-  async writeToFile(level, message, data = null) {
-    try {
-      const timestamp = new Date().toISOString();
-      const logEntry = {
-        timestamp,
-        level,
-        message,
-        data
-      };
-      
-      await fs.appendFile(this.logFile, JSON.stringify(logEntry) + '\n');
-    } catch (error) {
-      console.error('Failed to write to log file:', error.message);
+  // Progress bars are for people watching a terminal, not for quiet or JSON runs
+  get showsProgress() {
+    return this.format === 'text' && MODES[this.mode] >= MODES.normal;
+  }
+
+  // One file per day, so a long-running process rotates at midnight
+  get logFile() {
+    return path.join(this.logsDir, `download-${new Date().toISOString().split('T')[0]}.log`);
+  }
+
+  // Delete daily log files older than retentionDays
+  async removeOldLogs() {
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const names = await fs.readdir(this.logsDir).catch(() => []);
+    for (const name of names) {
+      const match = name.match(LOG_FILE_PATTERN);
+      if (match && Date.parse(match[1]) < cutoff) {
+        await fs.remove(path.join(this.logsDir, name));
+      }
+    }
+  }
+
+  // Writes are chained so lines stay in order; flush() waits for them before exiting
+  queue(task) {
+    this.writes = this.writes.then(task).catch(error => {
+      process.stderr.write(`Failed to write to log file: ${error.message}\n`);
+    });
+  }
+
+  writeBuffered() {
+    const entries = this.buffered;
+    this.buffered = null;
+    for (const entry of entries || []) {
+      this.writeToFile(entry);
     }
   }
 
+  writeToFile(entry) {
+    if (this.buffered) {
+      this.buffered.push(entry);
+      return;
+    }
+    const logFile = this.logFile;
+    this.queue(async () => {
+      await fs.ensureDir(this.logsDir);
+      await fs.appendFile(logFile, JSON.stringify(entry) + '\n');
+    });
+  }
+
+  // Wait for pending writes (into the default logs/ folder if the config never loaded)
+  flush() {
+    this.writeBuffered();
+    return this.writes;
+  }
+
+  // Values that must never be printed or written, e.g. the password or session cookies
+  addSecrets(...values) {
+    values.flat().forEach(addSecret);
+  }
+
+  log(level, message, data = null) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      runId: this.runId,
+      level: level.toUpperCase(),
+      message: redact(stripAnsi(String(message))).trim(),
+      data: data === null ? null : redact(data)
+    };
+
+    // The file keeps normal detail even in quiet mode
+    if (LEVELS[level] <= Math.max(MODES[this.mode], MODES.normal)) {
+      this.writeToFile(entry);
+    }
+
+    if (LEVELS[level] > MODES[this.mode]) {
+      return;
+    }
+    if (this.format === 'json') {
+      process.stdout.write(JSON.stringify(entry) + '\n');
+      return;
+    }
+    const line = redact(String(message));
+    if (level === 'error') {
+      console.error(line);
+      if (data && this.verbose) {
+        console.error(chalk.red('   Stack:'), entry.data);
+      }
+    } else {
+      console.log(line);
+    }
+  }
+
+  // Messages carry their own emoji and colour; the level decides where they go
+
   info(message, data = null) {
-    console.log(chalk.blue('ℹ️ '), message);
-    this.writeToFile('INFO', message, data);
+    this.log('info', message, data);
   }
 
   success(message, data = null) {
-    console.log(chalk.green('✅'), message);
-    this.writeToFile('SUCCESS', message, data);
+    this.log('success', message, data);
   }
 
   warning(message, data = null) {
-    console.log(chalk.yellow('⚠️ '), message);
-    this.writeToFile('WARNING', message, data);
+    this.log('warning', message, data);
   }
 
   error(message, error = null) {
-    console.error(chalk.red('❌'), message);
-    if (error) {
-      console.error(chalk.red('   Stack:'), error.stack || error.message);
-    }
-    this.writeToFile('ERROR', message, error ? error.stack || error.message : null);
+    this.log('error', message, error ? error.stack || error.message || error : null);
   }
 
   debug(message, data = null) {
-    if (process.env.DEBUG) {
-      console.log(chalk.gray('🐛'), message);
-      this.writeToFile('DEBUG', message, data);
-    }
+    this.log('debug', message, data);
+  }
+
+  // What a command was asked for (a book list, a status table) - shown in quiet mode too
+  result(message, data = null) {
+    this.log('result', message, data);
   }
 }
 
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { writeJsonAtomic } = require('./json-file');
+
+const MANIFEST_FILENAME = '.manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Compute the SHA-256 of a file without loading it all into memory
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Per-site record of every file we have downloaded, so that a sync only
+// fetches what is new or missing and an interrupted run can pick up again
+class Manifest {
+  constructor(siteDir, site) {
+    this.siteDir = siteDir;
+    this.site = site;
+    this.filePath = path.join(siteDir, MANIFEST_FILENAME);
+    this.entries = {};
+  }
+
+  async load() {
+    if (await fs.pathExists(this.filePath)) {
+      try {
+        const data = await fs.readJson(this.filePath);
+        this.entries = data.entries || {};
+      } catch (error) {
+        // A corrupt manifest must not stop the sync - keep a copy and start fresh
+        const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+        await fs.move(this.filePath, backupPath);
+        this.entries = {};
+      }
+    }
+    return this;
+  }
+
+  async save() {
+    await fs.ensureDir(this.siteDir);
+    const data = {
+      version: MANIFEST_VERSION,
+      site: this.site,
+      updatedAt: new Date().toISOString(),
+      entries: this.entries
+    };
+
+    await writeJsonAtomic(this.filePath, data);
+  }
+
+  key(bookId, format) {
+    return `${bookId}:${format.toLowerCase()}`;
+  }
+
+  get(bookId, format) {
+    return this.entries[this.key(bookId, format)] || null;
+  }
+
+  // Where an entry's content is on disk: its own file, or for a duplicate that `dedupe
+  // --remove` deleted, the identical copy that was kept
+  locate(entry) {
+    return path.resolve(this.siteDir, entry.duplicateOf || entry.filePath);
+  }
+
+  // An item is complete when it is recorded and the file on disk still matches the recorded size
+  async isComplete(bookId, format) {
+    const entry = this.get(bookId, format);
+    if (!entry) {
+      return false;
+    }
+
+    const filePath = this.locate(entry);
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.size === entry.size;
+    } catch {
+      return false;
+    }
+  }
+
+  async record({ bookId, title, format, sourceUrl, filePath, validated = false, version = null, history = [], serverFilename = null }) {
+    const stats = await fs.stat(filePath);
+    const hash = await hashFile(filePath);
+
+    const entry = {
+      bookId,
+      title,
+      format: format.toLowerCase(),
+      sourceUrl,
+      filePath: path.relative(this.siteDir, filePath),
+      size: stats.size,
+      hash,
+      validated,
+      version,
+      history,
+      serverFilename,
+      downloadedAt: new Date().toISOString()
+    };
+
+    this.entries[this.key(bookId, format)] = entry;
+    await this.save();
+    return entry;
+  }
+
+  // Point an entry at the file's new location after it was moved on disk
+  async relocate(bookId, format, filePath) {
+    const entry = this.get(bookId, format);
+    if (entry) {
+      entry.filePath = path.relative(this.siteDir, filePath);
+      await this.save();
+    }
+  }
+
+  // The entry's file was deleted as a duplicate of `keptPath`; it stays downloaded as long
+  // as that copy does. Stored relative to siteDir like filePath, so moving the download
+  // folder with every library in it keeps the link. Call save() afterwards.
+  markDuplicate(bookId, format, keptPath) {
+    const entry = this.get(bookId, format);
+    if (entry) {
+      entry.duplicateOf = path.relative(this.siteDir, keptPath);
+    }
+  }
+
+  // The entry's file is missing or broken: forget its size and hash so the next sync
+  // downloads it again, but keep the entry's version and history. Call save() afterwards.
+  invalidate(bookId, format, reason) {
+    const entry = this.get(bookId, format);
+    if (entry) {
+      delete entry.size;
+      delete entry.hash;
+      entry.validated = false;
+      entry.invalid = { reason, at: new Date().toISOString() };
+    }
+  }
+
+  remove(bookId, format) {
+    delete this.entries[this.key(bookId, format)];
+  }
+
+  // Move every entry recorded under oldId to newId, unless newId already has that format.
+  // Returns how many entries moved; call save() afterwards.
+  rekey(oldId, newId) {
+    let moved = 0;
+    for (const entry of this.all().filter(item => item.bookId === oldId)) {
+      if (!this.get(newId, entry.format)) {
+        this.entries[this.key(newId, entry.format)] = { ...entry, bookId: newId };
+        moved++;
+      }
+      this.remove(oldId, entry.format);
+    }
+    return moved;
+  }
+
+  all() {
+    return Object.values(this.entries);
+  }
+}
+
+module.exports = { Manifest, hashFile, MANIFEST_FILENAME };
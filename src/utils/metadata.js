@@ -0,0 +1,329 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ZipReader, readRange } = require('./zip');
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+// How much of each end of a PDF to scan for the info dictionary and XMP packet
+const PDF_SCAN_BYTES = 256 * 1024;
+
+// CDATA sections are literal text; entities are only decoded around them
+function decodeXmlEntities(text) {
+  return text
+    .split(/<!\[CDATA\[([\s\S]*?)\]\]>/)
+    .map((part, i) => (i % 2 === 1 ? part : part
+      .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')))
+    .join('')
+    .trim();
+}
+
+// Drop nested markup such as <span> but keep CDATA sections, which may contain '<'
+function stripTags(xml) {
+  return xml.replace(/<!\[CDATA\[[\s\S]*?\]\]>|<[^>]+>/g, tag => (tag.startsWith('<![CDATA[') ? tag : ''));
+}
+
+// All text values of an element such as <dc:creator ...>Name</dc:creator>
+function xmlValues(xml, tag) {
+  const pattern = new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi');
+  const values = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    values.push({ attributes: match[1] || '', value: decodeXmlEntities(stripTags(match[2])) });
+  }
+  return values;
+}
+
+function xmlAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return match ? decodeXmlEntities(match[2] !== undefined ? match[2] : match[3]) : null;
+}
+
+// Accept 10 or 13 digit ISBNs in any of the usual spellings ("urn:isbn:", hyphens, spaces)
+function normalizeIsbn(value) {
+  if (!value) {
+    return null;
+  }
+  const digits = value.replace(/^urn:isbn:/i, '').replace(/[\s-]/g, '').toUpperCase();
+  if (/^97[89]\d{10}$/.test(digits) || /^\d{9}[\dX]$/.test(digits)) {
+    return digits;
+  }
+  return null;
+}
+
+// "Second Edition", "2nd edition", "3rd Ed." -> 2, 2, 3
+function parseEdition(text) {
+  if (!text) {
+    return null;
+  }
+  const match = text.match(/\b(first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|\d+)(?:st|nd|rd|th)?\s+ed(?:ition|\.)?\b/i);
+  if (!match) {
+    return null;
+  }
+  const word = match[1].toLowerCase();
+  return ORDINALS[word] || parseInt(word, 10);
+}
+
+// "Title: The Subtitle" -> { title, subtitle }
+function splitTitle(fullTitle) {
+  if (!fullTitle) {
+    return { title: null, subtitle: null };
+  }
+  const separator = fullTitle.indexOf(': ');
+  if (separator > 0) {
+    return { title: fullTitle.slice(0, separator).trim(), subtitle: fullTitle.slice(separator + 2).trim() };
+  }
+  return { title: fullTitle.trim(), subtitle: null };
+}
+
+// "by Jane Doe, John Roe and Ann Poe" -> ['Jane Doe', 'John Roe', 'Ann Poe']
+function splitAuthors(text) {
+  if (!text) {
+    return [];
+  }
+  return text
+    .replace(/^\s*by\s+/i, '')
+    .split(/\s*(?:,|;|\band\b|&)\s*/i)
+    .map(name => name.trim())
+    .filter(name => name && !/^(with|foreword by|et al\.?)$/i.test(name));
+}
+
+// Read the OPF package document of an EPUB
+async function readEpubMetadata(filePath) {
+  const zip = await ZipReader.open(filePath);
+  try {
+    const container = (await zip.read('META-INF/container.xml')).toString('utf8');
+    const rootfile = container.match(/<rootfile[^>]*full-path\s*=\s*"([^"]+)"/i);
+    if (!rootfile || !zip.has(rootfile[1])) {
+      return {};
+    }
+
+    const opfPath = rootfile[1];
+    const opf = (await zip.read(opfPath)).toString('utf8');
+
+    const identifiers = xmlValues(opf, 'dc:identifier');
+    const isbn = identifiers
+      .map(({ attributes, value }) => (/isbn/i.test(attributes) || /^urn:isbn:/i.test(value)) ? normalizeIsbn(value) : null)
+      .find(Boolean) || identifiers.map(({ value }) => normalizeIsbn(value)).find(Boolean) || null;
+
+    // EPUB 2 marks the cover with <meta name="cover" content="id">, EPUB 3 with properties="cover-image"
+    let coverHref = null;
+    const coverMeta = opf.match(/<meta[^>]*name\s*=\s*"cover"[^>]*content\s*=\s*"([^"]+)"/i)
+      || opf.match(/<meta[^>]*content\s*=\s*"([^"]+)"[^>]*name\s*=\s*"cover"/i);
+    const items = opf.match(/<item\s[^>]*>/gi) || [];
+    const coverItem = items.find(item => /properties\s*=\s*"[^"]*cover-image/i.test(item))
+      || (coverMeta && items.find(item => xmlAttribute(item, 'id') === coverMeta[1]));
+    if (coverItem) {
+      coverHref = path.posix.join(path.posix.dirname(opfPath), xmlAttribute(coverItem, 'href'));
+    }
+
+    const title = xmlValues(opf, 'dc:title')[0];
+    const date = xmlValues(opf, 'dc:date')[0];
+    return {
+      title: title ? title.value : null,
+      authors: xmlValues(opf, 'dc:creator').map(({ value }) => value),
+      publisher: (xmlValues(opf, 'dc:publisher')[0] || {}).value || null,
+      language: (xmlValues(opf, 'dc:language')[0] || {}).value || null,
+      published: date ? date.value : null,
+      description: (xmlValues(opf, 'dc:description')[0] || {}).value || null,
+      isbn,
+      epubCover: coverHref
+    };
+  } finally {
+    await zip.close();
+  }
+}
+
+// Decode a PDF string object - either (literal) with escapes or <hex>, possibly UTF-16BE
+function decodePdfString(raw) {
+  let bytes;
+  if (raw.startsWith('<')) {
+    bytes = Buffer.from(raw.slice(1, -1).replace(/\s/g, ''), 'hex');
+  } else {
+    const body = raw.slice(1, -1)
+      .replace(/\\(\r\n|\r|\n)/g, '')
+      .replace(/\\([0-7]{1,3}|[\s\S])/g, (_, escape) => {
+        const simple = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        if (/^[0-7]+$/.test(escape)) {
+          return String.fromCharCode(parseInt(escape, 8));
+        }
+        // Unknown escapes such as \( \) \\ stand for the character itself
+        return simple[escape] !== undefined ? simple[escape] : escape;
+      });
+    bytes = Buffer.from(body, 'latin1');
+  }
+
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    // UTF-16BE with BOM - swap to little endian for Node's decoder
+    const swapped = Buffer.from(bytes.subarray(2));
+    swapped.swap16();
+    return swapped.toString('utf16le').trim();
+  }
+  return bytes.toString('latin1').trim();
+}
+
+// Value of /Key (string) or /Key <hex> in an info dictionary
+function pdfInfoValue(text, key) {
+  const pattern = new RegExp(`/${key}\\s*(\\((?:\\\\.|[^\\\\)])*\\)|<[0-9A-Fa-f\\s]*>)`);
+  const match = text.match(pattern);
+  return match ? decodePdfString(match[1]) : null;
+}
+
+// The info dictionary the trailer points at with /Info N G R. Outline entries and
+// annotations have a /Title too, so the rest of the file is never searched for one.
+// Incremental updates append trailers and objects, so the last of each wins.
+function pdfInfoDictionary(text) {
+  const refs = [...text.matchAll(/\/Info\s+(\d+)\s+(\d+)\s+R/g)];
+  if (refs.length === 0) {
+    return null;
+  }
+  const [, number, generation] = refs[refs.length - 1];
+  const objects = [...text.matchAll(new RegExp(`(?<!\\d)${number}\\s+${generation}\\s+obj\\b([\\s\\S]*?)\\bendobj`, 'g'))];
+  return objects.length > 0 ? objects[objects.length - 1][1] : null;
+}
+
+// Read the PDF info dictionary, falling back to the XMP packet when present
+async function readPdfMetadata(filePath) {
+  const { size } = await fs.stat(filePath);
+  const fd = await fs.open(filePath, 'r');
+  let text;
+  try {
+    const head = await readRange(fd, 0, Math.min(size, PDF_SCAN_BYTES));
+    const tail = size > PDF_SCAN_BYTES
+      ? await readRange(fd, Math.max(PDF_SCAN_BYTES, size - PDF_SCAN_BYTES), Math.min(PDF_SCAN_BYTES, size - PDF_SCAN_BYTES))
+      : Buffer.alloc(0);
+    text = Buffer.concat([head, tail]).toString('latin1');
+  } finally {
+    await fs.close(fd);
+  }
+
+  // An info dictionary outside the scanned ends (or in an object stream) is not read
+  const info = pdfInfoDictionary(text) || '';
+  const xmpTitle = xmlValues(text, 'dc:title')[0];
+  const xmpCreators = xmlValues(text, 'dc:creator')[0];
+  const author = pdfInfoValue(info, 'Author');
+
+  return {
+    title: pdfInfoValue(info, 'Title') || (xmpTitle ? xmpTitle.value : null),
+    authors: author ? splitAuthors(author) : (xmpCreators ? splitAuthors(xmpCreators.value) : []),
+    isbn: normalizeIsbn((text.match(/ISBN[:\s]*((?:97[89][\s-]?)?\d[\d\s-]{8,}[\dX])/i) || [])[1])
+  };
+}
+
+// Merge metadata from several sources into one normalized book record.
+// Sources are listed from most to least trusted; the first non-empty value wins.
+function normalizeBookRecord(book, sources) {
+  const pick = field => {
+    for (const source of sources) {
+      const value = source && source[field];
+      if (Array.isArray(value) ? value.length > 0 : value) {
+        return value;
+      }
+    }
+    return Array.isArray((sources[0] || {})[field]) ? [] : null;
+  };
+
+  const { title, subtitle } = splitTitle(pick('title') || book.title);
+  const edition = pick('edition') || parseEdition(pick('title')) || parseEdition(subtitle) || parseEdition(book.title);
+
+  return {
+    id: book.id,
+    title,
+    subtitle: pick('subtitle') || subtitle,
+    authors: [...new Set(pick('authors'))],
+    publisher: pick('publisher'),
+    isbn: pick('isbn'),
+    edition,
+    language: pick('language'),
+    published: pick('published'),
+    description: pick('description'),
+    cover: pick('cover') || pick('epubCover') ? { url: pick('cover'), epubPath: pick('epubCover') } : null,
+    productUrl: pick('productUrl'),
+    formats: Object.keys(book.formats || {}).filter(format => book.formats[format]),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// "Aditya Y. Bhargava" -> "Bhargava, Aditya Y." as Calibre sorts authors
+function authorSort(name) {
+  const parts = name.trim().split(/\s+/);
+  return parts.length > 1 ? `${parts[parts.length - 1]}, ${parts.slice(0, -1).join(' ')}` : name;
+}
+
+// Render a book record as the metadata.opf Calibre keeps in each book folder
+function toOpf(record, { site, cover = null }) {
+  const fullTitle = record.subtitle ? `${record.title}: ${record.subtitle}` : record.title;
+  const lines = [
+    `    <dc:identifier opf:scheme="${escapeXml(site)}" id="id">${escapeXml(record.id)}</dc:identifier>`,
+    `    <dc:title>${escapeXml(fullTitle)}</dc:title>`,
+    ...record.authors.map(author =>
+      `    <dc:creator opf:role="aut" opf:file-as="${escapeXml(authorSort(author))}">${escapeXml(author)}</dc:creator>`)
+  ];
+  if (record.isbn) {
+    lines.push(`    <dc:identifier opf:scheme="ISBN">${record.isbn}</dc:identifier>`);
+  }
+  for (const field of ['publisher', 'language', 'description']) {
+    if (record[field]) {
+      lines.push(`    <dc:${field}>${escapeXml(record[field])}</dc:${field}>`);
+    }
+  }
+  if (record.published) {
+    lines.push(`    <dc:date>${escapeXml(record.published)}</dc:date>`);
+  }
+  if (record.authors.length > 0) {
+    lines.push(`    <meta name="calibre:author_sort" content="${escapeXml(record.authors.map(authorSort).join(' & '))}"/>`);
+  }
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<package xmlns="http://www.idpf.org/2007/opf" unique-identifier="id" version="2.0">',
+    '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">',
+    ...lines,
+    '  </metadata>',
+    ...(cover ? ['  <guide>', `    <reference type="cover" title="Cover" href="${escapeXml(cover)}"/>`, '  </guide>'] : []),
+    '</package>',
+    ''
+  ].join('\n');
+}
+
+// Read metadata from a downloaded file, ignoring files we can't parse
+async function readFileMetadata(filePath, format) {
+  try {
+    if (format === 'epub') {
+      return await readEpubMetadata(filePath);
+    }
+    if (format === 'pdf') {
+      return await readPdfMetadata(filePath);
+    }
+  } catch {
+    // Metadata is best effort - a valid book with odd metadata is still a valid book
+  }
+  return {};
+}
+
+module.exports = {
+  readEpubMetadata,
+  readPdfMetadata,
+  readFileMetadata,
+  normalizeBookRecord,
+  toOpf,
+  normalizeIsbn,
+  parseEdition,
+  splitAuthors
+};
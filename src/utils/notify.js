@@ -0,0 +1,154 @@
+const chalk = require('chalk');
+const http = require('http');
+const https = require('https');
+const logger = require('./logger');
+const { redact } = require('./redact');
+const { runShellCommand } = require('./shell');
+
+const WEBHOOK_TIMEOUT = 15000;
+const COMMAND_TIMEOUT = 60000;
+// The summary line names this many new books; the event itself lists them all
+const SUMMARY_TITLES = 5;
+
+// The event every notifier receives after a watch cycle
+function buildEvent({ site, profile = null, cycle, startedAt, stats = null, error = null }) {
+  const newBooks = stats ? stats.newBooks : [];
+  const failed = stats ? stats.failed : 0;
+  let status = 'success';
+  if (error) {
+    status = 'error';
+  } else if (failed > 0) {
+    status = 'partial';
+  }
+  return {
+    event: 'sync',
+    status,
+    site,
+    profile,
+    cycle,
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    newBooks,
+    downloaded: stats ? stats.downloaded : 0,
+    updated: stats ? stats.updated.length : 0,
+    failed,
+    error: error ? error.message : null,
+    summary: summarize({ newBooks, stats, error })
+  };
+}
+
+function summarize({ newBooks, stats, error }) {
+  if (error) {
+    return `Sync failed: ${error.message.split('\n')[0]}`;
+  }
+  const parts = [];
+  if (newBooks.length > 0) {
+    const titles = newBooks.slice(0, SUMMARY_TITLES).map(book => book.title);
+    if (newBooks.length > SUMMARY_TITLES) {
+      titles.push(`${newBooks.length - SUMMARY_TITLES} more`);
+    }
+    parts.push(`${newBooks.length} new: ${titles.join(', ')}`);
+  }
+  parts.push(`${stats.downloaded} downloaded`);
+  if (stats.updated.length > 0) {
+    parts.push(`${stats.updated.length} updated`);
+  }
+  if (stats.failed > 0) {
+    parts.push(`${stats.failed} failed`);
+  }
+  return parts.join('; ');
+}
+
+function postJson(url, body, timeout) {
+  return new Promise((resolve, reject) => {
+    const data = Buffer.from(JSON.stringify(body));
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': data.length, 'User-Agent': 'ebook-downloader' },
+      timeout
+    }, response => {
+      response.resume();
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        resolve(response.statusCode);
+      } else {
+        reject(new Error(`HTTP ${response.statusCode}`));
+      }
+    });
+    req.on('timeout', () => req.destroy(new Error(`no answer within ${timeout / 1000}s`)));
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+// Sends watch events to the configured webhook, command and stdout. A notifier that fails
+// is logged and never stops the watcher.
+class Notifier {
+  constructor({ webhook = '', command = '', stdout = true, when = 'changes' } = {}, { webhookTimeout = WEBHOOK_TIMEOUT, commandTimeout = COMMAND_TIMEOUT } = {}) {
+    this.webhook = webhook;
+    this.command = command;
+    this.stdout = stdout;
+    this.when = when;
+    this.webhookTimeout = webhookTimeout;
+    this.commandTimeout = commandTimeout;
+  }
+
+  // "changes": only when there are new books, downloads, updates, failures or an error
+  shouldSend(event) {
+    return this.when === 'always' || event.status !== 'success' ||
+      event.newBooks.length > 0 || event.downloaded > 0 || event.updated > 0;
+  }
+
+  async send(cycleEvent) {
+    if (!this.shouldSend(cycleEvent)) {
+      logger.debug(chalk.gray('🔕 Nothing changed - no notification sent'));
+      return [];
+    }
+    // Error messages may quote cookies or the password; those never leave the process
+    const event = redact(cycleEvent);
+
+    const sent = [];
+    if (this.stdout) {
+      // One JSON line per event, whatever the log format, for scripts reading our output
+      process.stdout.write(JSON.stringify(event) + '\n');
+      sent.push('stdout');
+    }
+    if (this.webhook) {
+      // The URL itself often carries a token, so only its host is ever logged
+      const host = new URL(this.webhook).host;
+      try {
+        await postJson(this.webhook, event, this.webhookTimeout);
+        logger.info(chalk.gray(`🔔 Notified webhook at ${host}`));
+        sent.push('webhook');
+      } catch (error) {
+        logger.warning(chalk.yellow(`⚠️  Webhook at ${host} failed: ${error.message}`));
+      }
+    }
+    if (this.command) {
+      try {
+        const json = JSON.stringify(event);
+        const output = await runShellCommand(this.command, {
+          input: json,
+          timeout: this.commandTimeout,
+          env: {
+            EBOOK_EVENT: json,
+            EBOOK_STATUS: event.status,
+            EBOOK_SUMMARY: event.summary,
+            EBOOK_NEW_COUNT: String(event.newBooks.length),
+            EBOOK_NEW_TITLES: event.newBooks.map(book => book.title).join('\n')
+          }
+        });
+        if (output) {
+          logger.debug(chalk.gray(`   ${output}`));
+        }
+        logger.info(chalk.gray('🔔 Ran the notify command'));
+        sent.push('command');
+      } catch (error) {
+        logger.warning(chalk.yellow(`⚠️  Notify command failed: ${error.message}`));
+      }
+    }
+    return sent;
+  }
+}
+
+module.exports = { Notifier, buildEvent };
@@ -0,0 +1,50 @@
+const readline = require('readline');
+
+// Simple input helper using readline
+function askQuestion(question, hideInput = false) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise((resolve) => {
+    if (hideInput) {
+      // Hide password input
+      rl.stdoutMuted = true;
+      rl._writeToOutput = function _writeToOutput(stringToWrite) {
+        if (rl.stdoutMuted) {
+          rl.output.write('*');
+        } else {
+          rl.output.write(stringToWrite);
+        }
+      };
+    }
+
+    rl.question(question, (answer) => {
+      rl.close();
+      if (hideInput) console.log(); // New line after password
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function askConfirm(question, defaultYes = true) {
+  const answer = (await askQuestion(`${question} ${defaultYes ? '[Y/n]' : '[y/N]'} `)).toLowerCase();
+  if (!answer) {
+    return defaultYes;
+  }
+  return answer === 'y' || answer === 'yes';
+}
+
+// Read all of stdin, e.g. for --password-stdin
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data.replace(/\r?\n$/, '')));
+    process.stdin.on('error', reject);
+  });
+}
+
+module.exports = { askQuestion, askConfirm, readStdin };
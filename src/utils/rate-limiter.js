@@ -0,0 +1,75 @@
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Token bucket shared by every worker of a site. One token is released every
+// `interval` ms, up to `burst` saved tokens. When the site answers 429/503 the
+// interval is doubled (and the bucket paused for Retry-After), then it eases
+// back towards the configured rate as requests succeed again.
+class RateLimiter {
+  constructor({ interval = 0, burst = 1, maxInterval = Math.max(interval * 16, 60000) } = {}) {
+    this.baseInterval = interval;
+    this.interval = interval;
+    this.maxInterval = maxInterval;
+    this.burst = Math.max(1, burst);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    if (this.interval <= 0) {
+      this.tokens = this.burst;
+    } else {
+      const earned = (now - this.lastRefill) / this.interval;
+      this.tokens = Math.min(this.burst, this.tokens + earned);
+    }
+    this.lastRefill = now;
+  }
+
+  async acquire() {
+    for (;;) {
+      this.refill();
+      const now = Date.now();
+      if (now >= this.pausedUntil && this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      const untilToken = this.tokens >= 1 ? 0 : (1 - this.tokens) * this.interval;
+      await sleep(Math.max(this.pausedUntil - now, untilToken, 10));
+    }
+  }
+
+  // The site is throttling us - slow down and respect Retry-After if it sent one
+  penalize(retryAfterMs = null) {
+    this.interval = Math.min(this.maxInterval, Math.max(this.interval * 2, 1000));
+    this.tokens = 0;
+    const pause = retryAfterMs !== null ? retryAfterMs : this.interval;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + pause);
+    return pause;
+  }
+
+  // A request went through - ease back towards the configured rate
+  reward() {
+    if (this.interval > this.baseInterval) {
+      this.interval = Math.max(this.baseInterval, Math.floor(this.interval * 0.75));
+    }
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isThrottleStatus(statusCode) {
+  return statusCode === 429 || statusCode === 503;
+}
+
+module.exports = { RateLimiter, parseRetryAfter, isThrottleStatus, sleep };
@@ -0,0 +1,63 @@
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never logged
+const SECRET_KEYS = /^(password|passphrase|secret|token|access_?token|refresh_?token|cookies?|set-cookie|authorization|api_?key|session_?id)$/i;
+
+// Query/form parameters that sign or authenticate a URL (S3, CloudFront, Azure SAS, OAuth...)
+const SECRET_PARAMS = /([?&;\s](?:x-amz-(?:signature|credential|security-token)|signature|sig|policy|key-pair-id|token|access_token|auth|hmac|password|passphrase|api_?key)=)[^&\s"'<>#]+/gi;
+
+// "Cookie: ...", "Authorization: Bearer ..." in header dumps
+const SECRET_HEADERS = /\b(cookie|set-cookie|authorization)(\s*[:=]\s*)[^\n\r]+/gi;
+
+// "password": "..." inside serialized JSON
+const SECRET_JSON = /("(?:password|passphrase|token|secret|cookie|authorization)"\s*:\s*)"(?:[^"\\]|\\.)*"/gi;
+
+// Values registered at runtime (the account password, session cookies) are scrubbed
+// wherever they show up, even in messages the patterns above don't recognize
+const knownSecrets = new Set();
+
+function addSecret(value) {
+  // Very short values would blank out ordinary words
+  if (typeof value === 'string' && value.length >= 6) {
+    knownSecrets.add(value);
+  }
+}
+
+function redactString(text) {
+  let result = text
+    .replace(SECRET_PARAMS, `$1${REDACTED}`)
+    .replace(SECRET_HEADERS, `$1$2${REDACTED}`)
+    .replace(SECRET_JSON, `$1"${REDACTED}"`);
+  for (const secret of knownSecrets) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(REDACTED);
+    }
+  }
+  return result;
+}
+
+// A copy of a log message or data object with secrets replaced by [REDACTED]
+function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return redactString(value.stack || value.message);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEYS.test(key) && item != null ? REDACTED : redact(item, seen)
+  ]));
+}
+
+module.exports = { redact, addSecret, REDACTED };
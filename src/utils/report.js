@@ -0,0 +1,187 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { formatBytes } = require('./format');
+const { redact } = require('./redact');
+
+// What happened to one format of one book, in the order they are listed
+const ITEM_STATUSES = ['downloaded', 'updated', 'failed', 'skipped'];
+
+const REPORT_FORMATS = {
+  json: 'json',
+  markdown: 'md',
+  html: 'html'
+};
+
+function formatDuration(ms) {
+  if (ms == null) {
+    return '';
+  }
+  if (ms < 1000) {
+    return `${ms} ms`;
+  }
+  const seconds = ms / 1000;
+  return seconds < 60 ? `${seconds.toFixed(1)} s` : `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+}
+
+// Files and bytes per status, e.g. { downloaded: { files: 3, bytes: 1234 }, ... }
+function summarize(items) {
+  const summary = Object.fromEntries(ITEM_STATUSES.map(status => [status, { files: 0, bytes: 0 }]));
+  for (const item of items) {
+    summary[item.status].files++;
+    summary[item.status].bytes += item.bytes || 0;
+  }
+  return summary;
+}
+
+// The structured result of a sync run: every book and format with its outcome
+function buildResult({ site, profile = null, mode, startedAt, items }) {
+  const finishedAt = new Date();
+  const ordered = [...items].sort((a, b) =>
+    ITEM_STATUSES.indexOf(a.status) - ITEM_STATUSES.indexOf(b.status) || a.title.localeCompare(b.title));
+  return {
+    site,
+    profile,
+    mode,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    summary: summarize(items),
+    items: ordered
+  };
+}
+
+// Plain-text table for the end of a run
+function summaryTable(result) {
+  const rows = ITEM_STATUSES
+    .filter(status => result.summary[status].files > 0)
+    .map(status => {
+      const { files, bytes } = result.summary[status];
+      return `  ${status.padEnd(12)}${String(files).padStart(6)}   ${bytes > 0 ? formatBytes(bytes) : ''}`.trimEnd();
+    });
+  if (rows.length === 0) {
+    return '  Nothing to do';
+  }
+  return [`  ${'Status'.padEnd(12)}${'Files'.padStart(6)}   Size`, ...rows].join('\n');
+}
+
+function title(result) {
+  return `Sync report: ${result.site}${result.profile ? ` (${result.profile})` : ''}`;
+}
+
+function escapeMarkdown(text) {
+  return String(text == null ? '' : text).replace(/\|/g, '\\|').replace(/</g, '&lt;').replace(/\r?\n/g, ' ');
+}
+
+function toMarkdown(result) {
+  const lines = [
+    `# ${title(result)}`,
+    '',
+    `Started ${result.startedAt}, took ${formatDuration(result.durationMs)} (${result.mode} mode).`,
+    '',
+    '| Status | Files | Size |',
+    '|--------|------:|-----:|',
+    ...ITEM_STATUSES.map(status => {
+      const { files, bytes } = result.summary[status];
+      return `| ${status} | ${files} | ${bytes > 0 ? formatBytes(bytes) : ''} |`;
+    })
+  ];
+
+  for (const status of ITEM_STATUSES) {
+    const items = result.items.filter(item => item.status === status);
+    if (items.length === 0) {
+      continue;
+    }
+    lines.push('', `## ${status[0].toUpperCase()}${status.slice(1)} (${items.length})`, '',
+      '| Title | Format | Details | Size | Time |',
+      '|-------|--------|---------|-----:|-----:|');
+    for (const item of items) {
+      lines.push(`| ${escapeMarkdown(item.title)} | ${item.format.toUpperCase()} | ${escapeMarkdown(item.reason || item.file)} | ` +
+        `${item.bytes ? formatBytes(item.bytes) : ''} | ${formatDuration(item.durationMs)} |`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function toHtml(result) {
+  const summaryRows = ITEM_STATUSES.map(status => {
+    const { files, bytes } = result.summary[status];
+    return `<tr class="${status}"><td>${status}</td><td>${files}</td><td>${bytes > 0 ? formatBytes(bytes) : ''}</td></tr>`;
+  }).join('\n');
+  const itemRows = result.items.map(item => `<tr class="${item.status}">` +
+    `<td>${escapeHtml(item.title)}</td><td>${item.format.toUpperCase()}</td><td>${item.status}</td>` +
+    `<td>${escapeHtml(item.reason || item.file)}</td><td>${item.bytes ? formatBytes(item.bytes) : ''}</td>` +
+    `<td>${formatDuration(item.durationMs)}</td></tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title(result))}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 2rem; }
+  th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; }
+  th { background: #f4f4f4; }
+  tr.downloaded td:first-child { border-left: 4px solid #2e7d32; }
+  tr.updated td:first-child { border-left: 4px solid #6a1b9a; }
+  tr.failed td:first-child { border-left: 4px solid #c62828; }
+  tr.skipped td:first-child { border-left: 4px solid #9e9e9e; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title(result))}</h1>
+<p>Started ${escapeHtml(result.startedAt)}, took ${formatDuration(result.durationMs)} (${escapeHtml(result.mode)} mode).</p>
+<table>
+<tr><th>Status</th><th>Files</th><th>Size</th></tr>
+${summaryRows}
+</table>
+<table>
+<tr><th>Title</th><th>Format</th><th>Status</th><th>Details</th><th>Size</th><th>Time</th></tr>
+${itemRows}
+</table>
+</body>
+</html>
+`;
+}
+
+const RENDERERS = {
+  json: result => `${JSON.stringify(result, null, 2)}\n`,
+  markdown: toMarkdown,
+  html: toHtml
+};
+
+// Write the result as reports/<site>[-<profile>]-<time>.<ext> in each configured format;
+// returns the paths written. Failure reasons can quote signed URLs, so they are redacted too.
+async function writeReports(report, { dir, formats }) {
+  const result = redact(report);
+  const stamp = result.startedAt.slice(0, 19).replace(/:/g, '-');
+  const base = `${result.site}${result.profile ? `-${result.profile}` : ''}-${stamp}`;
+  await fs.ensureDir(dir);
+
+  const written = [];
+  for (const format of formats) {
+    const filePath = path.join(dir, `${base}.${REPORT_FORMATS[format]}`);
+    await fs.writeFile(filePath, RENDERERS[format](result));
+    written.push(filePath);
+  }
+  return written;
+}
+
+module.exports = {
+  ITEM_STATUSES,
+  REPORT_FORMATS,
+  buildResult,
+  summaryTable,
+  toMarkdown,
+  toHtml,
+  writeReports,
+  formatDuration
+};
@@ -0,0 +1,29 @@
+const { FAILURE_KINDS } = require('./errors');
+
+// Decides whether a classified failure gets another attempt, and how long to wait first
+class RetryPolicy {
+  constructor({ attempts = {}, baseDelay = 2000, maxDelay = 60000 } = {}) {
+    this.attempts = attempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+  }
+
+  // Number of retries allowed for a failure kind
+  retriesFor(kind) {
+    const retries = this.attempts[kind];
+    return retries !== undefined ? retries : (this.attempts[FAILURE_KINDS.UNKNOWN] || 0);
+  }
+
+  shouldRetry(kind, attempt) {
+    return attempt <= this.retriesFor(kind);
+  }
+
+  // Exponential backoff with a little jitter so parallel workers don't retry in lockstep
+  delay(attempt) {
+    const exponential = this.baseDelay * 2 ** (attempt - 1);
+    const jitter = Math.random() * this.baseDelay * 0.25;
+    return Math.min(this.maxDelay, Math.round(exponential + jitter));
+  }
+}
+
+module.exports = { RetryPolicy };
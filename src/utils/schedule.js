@@ -0,0 +1,137 @@
+// Cron-style schedules for `watch`: five fields (minute hour day-of-month month day-of-week)
+// in local time, with *, lists, ranges and steps, month and day names, and the usual
+// @hourly/@daily/@weekly/@monthly/@yearly shortcuts.
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+// Give up looking for the next run after this many steps (several years of month/day jumps)
+const MAX_STEPS = 100000;
+
+class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+  }
+}
+
+function parseValue(text, field) {
+  const name = text.toLowerCase();
+  if (field.names && field.names.includes(name)) {
+    return field.names.indexOf(name) + field.offset;
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new ScheduleError(`invalid ${field.name} "${text}"`);
+  }
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new ScheduleError(`${field.name} must be between ${field.min} and ${field.max}, got ${value}`);
+  }
+  return value;
+}
+
+// One field, e.g. "*/15", "1-5", "mon,wed,fri" -> { any, values }
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      throw new ScheduleError(`invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      [start, end] = [parseValue(from, field), parseValue(to, field)];
+      if (start > end) {
+        throw new ScheduleError(`${field.name} range ${range} runs backwards`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/10" means every 10 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return { any: text === '*', values };
+}
+
+// Parse a schedule expression; throws ScheduleError with the reason when it is not valid
+function parseSchedule(expression) {
+  const text = String(expression || '').trim();
+  const fields = (ALIASES[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new ScheduleError(`expected 5 fields (minute hour day month weekday), got "${text}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((part, i) => parseField(part, FIELDS[i]));
+  if (dayOfWeek.values.has(7)) {
+    dayOfWeek.values.add(0);
+  }
+  const schedule = { expression: text, minute, hour, dayOfMonth, month, dayOfWeek };
+  // Catch dates that never happen, like "0 0 30 2 *"
+  nextRun(schedule, new Date());
+  return schedule;
+}
+
+// Like cron, a day matches either day field when both are restricted
+function dayMatches(schedule, date) {
+  const { dayOfMonth, dayOfWeek } = schedule;
+  const byMonthDay = dayOfMonth.values.has(date.getDate());
+  const byWeekDay = dayOfWeek.values.has(date.getDay());
+  if (dayOfMonth.any || dayOfWeek.any) {
+    return byMonthDay && byWeekDay;
+  }
+  return byMonthDay || byWeekDay;
+}
+
+// The first minute strictly after `after` that the schedule matches
+function nextRun(schedule, after = new Date()) {
+  const time = new Date(after.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    if (!schedule.month.values.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!schedule.hour.values.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.values.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+  throw new ScheduleError(`"${schedule.expression}" never runs`);
+}
+
+module.exports = { parseSchedule, nextRun, ScheduleError };
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const STORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+// scrypt cost: ~100ms and 32MB per derivation, so guessing a passphrase offline is expensive
+const KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const KDF_MAXMEM = 64 * 1024 * 1024;
+
+class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+// Per-user config directory: $XDG_CONFIG_HOME or ~/.config on Linux,
+// ~/Library/Application Support on macOS and %APPDATA% on Windows
+function defaultSessionDir(env = process.env, platform = process.platform) {
+  let base;
+  if (platform === 'win32') {
+    base = env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  } else if (platform === 'darwin') {
+    base = path.join(os.homedir(), 'Library', 'Application Support');
+  } else {
+    base = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  }
+  return path.join(base, 'ebook-downloader', 'sessions');
+}
+
+async function deriveKey(passphrase, salt, params = KDF_PARAMS) {
+  return scrypt(passphrase, salt, 32, { ...params, maxmem: KDF_MAXMEM });
+}
+
+// A site's login session (its cookies), encrypted with a key derived from a passphrase.
+// The file is readable by the current user only and records when the session expires;
+// expired cookies are never handed back.
+class SessionStore {
+  constructor({ dir, site, maxAgeDays = 30 }) {
+    this.dir = dir;
+    this.site = site;
+    this.maxAgeDays = maxAgeDays;
+    this.filePath = path.join(dir, `${site}.session`);
+  }
+
+  // Envelope fields outside the ciphertext; they are authenticated, so editing the
+  // expiry or site makes decryption fail
+  header(envelope) {
+    const { site, createdAt, expiresAt, cookieCount } = envelope;
+    return Buffer.from(JSON.stringify({ version: STORE_VERSION, site, createdAt, expiresAt, cookieCount }));
+  }
+
+  async save(cookies, { passphrase, account = null }) {
+    if (!passphrase) {
+      throw new SessionError('A passphrase is needed to encrypt the session');
+    }
+
+    // The session lasts until its longest-lived cookie expires, capped at maxAgeDays
+    const now = Date.now();
+    const cookieExpiry = Math.max(0, ...cookies.map(cookie => (cookie.expires > 0 ? cookie.expires * 1000 : 0)));
+    const maxAge = now + this.maxAgeDays * 24 * 60 * 60 * 1000;
+    const expiresAt = new Date(cookieExpiry > now ? Math.min(cookieExpiry, maxAge) : maxAge).toISOString();
+
+    const envelope = {
+      version: STORE_VERSION,
+      site: this.site,
+      createdAt: new Date(now).toISOString(),
+      expiresAt,
+      cookieCount: cookies.length
+    };
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await deriveKey(passphrase, salt);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(this.header(envelope));
+    const data = Buffer.concat([cipher.update(JSON.stringify({ account, cookies }), 'utf8'), cipher.final()]);
+
+    Object.assign(envelope, {
+      kdf: { name: 'scrypt', salt: salt.toString('base64'), ...KDF_PARAMS },
+      cipher: CIPHER,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    });
+
+    // Only folders created here are made private - session.dir may be an existing folder
+    // such as ~/.config whose permissions are not ours to change
+    await fs.ensureDir(this.dir, { mode: 0o700 });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+    await fs.chmod(tmpPath, 0o600);
+    await fs.move(tmpPath, this.filePath, { overwrite: true });
+    return envelope;
+  }
+
+  // Cookies of a saved, unexpired session for this account, or null. Throws SessionError
+  // when the file can't be decrypted (wrong passphrase or tampered with).
+  async load({ passphrase, account = null }) {
+    const envelope = await this.read();
+    if (!envelope || !passphrase) {
+      return null;
+    }
+    if (Date.parse(envelope.expiresAt) <= Date.now()) {
+      await this.clear();
+      return null;
+    }
+
+    let payload;
+    try {
+      const key = await deriveKey(passphrase, Buffer.from(envelope.kdf.salt, 'base64'), {
+        N: envelope.kdf.N, r: envelope.kdf.r, p: envelope.kdf.p
+      });
+      const decipher = crypto.createDecipheriv(envelope.cipher, key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAAD(this.header(envelope));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const data = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+      payload = JSON.parse(data.toString('utf8'));
+    } catch {
+      throw new SessionError('Saved session could not be decrypted - wrong passphrase or damaged file');
+    }
+
+    if (account && payload.account && payload.account.toLowerCase() !== account.toLowerCase()) {
+      return null;
+    }
+    const now = Date.now() / 1000;
+    return payload.cookies.filter(cookie => !(cookie.expires > 0 && cookie.expires <= now));
+  }
+
+  // The envelope without decrypting it, or null when there is no session
+  async read() {
+    if (!(await fs.pathExists(this.filePath))) {
+      return null;
+    }
+    try {
+      const envelope = await fs.readJson(this.filePath);
+      return envelope.version === STORE_VERSION ? envelope : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // What `session status` reports - never needs the passphrase
+  async status() {
+    const envelope = await this.read();
+    if (!envelope) {
+      return { exists: false, filePath: this.filePath };
+    }
+    const { mode } = await fs.stat(this.filePath);
+    return {
+      exists: true,
+      filePath: this.filePath,
+      createdAt: envelope.createdAt,
+      expiresAt: envelope.expiresAt,
+      expired: Date.parse(envelope.expiresAt) <= Date.now(),
+      cookieCount: envelope.cookieCount,
+      // Group/other access bits; Windows doesn't have them
+      openPermissions: process.platform !== 'win32' && (mode & 0o077) !== 0
+    };
+  }
+
+  async clear() {
+    const existed = await fs.pathExists(this.filePath);
+    await fs.remove(this.filePath);
+    return existed;
+  }
+}
+
+module.exports = { SessionStore, SessionError, defaultSessionDir };
@@ -0,0 +1,57 @@
+const { spawn } = require('child_process');
+
+// Variables a user's command never needs to see
+const PRIVATE_ENV = /^EBOOK_(PASSWORD|SESSION_PASSPHRASE)/;
+
+function commandEnv(extra) {
+  const env = Object.fromEntries(Object.entries(process.env).filter(([name]) => !PRIVATE_ENV.test(name)));
+  return { ...env, ...extra };
+}
+
+// Run a user-configured shell command with `input` on stdin and `env` added to the
+// environment (minus our passwords). Resolves with its combined output; rejects when it
+// exits non-zero or runs longer than `timeout`, with the output on `error.output`.
+function runShellCommand(command, { input = '', env = {}, timeout = 60000 } = {}) {
+  return new Promise((resolve, reject) => {
+    // In its own process group, so a timeout stops everything the command started
+    const child = spawn(command, { shell: true, detached: true, stdio: ['pipe', 'pipe', 'pipe'], env: commandEnv(env) });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    // The command may not read its stdin at all
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGTERM');
+      } catch {
+        child.kill('SIGTERM');
+      }
+    }, timeout);
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(output.trim());
+        return;
+      }
+      let reason = `exited with code ${code}`;
+      if (timedOut) {
+        reason = `did not finish within ${Math.round(timeout / 1000)}s`;
+      } else if (signal) {
+        reason = `stopped by ${signal}`;
+      }
+      const error = new Error(reason);
+      error.output = output.trim();
+      reject(error);
+    });
+  });
+}
+
+module.exports = { runShellCommand };
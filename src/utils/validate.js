@@ -0,0 +1,174 @@
+const fs = require('fs-extra');
+const { ZipReader, readRange, LOCAL_ENTRY_SIGNATURE } = require('./zip');
+
+// An archive with no entries at all is just its end-of-central-directory record
+const EMPTY_ZIP_SIGNATURE = 0x06054b50;
+
+function looksLikeHtml(head) {
+  const text = head.toString('utf8').trimStart().toLowerCase();
+  return text.startsWith('<!doctype html') || text.startsWith('<html') || (text.startsWith('<?xml') && text.includes('<html'));
+}
+
+// A PDF starts with %PDF- and ends with %%EOF (allowing trailing whitespace or junk)
+async function validatePdf(fd, size) {
+  const head = await readRange(fd, 0, Math.min(size, 1024));
+  if (looksLikeHtml(head)) {
+    return { valid: false, reason: 'file is an HTML page, not a PDF' };
+  }
+  if (!head.subarray(0, 5).equals(Buffer.from('%PDF-'))) {
+    return { valid: false, reason: 'missing %PDF- header' };
+  }
+
+  const tail = await readRange(fd, Math.max(0, size - 1024), Math.min(size, 1024));
+  if (!tail.includes('%%EOF')) {
+    return { valid: false, reason: 'missing %%EOF trailer - file is probably truncated' };
+  }
+
+  return { valid: true, version: head.subarray(5, 8).toString('latin1') };
+}
+
+// An EPUB is a ZIP whose first entry is an uncompressed "mimetype" file containing
+// application/epub+zip
+async function validateEpub(fd, size) {
+  const head = await readRange(fd, 0, Math.min(size, 128));
+  if (looksLikeHtml(head)) {
+    return { valid: false, reason: 'file is an HTML page, not an EPUB' };
+  }
+  if (head.length < 30 || head.readUInt32LE(0) !== LOCAL_ENTRY_SIGNATURE) {
+    return { valid: false, reason: 'not a ZIP archive' };
+  }
+
+  const nameLength = head.readUInt16LE(26);
+  const extraLength = head.readUInt16LE(28);
+  const firstName = head.subarray(30, 30 + nameLength).toString('utf8');
+  if (firstName !== 'mimetype') {
+    return { valid: false, reason: `first ZIP entry is "${firstName}", expected "mimetype"` };
+  }
+  const mimetype = head.subarray(30 + nameLength + extraLength, 30 + nameLength + extraLength + 20).toString('ascii');
+  if (mimetype !== 'application/epub+zip') {
+    return { valid: false, reason: 'mimetype entry is not application/epub+zip' };
+  }
+
+  return { valid: true };
+}
+
+// The ZIP's central directory must be intact and list META-INF/container.xml
+async function validateEpubDirectory(filePath) {
+  let zip;
+  try {
+    zip = await ZipReader.open(filePath);
+  } catch (error) {
+    return { valid: false, reason: error.message };
+  }
+
+  try {
+    if (!zip.has('META-INF/container.xml')) {
+      return { valid: false, reason: 'missing META-INF/container.xml' };
+    }
+    return { valid: true, entries: zip.entries.length };
+  } finally {
+    await zip.close();
+  }
+}
+
+// Any other ZIP only needs an intact central directory
+async function validateZipDirectory(filePath) {
+  try {
+    const zip = await ZipReader.open(filePath);
+    await zip.close();
+    return { valid: true, entries: zip.entries.length };
+  } catch (error) {
+    return { valid: false, reason: error.message };
+  }
+}
+
+// A Kindle book (MOBI or AZW3) is a Palm database of type BOOK, creator MOBI
+async function validateKindle(fd, size) {
+  const head = await readRange(fd, 0, Math.min(size, 128));
+  if (looksLikeHtml(head)) {
+    return { valid: false, reason: 'file is an HTML page, not a Kindle book' };
+  }
+  if (head.length < 68 || head.subarray(60, 68).toString('latin1') !== 'BOOKMOBI') {
+    return { valid: false, reason: 'missing BOOKMOBI header' };
+  }
+  return { valid: true };
+}
+
+// Source code comes as a ZIP archive; its central directory is checked afterwards
+async function validateCode(fd, size) {
+  const head = await readRange(fd, 0, Math.min(size, 128));
+  if (looksLikeHtml(head)) {
+    return { valid: false, reason: 'file is an HTML page, not a ZIP archive' };
+  }
+  if (head.length < 4 || (head.readUInt32LE(0) !== LOCAL_ENTRY_SIGNATURE && head.readUInt32LE(0) !== EMPTY_ZIP_SIGNATURE)) {
+    return { valid: false, reason: 'not a ZIP archive' };
+  }
+  return { valid: true };
+}
+
+// The extension for an image by its magic bytes, or null if it is none we know
+function imageExtension(head) {
+  if (head.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) {
+    return 'jpg';
+  }
+  if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'png';
+  }
+  if (head.subarray(0, 4).toString('latin1') === 'GIF8') {
+    return 'gif';
+  }
+  if (head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'webp';
+  }
+  return null;
+}
+
+// Covers are whatever image the site serves: JPEG, PNG, GIF or WebP. `ext` tells the
+// caller which, so the file can be named after what it is.
+async function validateCover(fd, size) {
+  const head = await readRange(fd, 0, Math.min(size, 128));
+  if (looksLikeHtml(head)) {
+    return { valid: false, reason: 'file is an HTML page, not an image' };
+  }
+  const ext = imageExtension(head);
+  return ext ? { valid: true, ext } : { valid: false, reason: 'not a JPEG, PNG, GIF or WebP image' };
+}
+
+const VALIDATORS = {
+  pdf: validatePdf,
+  epub: validateEpub,
+  kindle: validateKindle,
+  code: validateCode,
+  cover: validateCover
+};
+
+// Check that a downloaded file really is the format it claims to be.
+// Formats without a validator are accepted as long as they are not empty.
+async function validateFile(filePath, format) {
+  const { size } = await fs.stat(filePath);
+  if (size === 0) {
+    return { valid: false, reason: 'file is empty' };
+  }
+
+  const validator = VALIDATORS[format.toLowerCase()];
+  if (!validator) {
+    return { valid: true };
+  }
+
+  const fd = await fs.open(filePath, 'r');
+  let result;
+  try {
+    result = await validator(fd, size);
+  } finally {
+    await fs.close(fd);
+  }
+
+  if (result.valid && format.toLowerCase() === 'epub') {
+    result = await validateEpubDirectory(filePath);
+  } else if (result.valid && format.toLowerCase() === 'code') {
+    result = await validateZipDirectory(filePath);
+  }
+  return result;
+}
+
+module.exports = { validateFile, imageExtension };
@@ -0,0 +1,76 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Previous versions of updated books are moved here (inside the site folder)
+const VERSIONS_DIRNAME = '.versions';
+const CHANGELOG_FILENAME = 'CHANGELOG.md';
+
+// Markers a site or server gives for "which release of this book is this"
+const VERSION_MARKERS = {
+  updated: 'last updated',
+  chapters: 'chapters',
+  meapVersion: 'MEAP version',
+  etag: 'ETag',
+  lastModified: 'Last-Modified'
+};
+
+// Describe how two sets of version markers differ, or null when they match.
+// Only markers present on both sides count, so a site that stops showing one
+// doesn't make every book look updated.
+function describeChange(previous, current) {
+  if (!previous || !current) {
+    return null;
+  }
+  const changes = [];
+  for (const [key, label] of Object.entries(VERSION_MARKERS)) {
+    const before = previous[key];
+    const after = current[key];
+    if (before != null && after != null && String(before) !== String(after)) {
+      changes.push(`${label} ${before} → ${after}`);
+    }
+  }
+  return changes.length > 0 ? changes.join(', ') : null;
+}
+
+// Keeps superseded files of a site under .versions/<book>/ with a CHANGELOG.md
+class VersionArchive {
+  constructor(siteDir, { keep = 5 } = {}) {
+    this.siteDir = siteDir;
+    this.dir = path.join(siteDir, VERSIONS_DIRNAME);
+    this.keep = keep;
+  }
+
+  // Move the current file of a manifest entry into the archive; returns its new path
+  async archive(entry, folderName, reason) {
+    const source = path.resolve(this.siteDir, entry.filePath);
+    const bookDir = path.join(this.dir, folderName);
+    const stamp = (entry.downloadedAt || new Date().toISOString()).slice(0, 19).replace(/[:T]/g, '-');
+    const target = path.join(bookDir, `${stamp}_${path.basename(source)}`);
+
+    await fs.move(source, target, { overwrite: true });
+    await this.prune(bookDir, path.extname(source));
+    await this.log(entry, reason, target);
+    return target;
+  }
+
+  // Keep only the newest `keep` archived files of each format
+  async prune(bookDir, ext) {
+    const files = (await fs.readdir(bookDir)).filter(name => name.endsWith(ext)).sort();
+    for (const name of files.slice(0, Math.max(0, files.length - this.keep))) {
+      await fs.remove(path.join(bookDir, name));
+    }
+  }
+
+  async log(entry, reason, archivedPath) {
+    const changelog = path.join(this.dir, CHANGELOG_FILENAME);
+    if (!(await fs.pathExists(changelog))) {
+      await fs.outputFile(changelog, '# Book updates\n\n');
+    }
+    const date = new Date().toISOString().slice(0, 10);
+    const line = `- ${date} **${entry.title}** (${entry.format.toUpperCase()}): ${reason}. ` +
+      `Previous version: \`${path.relative(this.dir, archivedPath)}\`\n`;
+    await fs.appendFile(changelog, line);
+  }
+}
+
+module.exports = { VersionArchive, describeChange, VERSION_MARKERS, VERSIONS_DIRNAME };
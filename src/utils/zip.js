@@ -0,0 +1,122 @@
+const fs = require('fs-extra');
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_ENTRY_SIGNATURE = 0x02014b50;
+const LOCAL_ENTRY_SIGNATURE = 0x04034b50;
+// End of central directory is 22 bytes plus a comment of up to 64KB
+const EOCD_SEARCH_LENGTH = 22 + 0xffff;
+
+class ZipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZipError';
+  }
+}
+
+async function readRange(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await fs.read(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Minimal reader for the ZIP containers used by EPUB files - enough to list
+// entries and extract stored or deflated ones, without pulling in a dependency
+class ZipReader {
+  constructor(fd, size) {
+    this.fd = fd;
+    this.size = size;
+    this.entries = [];
+  }
+
+  static async open(filePath) {
+    const { size } = await fs.stat(filePath);
+    const fd = await fs.open(filePath, 'r');
+    const reader = new ZipReader(fd, size);
+    try {
+      await reader.readDirectory();
+    } catch (error) {
+      await reader.close();
+      throw error;
+    }
+    return reader;
+  }
+
+  async readDirectory() {
+    const searchStart = Math.max(0, this.size - EOCD_SEARCH_LENGTH);
+    const tail = await readRange(this.fd, searchStart, this.size - searchStart);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) {
+      throw new ZipError('ZIP central directory not found - file is probably truncated');
+    }
+
+    const entryCount = tail.readUInt16LE(eocd + 10);
+    const directorySize = tail.readUInt32LE(eocd + 12);
+    const directoryOffset = tail.readUInt32LE(eocd + 16);
+    if (directoryOffset + directorySize > this.size) {
+      throw new ZipError('ZIP central directory points past the end of the file');
+    }
+
+    const directory = await readRange(this.fd, directoryOffset, directorySize);
+    let offset = 0;
+    while (offset + 46 <= directory.length && directory.readUInt32LE(offset) === CENTRAL_ENTRY_SIGNATURE) {
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      this.entries.push({
+        name: directory.subarray(offset + 46, offset + 46 + nameLength).toString('utf8'),
+        method: directory.readUInt16LE(offset + 10),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        size: directory.readUInt32LE(offset + 24),
+        localOffset: directory.readUInt32LE(offset + 42)
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    if (this.entries.length !== entryCount) {
+      throw new ZipError(`ZIP directory lists ${this.entries.length} of ${entryCount} entries`);
+    }
+  }
+
+  names() {
+    return this.entries.map(entry => entry.name);
+  }
+
+  has(name) {
+    return this.entries.some(entry => entry.name === name);
+  }
+
+  async read(name) {
+    const entry = this.entries.find(candidate => candidate.name === name);
+    if (!entry) {
+      throw new ZipError(`ZIP entry not found: ${name}`);
+    }
+
+    const header = await readRange(this.fd, entry.localOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_ENTRY_SIGNATURE) {
+      throw new ZipError(`Corrupt local header for ${name}`);
+    }
+    const dataStart = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const data = await readRange(this.fd, dataStart, entry.compressedSize);
+
+    if (entry.method === 0) {
+      return data;
+    }
+    if (entry.method === 8) {
+      return zlib.inflateRawSync(data);
+    }
+    throw new ZipError(`Unsupported compression method ${entry.method} for ${name}`);
+  }
+
+  async close() {
+    await fs.close(this.fd);
+  }
+}
+
+module.exports = { ZipReader, ZipError, readRange, LOCAL_ENTRY_SIGNATURE };
@@ -0,0 +1,100 @@
+// Supplementary assets: covers named after the image they are, and the HEAD probes that sort
+// unlabelled links into a format
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ManningDownloader = require('../src/sites/manning');
+const { loadConfig } = require('../src/utils/config');
+const { Manifest } = require('../src/utils/manifest');
+const { validateFile } = require('../src/utils/validate');
+const { savedExtension } = require('../src/utils/assets');
+const { buildCover } = require('./support/books');
+const logger = require('../src/utils/logger');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-assets-'));
+  logger.configure({ level: 'quiet', dir: path.join(tmpDir, 'logs') });
+  mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await logger.flush();
+  await fs.remove(tmpDir);
+});
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(24)]);
+const RUST = { id: '1002', title: 'Rust in Action', metadata: { authors: ['Tim McNamara'] } };
+
+async function adapterIn(name, downloads = {}) {
+  const adapter = new ManningDownloader();
+  adapter.configure(loadConfig({ env: {}, overrides: { downloads: { filenameTemplate: '{title}.{ext}', ...downloads } } }));
+  adapter.downloadsDir = path.join(tmpDir, name);
+  adapter.manifest = await new Manifest(adapter.downloadsDir, 'manning').load();
+  adapter.stats = { skipped: 0, downloaded: 0, updated: [], items: [] };
+  return adapter;
+}
+
+async function storeCover(adapter, data) {
+  const filepath = adapter.filePathFor(RUST, 'cover');
+  await fs.outputFile(`${filepath}.part`, data);
+  return adapter.storeFile(`${filepath}.part`, filepath, RUST, 'cover', 'https://www.manning.com/covers/rust.png');
+}
+
+test('a cover is saved with the extension of the image the site served', async () => {
+  const probe = path.join(tmpDir, 'cover.bin');
+  await fs.outputFile(probe, PNG);
+  assert.deepStrictEqual(await validateFile(probe, 'cover'), { valid: true, ext: 'png' });
+
+  const adapter = await adapterIn('flat');
+  const png = await storeCover(adapter, PNG);
+  assert.strictEqual(png.filePath, 'Rust_in_Action.png');
+  assert.ok(await fs.pathExists(path.join(adapter.downloadsDir, 'Rust_in_Action.png')));
+  assert.deepStrictEqual(await fs.readdir(adapter.downloadsDir), ['.manifest.json', 'Rust_in_Action.png']);
+
+  // Moving the book keeps the extension, as `rename` and placeBook do
+  assert.strictEqual(savedExtension('cover', png.filePath), 'png');
+  assert.strictEqual(savedExtension('pdf', 'Rust_in_Action.PDF'), 'pdf');
+  assert.strictEqual(adapter.filePathFor(RUST, 'cover', { ext: savedExtension('cover', png.filePath) }), path.join(adapter.downloadsDir, 'Rust_in_Action.png'));
+
+  const jpg = await storeCover(await adapterIn('jpeg'), buildCover());
+  assert.strictEqual(jpg.filePath, 'Rust_in_Action.jpg');
+});
+
+test('Calibre layout names a JPEG cover cover.jpg and keeps a PNG as cover.png', async () => {
+  const adapter = await adapterIn('calibre', { layout: 'calibre' });
+  const png = await storeCover(adapter, PNG);
+  assert.strictEqual(path.basename(png.filePath), 'cover.png');
+  assert.deepStrictEqual(await validateFile(adapter.manifest.locate(png), 'cover'), { valid: true, ext: 'png' });
+
+  // The folder's existing cover is what metadata.opf points at
+  const bookDir = path.dirname(adapter.manifest.locate(png));
+  assert.strictEqual(await adapter.saveCover({ ...RUST, metadata: { ...RUST.metadata, cover: {} } }, bookDir), path.join(bookDir, 'cover.png'));
+
+  const jpg = await storeCover(await adapterIn('calibre-jpeg', { layout: 'calibre' }), buildCover());
+  assert.strictEqual(path.basename(jpg.filePath), 'cover.jpg');
+});
+
+test('probing an unlabelled link for its type takes a token like a download', async () => {
+  const adapter = new ManningDownloader();
+  adapter.configure(loadConfig({ env: {}, overrides: {} }));
+  const order = [];
+  adapter.rateLimiter.acquire = async () => { order.push('token'); };
+  adapter.page = {
+    url: () => 'https://www.manning.com/dashboard',
+    request: {
+      head: async url => {
+        order.push(`HEAD ${url}`);
+        return { ok: () => true, headers: () => ({ 'content-type': 'application/epub+zip' }) };
+      }
+    }
+  };
+
+  assert.strictEqual(await adapter.probeAsset('/dashboard/download?productId=1005'), 'epub');
+  assert.deepStrictEqual(order, ['token', 'HEAD https://www.manning.com/dashboard/download?productId=1005']);
+});
@@ -0,0 +1,145 @@
+// Browser workers share one context: a download that never starts must only close the tabs
+// its own click opened, not the other workers' tabs
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const ManningDownloader = require('../src/sites/manning');
+const { loadConfig } = require('../src/utils/config');
+const { runQueue } = require('../src/core/queue');
+const { FAILURE_KINDS } = require('../src/utils/errors');
+const logger = require('../src/utils/logger');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-workers-'));
+  logger.configure({ level: 'quiet', dir: path.join(tmpDir, 'logs') });
+  // The timeout warning and error, kept off the test runner's own output
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await logger.flush();
+  await fs.remove(tmpDir);
+});
+
+class FakeContext {
+  constructor() {
+    this.open = [];
+  }
+
+  pages() {
+    return [...this.open];
+  }
+}
+
+// Just enough of a Playwright page for downloadFormatFromRow: every locator finds one
+// element, the error banner excepted, and clicking the download link runs `onDownloadClick`
+class FakePage extends EventEmitter {
+  constructor(context, url) {
+    super();
+    this.browserContext = context;
+    this.address = url;
+    this.closed = false;
+    this.download = null;
+    this.onDownloadClick = () => {};
+    context.open.push(this);
+  }
+
+  context() {
+    return this.browserContext;
+  }
+
+  url() {
+    return this.address;
+  }
+
+  async title() {
+    return 'Dashboard';
+  }
+
+  async click() {}
+
+  waitForEvent() {
+    return this.download;
+  }
+
+  async close() {
+    this.closed = true;
+    this.browserContext.open = this.browserContext.open.filter(page => page !== this);
+  }
+
+  locator(selector) {
+    const page = this;
+    const element = {
+      first: () => element,
+      count: async () => (selector.startsWith('a[href=') ? 1 : 0),
+      textContent: async () => null,
+      scrollIntoViewIfNeeded: async () => {},
+      waitFor: async () => {},
+      click: async () => page.onDownloadClick(),
+      all: async () => []
+    };
+    return element;
+  }
+}
+
+function fakeRow() {
+  const toggle = {
+    textContent: async () => 'PDF',
+    scrollIntoViewIfNeeded: async () => {},
+    click: async () => {}
+  };
+  return { dropdownToggles: async () => [toggle], firstDropdownToggle: () => toggle };
+}
+
+test('a worker whose download times out closes only the tab its click opened', async () => {
+  const adapter = new ManningDownloader();
+  adapter.configure(loadConfig({ env: {}, overrides: { browser: { downloadTimeout: 1000 } } }));
+
+  const context = new FakeContext();
+  const pages = [new FakePage(context, 'dashboard-0'), new FakePage(context, 'dashboard-1')];
+  let timedOut;
+  const workerOneWaits = new Promise(resolve => { timedOut = resolve; });
+
+  // Worker 0's click opens a tab and no download follows
+  pages[0].download = Promise.reject(new Error('Timeout 1000ms exceeded'));
+  pages[0].download.catch(() => {});
+  pages[0].onDownloadClick = () => pages[0].emit('popup', new FakePage(context, 'viewer'));
+  // Worker 1 is still downloading, in its own tab, while worker 0 gives up
+  pages[1].download = workerOneWaits.then(() => ({ suggestedFilename: () => 'book.pdf' }));
+
+  const saved = [];
+  adapter.saveDownload = async (download, book) => {
+    assert.strictEqual(pages[1].closed, false);
+    saved.push(book.id);
+  };
+
+  const books = ['1001', '1002'].map(id => ({
+    id,
+    title: `Book ${id}`,
+    formats: { pdf: `https://www.manning.com/dashboard/download?productId=${id}&downloadFormat=PDF` }
+  }));
+  const errors = [];
+  await runQueue(books, async (book, index, workerId) => {
+    const page = pages[workerId];
+    try {
+      await adapter.downloadFormatFromRow(book, 'pdf', fakeRow(), [], page);
+    } catch (error) {
+      errors.push(error);
+      timedOut();
+    }
+  }, { concurrency: 2 });
+
+  assert.deepStrictEqual(saved, ['1002']);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].kind, FAILURE_KINDS.DOWNLOAD_TIMEOUT);
+  assert.deepStrictEqual(context.pages().map(page => page.url()), ['dashboard-0', 'dashboard-1']);
+  assert.strictEqual(pages[0].listenerCount('popup'), 0);
+});
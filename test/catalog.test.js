@@ -0,0 +1,75 @@
+// `list --export`: the library as JSON, CSV and Markdown
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { renderCatalog, catalogFormat } = require('../src/utils/catalog');
+
+const BOOKS = [
+  {
+    id: '1002',
+    title: 'Rust in Action',
+    purchased: '2024-03-01',
+    formats: {
+      pdf: 'https://www.manning.com/dashboard/download?productId=1002&downloadFormat=PDF',
+      epub: 'https://www.manning.com/dashboard/download?productId=1002&downloadFormat=EPUB'
+    },
+    metadata: { authors: ['Tim McNamara'], productUrl: 'https://www.manning.com/books/rust-in-action' },
+    local: {
+      epub: { status: 'pending', file: null, downloadedAt: null },
+      pdf: { status: 'downloaded', file: 'Rust_in_Action.pdf', downloadedAt: '2024-03-02T10:00:00.000Z' }
+    }
+  },
+  {
+    id: '1003',
+    title: '=HYPERLINK("x"), "Kotlin" | notes',
+    purchased: null,
+    formats: { pdf: '/dashboard/download?productId=1003&downloadFormat=PDF', epub: null },
+    metadata: {}
+  }
+];
+
+const OPTIONS = { site: 'manning', siteName: 'Manning Publications', exportedAt: '2024-05-01T00:00:00.000Z' };
+
+test('the export format follows the file extension', () => {
+  assert.strictEqual(catalogFormat('library.json'), 'json');
+  assert.strictEqual(catalogFormat('out/Library.CSV'), 'csv');
+  assert.strictEqual(catalogFormat('library.md'), 'markdown');
+  assert.strictEqual(catalogFormat('library.xlsx'), null);
+  assert.strictEqual(catalogFormat('library'), null);
+});
+
+test('JSON lists each book with its links and local status', () => {
+  const catalog = JSON.parse(renderCatalog(BOOKS, 'json', OPTIONS));
+  assert.strictEqual(catalog.site, 'manning');
+  assert.strictEqual(catalog.count, 2);
+  assert.deepStrictEqual(catalog.books[0], {
+    id: '1002',
+    title: 'Rust in Action',
+    authors: ['Tim McNamara'],
+    purchased: '2024-03-01',
+    productUrl: 'https://www.manning.com/books/rust-in-action',
+    formats: ['pdf', 'epub'],
+    formatUrls: BOOKS[0].formats,
+    local: BOOKS[0].local
+  });
+  // Formats the site doesn't offer are left out
+  assert.deepStrictEqual(catalog.books[1].formats, ['pdf']);
+});
+
+test('CSV has a column group per format and is safe to open in a spreadsheet', () => {
+  const [header, rust, kotlin] = renderCatalog(BOOKS, 'csv', OPTIONS).trimEnd().split('\r\n');
+  assert.strictEqual(header, 'id,title,authors,purchased,product_url,formats,epub_url,epub_status,epub_file,pdf_url,pdf_status,pdf_file');
+  assert.strictEqual(rust, '1002,Rust in Action,Tim McNamara,2024-03-01,https://www.manning.com/books/rust-in-action,pdf;epub,' +
+    'https://www.manning.com/dashboard/download?productId=1002&downloadFormat=EPUB,pending,,' +
+    'https://www.manning.com/dashboard/download?productId=1002&downloadFormat=PDF,downloaded,Rust_in_Action.pdf');
+  assert.ok(kotlin.startsWith('1003,"\'=HYPERLINK(""x""), ""Kotlin"" | notes",,,,pdf,'));
+});
+
+test('Markdown is a table with linked titles and formats', () => {
+  const markdown = renderCatalog(BOOKS, 'markdown', OPTIONS);
+  assert.match(markdown, /^# Manning Publications library\n\n2 books, exported 2024-05-01T00:00:00.000Z\./);
+  assert.ok(markdown.includes('| [Rust in Action](https://www.manning.com/books/rust-in-action) | 1002 | 2024-03-01 | ' +
+    '[PDF](https://www.manning.com/dashboard/download?productId=1002&downloadFormat=PDF), ' +
+    '[EPUB](https://www.manning.com/dashboard/download?productId=1002&downloadFormat=EPUB) | EPUB pending, PDF downloaded |'));
+  assert.ok(markdown.includes('| =HYPERLINK("x"), "Kotlin" \\| notes | 1003 |'));
+});
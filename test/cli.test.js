@@ -0,0 +1,154 @@
+// The command line: flags and commands, where credentials come from, and the documented exit
+// codes a script can rely on
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { parseArgs, resolveCredentials, UsageError, EXIT_CODES } = require('../src/cli');
+const { main } = require('../src/index');
+const { Manifest } = require('../src/utils/manifest');
+const { AuthError } = require('../src/utils/errors');
+const { buildPdf } = require('./support/books');
+const status = require('../src/commands/status');
+const logger = require('../src/utils/logger');
+
+let tmpDir;
+let configPath;
+let errors;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-cli-'));
+  configPath = path.join(tmpDir, 'config.json');
+  await fs.writeJson(configPath, {
+    downloads: { baseDir: path.join(tmpDir, 'downloads') },
+    session: { dir: path.join(tmpDir, 'session') },
+    logging: { dir: path.join(tmpDir, 'logs') },
+    reports: { dir: path.join(tmpDir, 'reports') }
+  });
+  // Usage errors are logged before main() has read a config, so keep that out of the repo's logs/
+  logger.configure({ level: 'quiet', dir: path.join(tmpDir, 'logs') });
+  // What main() prints, kept off the test runner's own output but checked for usage errors
+  errors = [];
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', (...parts) => errors.push(parts.join(' ')));
+});
+
+after(async () => {
+  mock.restoreAll();
+  await logger.flush();
+  await fs.remove(tmpDir);
+});
+
+test('flags are read with their types, aliases and inline values', () => {
+  const args = parseArgs(['list', '--formats', 'PDF, epub', '--concurrency=3', '-y', '--headless=false',
+    '--set', 'browser.timeout=60000', '--set', 'downloads.mode=http', '--out', 'books']);
+  assert.deepStrictEqual(args, {
+    command: 'list',
+    formats: ['pdf', 'epub'],
+    concurrency: 3,
+    yes: true,
+    headless: false,
+    set: ['browser.timeout=60000', 'downloads.mode=http'],
+    out: 'books'
+  });
+
+  assert.deepStrictEqual(parseArgs([]), { command: 'sync', set: [] });
+  assert.deepStrictEqual(parseArgs(['session']), { command: 'session', subcommand: 'status', set: [] });
+});
+
+test('unknown commands, options and bad values are usage errors', () => {
+  const usage = message => error => error instanceof UsageError && error.message === message;
+  assert.throws(() => parseArgs(['bogus']), usage('Unknown command "bogus" - expected one of: sync, list, login, status, retry-failed, verify, rename, session, watch, dedupe'));
+  assert.throws(() => parseArgs(['--frmats', 'pdf']), usage('Unknown option "--frmats"'));
+  assert.throws(() => parseArgs(['sync', 'list']), usage('Unexpected argument "list"'));
+  assert.throws(() => parseArgs(['session', 'open']), usage('Unknown session command "open" - expected one of: status'));
+  assert.throws(() => parseArgs(['--out']), usage('Option --out needs a value'));
+  assert.throws(() => parseArgs(['--out', '--headless']), usage('Option --out needs a value'));
+  assert.throws(() => parseArgs(['--concurrency', 'two']), usage('Option --concurrency expects a whole number, got "two"'));
+});
+
+// Runs with only the given variables set, as the tests' own environment may have credentials
+async function withEnv(env, fn) {
+  const saved = { ...process.env };
+  for (const key of Object.keys(process.env).filter(key => key.startsWith('EBOOK_'))) {
+    delete process.env[key];
+  }
+  Object.assign(process.env, env);
+  try {
+    return await fn();
+  } finally {
+    for (const key of Object.keys(process.env).filter(key => !(key in saved))) {
+      delete process.env[key];
+    }
+    Object.assign(process.env, saved);
+  }
+}
+
+// Not on a terminal, so nothing is asked
+async function credentials(args, profile) {
+  const { interactive, ...resolved } = await resolveCredentials(args, profile);
+  assert.ok(!interactive);
+  return resolved;
+}
+
+test('credentials come from flags, then the environment; a profile brings its own', async () => {
+  const env = { EBOOK_EMAIL: 'env@example.com', EBOOK_PASSWORD: 'shared', EBOOK_PASSWORD_HOME_2: 'home' };
+  await withEnv(env, async () => {
+    assert.deepStrictEqual(await credentials({ email: 'flag@example.com' }),
+      { email: 'flag@example.com', password: 'shared', passphrase: 'shared' });
+    assert.strictEqual((await credentials({})).email, 'env@example.com');
+
+    const home = { name: 'home-2', email: 'home@example.com' };
+    assert.deepStrictEqual(await credentials({ email: 'flag@example.com' }, home),
+      { email: 'home@example.com', password: 'home', passphrase: 'home' });
+
+    // With --all-profiles the shared password is not handed to every account
+    const work = { name: 'work' };
+    assert.strictEqual((await credentials({ 'all-profiles': true }, work)).password, null);
+    assert.strictEqual((await credentials({}, work)).password, 'shared');
+
+    await assert.rejects(credentials({ email: 'not-an-email' }), UsageError);
+  });
+
+  await withEnv({ EBOOK_PASSWORD: 'secret', EBOOK_SESSION_PASSPHRASE: 'passphrase' }, async () => {
+    assert.deepStrictEqual(await credentials({ yes: true }),
+      { email: null, password: 'secret', passphrase: 'passphrase' });
+  });
+});
+
+function run(...argv) {
+  return main(['--site', 'manning', '--config', configPath, '--quiet', ...argv]);
+}
+
+test('exit codes: 0 success, 1 error, 2 partial, 3 login failed, 64 bad usage', async () => {
+  assert.strictEqual(await main(['--help']), EXIT_CODES.SUCCESS);
+  assert.strictEqual(await run('status'), EXIT_CODES.SUCCESS);
+
+  assert.strictEqual(await main(['bogus']), EXIT_CODES.USAGE);
+  assert.strictEqual(await main(['--frmats', 'pdf']), EXIT_CODES.USAGE);
+  assert.ok(errors.some(line => line.includes('Usage: ebook-downloader')), 'usage is printed');
+
+  errors.length = 0;
+  assert.strictEqual(await run('status', '--set', 'downloads.concurency=2'), EXIT_CODES.USAGE);
+  assert.ok(errors.some(line => line.includes('downloads.concurency: unknown setting (did you mean "concurrency"?)')), errors.join('\n'));
+
+  // A broken file found by verify leaves the run partly done
+  const downloadsDir = path.join(tmpDir, 'downloads', 'manning');
+  const filePath = path.join(downloadsDir, 'Rust_in_Action.pdf');
+  await fs.outputFile(filePath, buildPdf({ title: 'Rust in Action', authors: ['Tim McNamara'] }).subarray(0, 100));
+  const manifest = await new Manifest(downloadsDir, 'manning').load();
+  await manifest.record({ bookId: '1002', title: 'Rust in Action', format: 'pdf', sourceUrl: null, filePath });
+  assert.strictEqual(await run('verify'), EXIT_CODES.PARTIAL);
+
+  mock.method(status, 'run', async () => {
+    throw new AuthError('Login failed - check your email and password');
+  });
+  assert.strictEqual(await run('status'), EXIT_CODES.AUTH);
+  status.run.mock.mockImplementation(async () => {
+    throw new Error('disk full');
+  });
+  assert.strictEqual(await run('status'), EXIT_CODES.ERROR);
+  status.run.mock.restore();
+});
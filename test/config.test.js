@@ -0,0 +1,88 @@
+// config.json: defaults, validation errors, and the environment and --set overrides on top
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { loadConfig, getSiteConfig, parseSetOverrides, ConfigError } = require('../src/utils/config');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-config-'));
+});
+
+after(async () => {
+  await fs.remove(tmpDir);
+});
+
+async function configFile(name, content) {
+  const filePath = path.join(tmpDir, `${name}.json`);
+  await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+}
+
+test('missing settings get their defaults', async () => {
+  const config = loadConfig({ configPath: await configFile('partial', { downloads: { concurrency: 3 } }), env: {} });
+
+  assert.strictEqual(config.downloads.concurrency, 3);
+  assert.strictEqual(config.downloads.mode, 'browser');
+  assert.strictEqual(config.browser.timeout, 30000);
+  assert.ok(path.isAbsolute(config.downloads.baseDir));
+  assert.deepStrictEqual(getSiteConfig(config, 'manning').downloadFormats, ['pdf', 'epub']);
+});
+
+test('every mistake is reported at once, with a suggestion for misspelled keys', async () => {
+  const configPath = await configFile('invalid', {
+    browser: { headles: true, timeout: 10 },
+    downloads: { mode: 'htp', concurrency: 'two' },
+    sites: { manning: { downloadFormats: ['pdf', 'mobi'] } }
+  });
+
+  assert.throws(() => loadConfig({ configPath, env: {} }), error => {
+    assert.ok(error instanceof ConfigError);
+    assert.match(error.message, /browser\.headles: unknown setting \(did you mean "headless"\?\)/);
+    assert.match(error.message, /browser\.timeout: must be at least 1000, got 10/);
+    assert.match(error.message, /downloads\.mode: must be one of browser, http, got "htp" \(did you mean "http"\?\)/);
+    assert.match(error.message, /downloads\.concurrency: expected a whole number, got "two"/);
+    assert.match(error.message, /sites\.manning\.downloadFormats\[1\]: must be one of/);
+    return true;
+  });
+});
+
+test('a config file that is not JSON, or a named file that is missing, is an error', async () => {
+  const broken = await configFile('broken', '{ "browser": ');
+  assert.throws(() => loadConfig({ configPath: broken, env: {} }), /Could not parse/);
+  assert.throws(() => loadConfig({ configPath: path.join(tmpDir, 'nowhere.json'), env: {} }), /Config file not found/);
+});
+
+test('--set values are typed by the schema', () => {
+  assert.deepStrictEqual(parseSetOverrides([
+    'browser.headless=yes',
+    'downloads.concurrency=4',
+    'sites.manning.downloadFormats=epub, kindle',
+    'watch.notify.webhook=https://example.com/hook?token=a=b'
+  ]), {
+    browser: { headless: true },
+    downloads: { concurrency: 4 },
+    sites: { manning: { downloadFormats: ['epub', 'kindle'] } },
+    watch: { notify: { webhook: 'https://example.com/hook?token=a=b' } }
+  });
+
+  // Values that don't fit the type are kept as given, for validation to report
+  assert.deepStrictEqual(parseSetOverrides(['browser.timeout=soon']), { browser: { timeout: 'soon' } });
+  assert.throws(() => parseSetOverrides(['browser.headless']), ConfigError);
+  assert.throws(() => parseSetOverrides(['=true']), /expected key\.path=value/);
+});
+
+test('--set beats the environment, which beats the file', async () => {
+  const configPath = await configFile('layers', { browser: { headless: false, timeout: 20000 }, downloads: { mode: 'browser' } });
+  const env = { EBOOK_HEADLESS: '1', EBOOK_TIMEOUT: '45000', EBOOK_DOWNLOAD_MODE: 'http' };
+  const config = loadConfig({ configPath, env, overrides: parseSetOverrides(['browser.timeout=60000']) });
+
+  assert.strictEqual(config.browser.headless, true);
+  assert.strictEqual(config.browser.timeout, 60000);
+  assert.strictEqual(config.downloads.mode, 'http');
+  assert.throws(() => loadConfig({ configPath, env: { EBOOK_CONCURRENCY: '20' } }), /downloads\.concurrency: must be at most 8/);
+});
@@ -0,0 +1,143 @@
+// `dedupe`: identical files across sites and profiles, similar titles, and keeping the
+// manifests right when copies are linked or removed
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ContentIndex, titleKey, editionOf, titleSimilarity } = require('../src/core/content-index');
+const { Manifest } = require('../src/utils/manifest');
+const { loadConfig } = require('../src/utils/config');
+const { EXIT_CODES } = require('../src/cli');
+const dedupe = require('../src/commands/dedupe');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-dedupe-'));
+  mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fs.remove(tmpDir);
+});
+
+// Two accounts that both bought Rust in Action, and an early-access copy under another title
+async function setUp(name) {
+  const baseDir = path.join(tmpDir, name);
+  const personal = path.join(baseDir, 'manning');
+  const work = path.join(baseDir, 'work', 'manning');
+  const books = [
+    [personal, '1002', 'Rust in Action', 'pdf', 'rust pdf'],
+    [personal, '1002', 'Rust in Action', 'epub', 'rust epub'],
+    [personal, '1005', 'Grokking Algorithms', 'pdf', 'grokking v1'],
+    [work, '1002', 'Rust in Action', 'pdf', 'rust pdf'],
+    [work, '2005', 'Grokking Algorithms MEAP', 'pdf', 'grokking v2'],
+    [work, '1010', 'Kubernetes in Action, Second Edition', 'pdf', 'k8s 2'],
+    [personal, '1009', 'Kubernetes in Action', 'pdf', 'k8s 1']
+  ];
+  for (const [dir, bookId, title, format, content] of books) {
+    const manifest = await new Manifest(dir, 'manning').load();
+    const filePath = path.join(dir, `${title.replace(/\W+/g, '_')}.${format}`);
+    await fs.outputFile(filePath, content);
+    await manifest.record({ bookId, title, format, sourceUrl: null, filePath });
+  }
+  const config = loadConfig({ env: {}, overrides: { downloads: { baseDir }, profiles: { work: { site: 'manning' } } } });
+  return { baseDir, personal, work, config };
+}
+
+function runDedupe(config, args = {}) {
+  return dedupe.run({ args, siteKey: 'manning', config });
+}
+
+test('titles are compared without edition and early-access markers', () => {
+  assert.strictEqual(titleKey('Grokking Algorithms (MEAP v3)'), 'grokking algorithms');
+  assert.strictEqual(titleKey('Kubernetes in Action, Second Edition'), 'kubernetes in action');
+  assert.strictEqual(editionOf('Kubernetes in Action, Second Edition'), 2);
+  assert.strictEqual(editionOf('Effective Java, 3rd ed.'), 3);
+  assert.strictEqual(editionOf('Rust in Action'), 1);
+  assert.ok(titleSimilarity('grokking algorithms', 'grokking algorithm') >= 0.9);
+  assert.ok(titleSimilarity('rust in action', 'go in action') < 0.9);
+});
+
+test('the index groups identical files and reports similar titles of different files', async () => {
+  const { personal, work } = await setUp('index');
+  const index = await ContentIndex.build([
+    { label: 'manning', site: 'manning', dir: personal },
+    { label: 'work/manning', site: 'manning', dir: work }
+  ]);
+
+  const groups = index.duplicates();
+  assert.strictEqual(groups.length, 1);
+  assert.strictEqual(groups[0].keep.filePath, path.join(personal, 'Rust_in_Action.pdf'));
+  assert.deepStrictEqual(groups[0].copies.map(copy => [copy.filePath, copy.linked]), [[path.join(work, 'Rust_in_Action.pdf'), false]]);
+
+  // Different editions are different books; the shared Rust in Action is an exact duplicate
+  assert.deepStrictEqual(index.similarTitles().map(books => books.map(book => `${book.library} ${book.title}`)), [
+    ['manning Grokking Algorithms', 'work/manning Grokking Algorithms MEAP']
+  ]);
+});
+
+test('dedupe only reports unless asked to act, and writes the content index', async () => {
+  const { baseDir, work, config } = await setUp('report');
+  assert.strictEqual(await runDedupe(config, { remove: true, 'dry-run': true }), EXIT_CODES.SUCCESS);
+  assert.ok(await fs.pathExists(path.join(work, 'Rust_in_Action.pdf')));
+  assert.ok(!await fs.pathExists(path.join(baseDir, '.content-index.json')), 'a dry run writes nothing');
+
+  assert.strictEqual(await runDedupe(config), EXIT_CODES.SUCCESS);
+  assert.ok(await fs.pathExists(path.join(work, 'Rust_in_Action.pdf')));
+  const saved = await fs.readJson(path.join(baseDir, '.content-index.json'));
+  assert.strictEqual(Object.values(saved.files).filter(files => files.length > 1).length, 1);
+});
+
+test('--link replaces copies with hardlinks and leaves the manifests valid', async () => {
+  const { personal, work, config } = await setUp('link');
+  assert.strictEqual(await runDedupe(config, { link: true }), EXIT_CODES.SUCCESS);
+
+  const kept = await fs.stat(path.join(personal, 'Rust_in_Action.pdf'));
+  const copy = await fs.stat(path.join(work, 'Rust_in_Action.pdf'));
+  assert.strictEqual(copy.ino, kept.ino);
+  const manifest = await new Manifest(work, 'manning').load();
+  assert.ok(await manifest.isComplete('1002', 'pdf'));
+
+  // Already linked copies are not duplicates any more
+  const index = await ContentIndex.build([
+    { label: 'manning', site: 'manning', dir: personal },
+    { label: 'work/manning', site: 'manning', dir: work }
+  ]);
+  assert.strictEqual(index.duplicates()[0].reclaimable, 0);
+});
+
+test('--remove deletes copies and keeps them downloaded while the kept file exists', async () => {
+  const { personal, work, config } = await setUp('remove');
+  assert.strictEqual(await runDedupe(config, { remove: true }), EXIT_CODES.SUCCESS);
+
+  const keptPath = path.join(personal, 'Rust_in_Action.pdf');
+  assert.ok(!(await fs.pathExists(path.join(work, 'Rust_in_Action.pdf'))));
+  let manifest = await new Manifest(work, 'manning').load();
+  assert.strictEqual(manifest.get('1002', 'pdf').duplicateOf, path.join('..', '..', 'manning', 'Rust_in_Action.pdf'));
+  assert.strictEqual(manifest.locate(manifest.get('1002', 'pdf')), keptPath);
+  assert.ok(await manifest.isComplete('1002', 'pdf'));
+
+  // Moving the download folder as a whole keeps the link
+  const baseDir = path.join(tmpDir, 'remove-moved');
+  await fs.move(path.dirname(personal), baseDir);
+  manifest = await new Manifest(path.join(baseDir, 'work', 'manning'), 'manning').load();
+  assert.ok(await manifest.isComplete('1002', 'pdf'));
+
+  // Once the kept copy is gone, the next sync downloads the book again
+  await fs.remove(path.join(baseDir, 'manning', 'Rust_in_Action.pdf'));
+  manifest = await new Manifest(path.join(baseDir, 'work', 'manning'), 'manning').load();
+  assert.ok(!(await manifest.isComplete('1002', 'pdf')));
+});
+
+test('a copy that changed since it was downloaded is left alone', async () => {
+  const { work, config } = await setUp('changed');
+  await fs.writeFile(path.join(work, 'Rust_in_Action.pdf'), 'rust PDF');
+  assert.strictEqual(await runDedupe(config, { remove: true }), EXIT_CODES.PARTIAL);
+  assert.ok(await fs.pathExists(path.join(work, 'Rust_in_Action.pdf')));
+  const manifest = await new Manifest(work, 'manning').load();
+  assert.strictEqual(manifest.get('1002', 'pdf').duplicateOf, undefined);
+});
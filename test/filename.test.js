@@ -0,0 +1,62 @@
+// Filename templates, names that are safe on every file system, and books that would share a file
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { sanitizeSegment, templateFields, renderFilePath, withSuffix, unknownPlaceholders } = require('../src/utils/filename');
+const { loadConfig } = require('../src/utils/config');
+const ManningDownloader = require('../src/sites/manning');
+
+const RUST = {
+  id: '1002',
+  title: 'Rust in Action',
+  metadata: { authors: ['Tim McNamara'], published: '2021-08-10', edition: 2, isbn: '9781617294556' }
+};
+
+function render(template, book = RUST, options = {}) {
+  return renderFilePath(template, templateFields(book, { format: 'pdf', site: 'manning' }), options);
+}
+
+test('templates fill in the book and drop the brackets of empty fields', () => {
+  assert.strictEqual(render('{author} - {title} ({year}) [{edition}].{ext}'), 'Tim_McNamara_-_Rust_in_Action_(2021)_[2nd_Edition].pdf');
+  assert.strictEqual(render('{site}/{author}/{title}.{ext}', RUST, { replaceSpaces: false }), path.join('manning', 'Tim McNamara', 'Rust in Action.pdf'));
+
+  const untitled = { id: '1003', title: 'The Joy of Kotlin', metadata: {} };
+  assert.strictEqual(render('{author} - {title} ({year}) [{edition}].{ext}', untitled, { replaceSpaces: false }), 'The Joy of Kotlin.pdf');
+  assert.deepStrictEqual(unknownPlaceholders('{title} {autor}.{ext}'), ['autor']);
+});
+
+test('names are safe on Windows, macOS and Linux', () => {
+  assert.strictEqual(sanitizeSegment('C#: The "Good" Parts? <2nd/ed>'), 'C#_The_Good_Parts_2nd_ed');
+  assert.strictEqual(sanitizeSegment('...hidden. '), 'hidden');
+  assert.strictEqual(sanitizeSegment('CON.pdf'), '_CON.pdf');
+  assert.strictEqual(sanitizeSegment('bell\u0007 ring'), 'bell_ring');
+  assert.strictEqual(sanitizeSegment(''), 'Unknown_Book');
+  // A decomposed "é" from macOS is the same name as the composed one
+  assert.strictEqual(sanitizeSegment('Cafe\u0301'), 'Caf\u00e9');
+});
+
+test('long names are cut to the byte limit without splitting a character or losing the extension', () => {
+  const title = 'Ünïcödé '.repeat(40);
+  const filePath = render('{title}.{ext}', { id: '1', title, metadata: {} }, { maxBytes: 50 });
+  assert.ok(Buffer.byteLength(filePath) <= 50, filePath);
+  assert.ok(filePath.endsWith('.pdf'));
+  assert.ok(!filePath.includes('�'));
+
+  const suffixed = withSuffix(filePath, '1002', { maxBytes: 50 });
+  assert.ok(Buffer.byteLength(suffixed) <= 50, suffixed);
+  assert.ok(suffixed.endsWith('_(1002).pdf'));
+});
+
+test('a second book with the same name gets its id appended, whatever the case', () => {
+  const adapter = new ManningDownloader();
+  adapter.configure(loadConfig({ env: {}, overrides: { downloads: { filenameTemplate: '{title}.{ext}' } } }));
+  adapter.downloadsDir = path.join(path.sep, 'books');
+
+  const first = adapter.filePathFor({ id: '1002', title: 'Rust in Action' }, 'pdf');
+  const second = adapter.filePathFor({ id: '2002', title: 'RUST IN ACTION' }, 'pdf');
+  assert.strictEqual(first, path.join(path.sep, 'books', 'Rust_in_Action.pdf'));
+  assert.strictEqual(second, path.join(path.sep, 'books', 'RUST_IN_ACTION_(2002).pdf'));
+  // The first book keeps its name on the next call
+  assert.strictEqual(adapter.filePathFor({ id: '1002', title: 'Rust in Action' }, 'pdf'), first);
+});
@@ -0,0 +1,235 @@
+// The fixture server and the HTTP download path, without a browser
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { startFixtureServer, bookFile, ACCOUNT } = require('./support/fixture-server');
+const { HttpDownloader, filenameFromDisposition } = require('../src/utils/http-download');
+const { validateFile } = require('../src/utils/validate');
+const { readFileMetadata } = require('../src/utils/metadata');
+const { assetForContentType } = require('../src/utils/assets');
+const ManningDownloader = require('../src/sites/manning');
+const { loadConfig } = require('../src/utils/config');
+const { Manifest } = require('../src/utils/manifest');
+const logger = require('../src/utils/logger');
+
+let server;
+let tmpDir;
+
+before(async () => {
+  server = await startFixtureServer();
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-fixture-'));
+  logger.configure({ level: 'quiet', dir: path.join(tmpDir, 'logs') });
+  mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await logger.flush();
+  await server.close();
+  await fs.remove(tmpDir);
+});
+
+function request(url, { method = 'GET', body = null, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, response => {
+      let text = '';
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: text }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function logIn(email = ACCOUNT.email, password = ACCOUNT.password) {
+  return request(`${server.url}/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ email, password }).toString()
+  });
+}
+
+// Cookies the way the browser context would hand them to HttpDownloader
+function sessionCookies(setCookie) {
+  const [name, value] = setCookie[0].split(';')[0].split('=');
+  return [{ name, value, domain: '127.0.0.1', path: '/', expires: -1, secure: false }];
+}
+
+test('the dashboard redirects to the login form without a session', async () => {
+  const response = await request(`${server.url}/dashboard`);
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.headers.location, '/login');
+});
+
+test('a wrong password shows the login form again with an error', async () => {
+  const response = await logIn(ACCOUNT.email, 'wrong-password');
+  assert.strictEqual(response.status, 200);
+  assert.match(response.body, /alert-danger/);
+  assert.strictEqual(response.headers['set-cookie'], undefined);
+});
+
+test('logging in sets the session cookie and loads the product rows in batches', async () => {
+  const login = await logIn();
+  assert.strictEqual(login.status, 302);
+  assert.strictEqual(login.headers.location, '/dashboard');
+
+  const cookie = login.headers['set-cookie'][0].split(';')[0];
+  const batch = async page => request(`${server.url}/dashboard/products?page=${page}`, { headers: { Cookie: cookie } });
+  const rowCount = response => (response.body.match(/class="product-row"/g) || []).length;
+
+  // Every batch but the last ends with the "loading more" row the dashboard scrolls to
+  const first = await batch(1);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(rowCount(first), 3);
+  assert.match(first.body, /infinite-scroll-loading/);
+
+  const last = await batch(2);
+  assert.strictEqual(rowCount(last), 2);
+  assert.doesNotMatch(last.body, /infinite-scroll-loading/);
+  assert.strictEqual((await batch(3)).body, '');
+
+  // Re-sorted, the first batch still ends with the "loading more" row
+  server.setReversed(true);
+  try {
+    const reversed = (await batch(1)).body;
+    const ids = [...reversed.matchAll(/productId=(\d+)&amp;downloadFormat=PDF/g)].map(match => match[1]);
+    assert.deepStrictEqual(ids, ['1003', '1002', '1001']);
+    assert.ok(reversed.trimEnd().endsWith('</tr>'));
+    assert.ok(reversed.lastIndexOf('product-row') < reversed.indexOf('infinite-scroll-loading'));
+  } finally {
+    server.setReversed(false);
+  }
+});
+
+test('HttpDownloader fetches valid books with their metadata', async () => {
+  const cookies = sessionCookies((await logIn()).headers['set-cookie']);
+  const downloader = new HttpDownloader({ cookies });
+
+  const pdfPath = path.join(tmpDir, 'grokking.pdf.part');
+  const pdf = await downloader.download(`${server.url}/dashboard/download?productId=1001&downloadFormat=PDF`, pdfPath);
+  assert.strictEqual(pdf.filename, 'grokking-algorithms-second-edition.pdf');
+  assert.strictEqual(pdf.size, bookFile(1001, 'pdf').data.length);
+  assert.deepStrictEqual((await validateFile(pdfPath, 'pdf')).valid, true);
+  const pdfMetadata = await readFileMetadata(pdfPath, 'pdf');
+  assert.strictEqual(pdfMetadata.title, 'Grokking Algorithms, Second Edition');
+  assert.deepStrictEqual(pdfMetadata.authors, ['Aditya Y. Bhargava']);
+
+  const epubPath = path.join(tmpDir, 'rust.epub.part');
+  await downloader.download(`${server.url}/dashboard/download?productId=1002&downloadFormat=EPUB`, epubPath);
+  assert.strictEqual((await validateFile(epubPath, 'epub')).valid, true);
+  const epubMetadata = await readFileMetadata(epubPath, 'epub');
+  assert.strictEqual(epubMetadata.title, 'Rust in Action');
+  assert.deepStrictEqual(epubMetadata.authors, ['Tim McNamara']);
+  assert.strictEqual(epubMetadata.isbn, '9781617294556');
+});
+
+test('the Content-Disposition filename prefers the RFC 5987 form', () => {
+  assert.strictEqual(filenameFromDisposition('attachment; filename="rust-in-action.pdf"'), 'rust-in-action.pdf');
+  assert.strictEqual(filenameFromDisposition('attachment; filename=rust.epub; size=10'), 'rust.epub');
+  assert.strictEqual(filenameFromDisposition(`attachment; filename="Rust.pdf"; filename*=UTF-8''Rust%20in%20Action%20%E2%80%93%202e.pdf`), 'Rust in Action – 2e.pdf');
+  // A broken escape falls back to the plain parameter
+  assert.strictEqual(filenameFromDisposition(`attachment; filename*=UTF-8''bad%E2.pdf; filename="plain.pdf"`), 'plain.pdf');
+  assert.strictEqual(filenameFromDisposition('inline'), null);
+  assert.strictEqual(filenameFromDisposition(undefined), null);
+});
+
+test('{filename} saves HTTP downloads under the name the server sent, and keeps it for rename', async () => {
+  const adapter = new ManningDownloader();
+  adapter.configure(loadConfig({ env: {}, overrides: { downloads: { filenameTemplate: '{filename}.{ext}' } } }));
+  adapter.downloadsDir = path.join(tmpDir, 'served-names');
+  adapter.manifest = await new Manifest(adapter.downloadsDir, 'manning').load();
+  adapter.stats = { skipped: 0, downloaded: 0, failed: 0, updated: [], items: [] };
+  adapter.httpDownloader = new HttpDownloader({ cookies: sessionCookies((await logIn()).headers['set-cookie']) });
+  adapter.page = { url: () => `${server.url}/dashboard` };
+
+  const book = {
+    id: '1001',
+    title: 'Grokking Algorithms',
+    formats: { pdf: '/dashboard/download?productId=1001&downloadFormat=PDF' },
+    pendingFormats: ['pdf']
+  };
+  await adapter.downloadBookHttp(book);
+
+  const entry = adapter.manifest.get('1001', 'pdf');
+  assert.strictEqual(entry.filePath, 'grokking-algorithms-second-edition.pdf');
+  assert.strictEqual(entry.serverFilename, 'grokking-algorithms-second-edition.pdf');
+  assert.ok(await fs.pathExists(path.join(adapter.downloadsDir, 'grokking-algorithms-second-edition.pdf')));
+
+  // Placing the book again after its metadata is known does not move it
+  adapter.loadPathOwners();
+  assert.strictEqual(await adapter.placeBook(book), 0);
+  // Without a server name the title stands in
+  assert.strictEqual(adapter.filePathFor({ id: '1002', title: 'Rust in Action' }, 'pdf'), path.join(adapter.downloadsDir, 'Rust_in_Action.pdf'));
+});
+
+test('an unlabelled download link is sorted by the Content-Type of a HEAD request', async () => {
+  const cookie = (await logIn()).headers['set-cookie'][0].split(';')[0];
+  const response = await request(`${server.url}/dashboard/download?productId=1005`, { method: 'HEAD', headers: { Cookie: cookie } });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body, '');
+  assert.strictEqual(assetForContentType(response.headers['content-type']), 'epub');
+  assert.strictEqual(assetForContentType('application/pdf; charset=binary'), 'pdf');
+  assert.strictEqual(assetForContentType('application/octet-stream'), null);
+});
+
+test('Kindle books, source code and covers pass validation, and an HTML page does not', async () => {
+  const cookies = sessionCookies((await logIn()).headers['set-cookie']);
+  const downloader = new HttpDownloader({ cookies });
+
+  const assets = [
+    ['kindle', `${server.url}/dashboard/download?productId=1002&downloadFormat=KINDLE`, 'rust-in-action.mobi'],
+    ['code', `${server.url}/dashboard/download?productId=1002&downloadFormat=CODE`, 'rust-in-action.zip'],
+    ['cover', `${server.url}/covers/rust-in-action.jpg`, null]
+  ];
+  for (const [format, url, filename] of assets) {
+    const filePath = path.join(tmpDir, `rust.${format}.part`);
+    assert.strictEqual((await downloader.download(url, filePath)).filename, filename);
+    const details = { code: { entries: 2 }, cover: { ext: 'jpg' } }[format];
+    assert.deepStrictEqual(await validateFile(filePath, format), { valid: true, ...details });
+  }
+
+  const page = path.join(tmpDir, 'login.html');
+  await fs.writeFile(page, '<!DOCTYPE html><html><body>Please log in</body></html>');
+  for (const format of ['kindle', 'code', 'cover']) {
+    assert.match((await validateFile(page, format)).reason, /HTML page/);
+  }
+});
+
+test('HttpDownloader resumes a partial download with Range', async () => {
+  const cookies = sessionCookies((await logIn()).headers['set-cookie']);
+  const downloader = new HttpDownloader({ cookies });
+  const url = `${server.url}/dashboard/download?productId=1003&downloadFormat=PDF`;
+  const file = bookFile(1003, 'pdf');
+
+  // Leave the first half behind, as an interrupted run would
+  const partialPath = path.join(tmpDir, 'kotlin.pdf.part');
+  const half = Math.floor(file.data.length / 2);
+  await fs.writeFile(partialPath, file.data.subarray(0, half));
+  await fs.writeJson(`${partialPath}.json`, { url, etag: file.etag, lastModified: null });
+
+  const result = await downloader.download(url, partialPath);
+  assert.strictEqual(result.resumed, true);
+  assert.ok((await fs.readFile(partialPath)).equals(file.data));
+  assert.ok(server.requests.includes(`GET /dashboard/download?productId=1003&downloadFormat=PDF`));
+});
+
+test('downloads without a session end on the login page, not a book', async () => {
+  const downloader = new HttpDownloader();
+  await assert.rejects(
+    downloader.download(`${server.url}/dashboard/download?productId=1001&downloadFormat=PDF`, path.join(tmpDir, 'anon.part')),
+    { name: 'HttpDownloadError', kind: 'auth-expired' }
+  );
+});
+
+test('the server answers unchanged books with 304', async () => {
+  const cookies = sessionCookies((await logIn()).headers['set-cookie']);
+  const downloader = new HttpDownloader({ cookies });
+  const { etag } = bookFile(1001, 'epub');
+
+  const result = await downloader.check(`${server.url}/dashboard/download?productId=1001&downloadFormat=EPUB`, { etag });
+  assert.strictEqual(result.changed, false);
+});
@@ -0,0 +1,101 @@
+// Post-download hooks: shell commands and JS modules, and what happens when they fail
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { HookRunner } = require('../src/core/hooks');
+const { loadConfig, ConfigError } = require('../src/utils/config');
+
+let tmpDir;
+// What the hooks print, kept off the test runner's own output
+let printed;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-hooks-'));
+  printed = mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fs.remove(tmpDir);
+});
+
+const BOOK = { id: '1002', title: 'Rust in Action', formats: { pdf: 'https://example.com/dl?productId=1002' } };
+
+function runner(hooks) {
+  return new HookRunner({ afterFile: [], afterRun: [], timeout: 5000, ...hooks }, { site: 'manning', downloadsDir: tmpDir });
+}
+
+test('a command hook gets the payload on stdin and the file in the environment', async () => {
+  const out = path.join(tmpDir, 'command.json');
+  const hooks = runner({
+    afterFile: [{ command: `cat > "${out}" && echo "$EBOOK_BOOK_ID $EBOOK_FORMAT $EBOOK_FILE" > "${out}.env"` }]
+  });
+  await hooks.afterFile({ book: BOOK, format: 'pdf', filePath: '/books/Rust_in_Action.pdf', status: 'downloaded' });
+
+  const payload = await fs.readJson(out);
+  assert.strictEqual(payload.hook, 'afterFile');
+  assert.strictEqual(payload.site, 'manning');
+  assert.strictEqual(payload.book.title, 'Rust in Action');
+  assert.strictEqual(payload.filePath, '/books/Rust_in_Action.pdf');
+  assert.strictEqual((await fs.readFile(`${out}.env`, 'utf8')).trim(), '1002 pdf /books/Rust_in_Action.pdf');
+  assert.deepStrictEqual(hooks.failures, []);
+});
+
+test('module hooks export a function or one per stage', async () => {
+  const calls = [];
+  const single = path.join(tmpDir, 'single.js');
+  const staged = path.join(tmpDir, 'staged.js');
+  await fs.writeFile(single, 'module.exports = async payload => { global.hookCalls.push(`single ${payload.hook}`); };');
+  await fs.writeFile(staged, 'module.exports = { afterRun: payload => { global.hookCalls.push(`staged ${payload.files.length}`); } };');
+  global.hookCalls = calls;
+
+  try {
+    const hooks = runner({ afterFile: [{ module: single }], afterRun: [{ module: single }, { module: staged }] });
+    await hooks.afterFile({ book: BOOK, format: 'pdf', filePath: '/books/a.pdf', status: 'downloaded' });
+    await hooks.afterRun({ result: { summary: {} }, files: [{ id: '1002' }] });
+    assert.deepStrictEqual(calls, ['single afterFile', 'single afterRun', 'staged 1']);
+  } finally {
+    delete global.hookCalls;
+  }
+});
+
+test('failing hooks are recorded and the next hook still runs', async () => {
+  const marker = path.join(tmpDir, 'after-failure');
+  const hooks = runner({
+    afterFile: [
+      { name: 'nas copy', command: 'echo "share not mounted" >&2; exit 2' },
+      { module: path.join(tmpDir, 'missing-hook.js') },
+      { command: `touch "${marker}"` }
+    ]
+  });
+  await hooks.afterFile({ book: BOOK, format: 'epub', filePath: '/books/a.epub', status: 'updated' });
+
+  assert.deepStrictEqual(hooks.failures.map(failure => [failure.hook, failure.bookId, failure.format]), [
+    ['nas copy', '1002', 'epub'],
+    [path.join(tmpDir, 'missing-hook.js'), '1002', 'epub']
+  ]);
+  assert.strictEqual(hooks.failures[0].reason, 'exited with code 2');
+  assert.ok(await fs.pathExists(marker));
+  assert.ok(printed.mock.calls.some(call => call.arguments[0].includes('afterFile hook "nas copy" failed for Rust in Action (epub): exited with code 2')));
+});
+
+test('hooks can be limited to formats and are stopped after the timeout', async () => {
+  const hooks = runner({
+    timeout: 1000,
+    afterFile: [{ name: 'slow', command: 'sleep 5', formats: ['pdf'] }]
+  });
+  await hooks.afterFile({ book: BOOK, format: 'epub', filePath: '/books/a.epub', status: 'downloaded' });
+  assert.deepStrictEqual(hooks.failures, []);
+
+  await hooks.afterFile({ book: BOOK, format: 'pdf', filePath: '/books/a.pdf', status: 'downloaded' });
+  assert.match(hooks.failures[0].reason, /did not finish within 1s/);
+});
+
+test('each hook needs a command or a module', () => {
+  assert.throws(() => loadConfig({ env: {}, overrides: { hooks: { afterFile: [{ name: 'nothing' }] } } }), ConfigError);
+  assert.throws(() => loadConfig({ env: {}, overrides: { hooks: { afterRun: [{ command: 'true', module: './x.js' }] } } }),
+    /hooks.afterRun\[0\]: needs either "command" or "module"/);
+});
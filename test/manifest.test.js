@@ -0,0 +1,94 @@
+// Saving the manifest and the other per-site stores while several download workers record
+// at once, and adopting the files runs from before the manifest left behind
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { Manifest } = require('../src/utils/manifest');
+const { FailureStore } = require('../src/utils/failures');
+const { LibraryIndex } = require('../src/utils/library');
+const ManningDownloader = require('../src/sites/manning');
+const { loadConfig } = require('../src/utils/config');
+const { buildPdf, buildEpub } = require('./support/books');
+const logger = require('../src/utils/logger');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-manifest-'));
+  logger.configure({ level: 'quiet', dir: path.join(tmpDir, 'logs') });
+  mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await logger.flush();
+  await fs.remove(tmpDir);
+});
+
+test('concurrent saves all succeed and the last recorded file is on disk', async () => {
+  const dir = path.join(tmpDir, 'manning');
+  const manifest = new Manifest(dir, 'manning');
+
+  for (let round = 0; round < 20; round++) {
+    const filePath = path.join(dir, `book-${round}.pdf`);
+    await fs.outputFile(filePath, `book ${round}`);
+    await Promise.all([
+      manifest.record({ bookId: String(round), title: `Book ${round}`, format: 'pdf', sourceUrl: null, filePath }),
+      manifest.save(),
+      manifest.save()
+    ]);
+  }
+
+  const saved = await new Manifest(dir, 'manning').load();
+  assert.strictEqual(saved.all().length, 20);
+  assert.ok(saved.get('19', 'pdf'));
+  assert.deepStrictEqual((await fs.readdir(dir)).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('the failure store and library index save concurrently too', async () => {
+  const dir = path.join(tmpDir, 'stores');
+  const failures = new FailureStore(dir, 'manning');
+  const library = new LibraryIndex(dir, 'manning');
+
+  const saves = [];
+  for (let i = 0; i < 20; i++) {
+    failures.add({ bookId: String(i), title: `Book ${i}`, format: 'epub', kind: 'NETWORK_ERROR', reason: 'reset', attempts: 1, sourceUrl: null });
+    saves.push(failures.save(), library.save());
+  }
+  await Promise.all(saves);
+
+  assert.strictEqual(Object.keys((await new FailureStore(dir, 'manning').load()).entries).length, 20);
+  assert.deepStrictEqual((await fs.readdir(dir)).filter(name => name.endsWith('.tmp')), []);
+});
+
+test('books saved before the manifest existed are adopted, not downloaded again', async () => {
+  const adapter = new ManningDownloader();
+  adapter.configure(loadConfig({ env: {}, overrides: { downloads: { filenameTemplate: '{authors} - {title}.{ext}' }, updates: { check: false } } }));
+  adapter.downloadsDir = path.join(tmpDir, 'upgrade');
+  adapter.manifest = await new Manifest(adapter.downloadsDir, 'manning').load();
+  adapter.loadPathOwners();
+  adapter.stats = { total: 0, skipped: 0, downloaded: 0, failed: 0, shared: [], items: [] };
+
+  const rust = { id: '1002', title: 'Rust in Action', metadata: { authors: ['Tim McNamara'] }, formats: { pdf: '/pdf', epub: '/epub' } };
+  const kotlin = { id: '1003', title: 'The Joy of Kotlin', formats: { pdf: '/pdf' } };
+  // An old run's name, one where the template puts it now, and a truncated download
+  const pdf = buildPdf(rust);
+  await fs.outputFile(path.join(adapter.downloadsDir, 'Rust_in_Action.pdf'), pdf);
+  await fs.outputFile(path.join(adapter.downloadsDir, 'Tim_McNamara_-_Rust_in_Action.epub'), buildEpub(rust));
+  await fs.outputFile(path.join(adapter.downloadsDir, 'The_Joy_of_Kotlin.pdf'), pdf.subarray(0, 100));
+
+  const pending = await adapter.selectPending([rust, kotlin]);
+  assert.deepStrictEqual(pending.map(book => [book.id, book.pendingFormats]), [['1003', ['pdf']]]);
+  assert.strictEqual(adapter.stats.skipped, 2);
+
+  const saved = await new Manifest(adapter.downloadsDir, 'manning').load();
+  assert.strictEqual(saved.get('1002', 'pdf').filePath, 'Rust_in_Action.pdf');
+  assert.strictEqual(saved.get('1002', 'epub').filePath, 'Tim_McNamara_-_Rust_in_Action.epub');
+  assert.ok(await saved.isComplete('1002', 'pdf'));
+  assert.strictEqual(saved.get('1003', 'pdf'), null);
+  // The adopted file is left as it was
+  assert.deepStrictEqual(await fs.readFile(path.join(adapter.downloadsDir, 'Rust_in_Action.pdf')), pdf);
+});
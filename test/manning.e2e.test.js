@@ -0,0 +1,254 @@
+// Login → discover → download against the local Manning stand-in, in a real (headless)
+// browser. Skipped when Playwright's Chromium is not installed (`npm run install-browsers`).
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { chromium } = require('playwright');
+const { startFixtureServer, ACCOUNT } = require('./support/fixture-server');
+const ManningDownloader = require('../src/sites/manning');
+const { loadConfig } = require('../src/utils/config');
+const { parseSelection } = require('../src/core/selection');
+const { AuthError } = require('../src/utils/errors');
+const logger = require('../src/utils/logger');
+
+const skip = fs.existsSync(chromium.executablePath()) ? false : 'Playwright Chromium is not installed';
+
+let server;
+let tmpDir;
+
+before(async () => {
+  server = await startFixtureServer();
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-e2e-'));
+  logger.configure({ level: 'quiet', dir: path.join(tmpDir, 'logs') });
+});
+
+after(async () => {
+  await logger.flush();
+  await server.close();
+  await fs.remove(tmpDir);
+});
+
+// A config pointed at the fixture server, without the rate limit the real site needs
+function fixtureConfig(name, overrides = {}) {
+  const dir = path.join(tmpDir, name);
+  return loadConfig({
+    env: {},
+    overrides: {
+      sites: {
+        manning: {
+          loginUrl: `${server.url}/login`,
+          dashboardUrl: `${server.url}/dashboard`,
+          rateLimit: 0,
+          ...(overrides.formats ? { downloadFormats: overrides.formats } : {})
+        }
+      },
+      downloads: { baseDir: path.join(dir, 'downloads'), ...overrides.downloads },
+      session: { dir: path.join(dir, 'session') },
+      browser: { headless: true },
+      reports: { formats: [] },
+      ...(overrides.hooks ? { hooks: overrides.hooks } : {})
+    }
+  });
+}
+
+async function sync(config, credentials = ACCOUNT, selection = null) {
+  const downloadsDir = path.join(config.downloads.baseDir, 'manning');
+  const stats = await new ManningDownloader().download({ ...credentials, downloadsDir, config, selection });
+  return { stats, downloadsDir };
+}
+
+// Book files on disk, ignoring the manifest and other dot-folders
+async function bookFiles(dir) {
+  const files = [];
+  for (const name of await fs.readdir(dir)) {
+    const filePath = path.join(dir, name);
+    if (name.startsWith('.')) {
+      continue;
+    }
+    if ((await fs.stat(filePath)).isDirectory()) {
+      files.push(...await bookFiles(filePath));
+    } else if (/\.(pdf|epub)$/.test(name)) {
+      files.push(filePath);
+    }
+  }
+  return files.sort();
+}
+
+test('browser mode scrolls through the library and downloads every book and format', { skip }, async () => {
+  const config = fixtureConfig('browser');
+  const { stats, downloadsDir } = await sync(config);
+
+  assert.strictEqual(stats.failed, 0, JSON.stringify(stats.failures));
+  assert.strictEqual(stats.downloaded, 8);
+  assert.strictEqual((await bookFiles(downloadsDir)).length, 8);
+
+  const manifest = await fs.readJson(path.join(downloadsDir, '.manifest.json'));
+  const ids = [...new Set(Object.values(manifest.entries).map(entry => entry.bookId))].sort();
+  assert.deepStrictEqual(ids, ['1001', '1002', '1003', '1004', '1005']);
+  assert.ok(Object.values(manifest.entries).every(entry => entry.validated));
+
+  const sidecars = (await fs.readdir(downloadsDir)).filter(name => name.endsWith('.metadata.json'));
+  assert.strictEqual(sidecars.length, 8);
+
+  // A second run restores the saved session and finds nothing to do
+  const second = await sync(config);
+  assert.strictEqual(second.stats.downloaded, 0);
+  assert.strictEqual(second.stats.skipped, 8);
+  assert.strictEqual(server.requests.filter(request => request === 'POST /login').length, 1);
+});
+
+test('downloads stay bound to their product when the table is re-sorted', { skip }, async () => {
+  const config = fixtureConfig('reordered');
+  const downloadsDir = path.join(config.downloads.baseDir, 'manning');
+  // confirm() runs between discovery and the downloads
+  const confirm = async () => {
+    server.setReversed(true);
+    return true;
+  };
+
+  try {
+    const stats = await new ManningDownloader().download({ ...ACCOUNT, downloadsDir, config, confirm });
+    assert.strictEqual(stats.failed, 0, JSON.stringify(stats.failures));
+  } finally {
+    server.setReversed(false);
+  }
+
+  const manifest = await fs.readJson(path.join(downloadsDir, '.manifest.json'));
+  for (const entry of Object.values(manifest.entries)) {
+    assert.strictEqual(new URL(entry.sourceUrl).searchParams.get('productId'), entry.bookId, `${entry.title} came from ${entry.sourceUrl}`);
+  }
+  const kotlin = manifest.entries['1003:pdf'];
+  assert.strictEqual(kotlin.title, 'The Joy of Kotlin');
+});
+
+test('--id fetches one book, and --new then finds only the ones not synced yet', { skip }, async () => {
+  const config = fixtureConfig('selection');
+
+  const single = await sync(config, ACCOUNT, parseSelection({ id: ['1004'] }));
+  assert.strictEqual(single.stats.downloaded, 2);
+  assert.deepStrictEqual(Object.keys((await fs.readJson(path.join(single.downloadsDir, '.manifest.json'))).entries).sort(),
+    ['1004:epub', '1004:pdf']);
+
+  const fresh = await sync(config, ACCOUNT, parseSelection({ new: true, 'purchased-after': '2024-01-01' }));
+  assert.strictEqual(fresh.stats.total, 2);
+  assert.strictEqual(fresh.stats.downloaded, 4);
+
+  const again = await sync(config, ACCOUNT, parseSelection({ new: true }));
+  assert.deepStrictEqual(again.stats.result.items.map(item => item.title).sort(), ['Deep Learning with Python', 'The Joy of Kotlin']);
+});
+
+test('listing reports what is on disk without downloading anything', { skip }, async () => {
+  const config = fixtureConfig('listing', { downloads: { mode: 'http' } });
+  const { downloadsDir } = await sync(config, ACCOUNT, parseSelection({ id: ['1002'] }));
+  await fs.remove(path.join(downloadsDir, (await fs.readJson(path.join(downloadsDir, '.manifest.json'))).entries['1002:epub'].filePath));
+
+  const downloads = server.requests.filter(line => line.includes('/dashboard/download')).length;
+  const books = await new ManningDownloader().listBooks({ ...ACCOUNT, config, downloadsDir });
+  assert.strictEqual(server.requests.filter(line => line.includes('/dashboard/download')).length, downloads);
+
+  const rust = books.find(book => book.id === '1002');
+  assert.deepStrictEqual([rust.local.pdf.status, rust.local.epub.status], ['downloaded', 'missing']);
+  assert.strictEqual(rust.formats.pdf, `${server.url}/dashboard/download?productId=1002&downloadFormat=PDF`);
+  assert.deepStrictEqual(books.find(book => book.id === '1005').local, {
+    cover: { status: 'skipped', file: null, downloadedAt: null },
+    epub: { status: 'pending', file: null, downloadedAt: null }
+  });
+});
+
+test('HTTP mode downloads with the browser session cookies', { skip }, async () => {
+  const config = fixtureConfig('http', { downloads: { mode: 'http' } });
+  const { stats, downloadsDir } = await sync(config);
+
+  assert.strictEqual(stats.failed, 0, JSON.stringify(stats.failures));
+  assert.strictEqual(stats.downloaded, 8);
+  assert.deepStrictEqual(
+    (await bookFiles(downloadsDir)).map(file => path.extname(file)).sort(),
+    ['.epub', '.epub', '.epub', '.epub', '.pdf', '.pdf', '.pdf', '.pdf']
+  );
+});
+
+test('hooks get every saved file in its final place, then the run', { skip }, async () => {
+  const hookLog = path.join(tmpDir, 'hooks.log');
+  const runModule = path.join(tmpDir, 'after-run.js');
+  await fs.writeFile(runModule, `module.exports = { afterRun: payload => require('fs').writeFileSync(${JSON.stringify(`${hookLog}.json`)}, JSON.stringify(payload)) };`);
+  const config = fixtureConfig('hooks', {
+    downloads: { mode: 'http' },
+    hooks: {
+      afterFile: [
+        { name: 'log', command: `echo "$EBOOK_BOOK_ID $EBOOK_FORMAT $EBOOK_FILE" >> "${hookLog}"`, formats: ['epub'] },
+        { name: 'broken', command: 'exit 1' }
+      ],
+      afterRun: [{ module: runModule }]
+    }
+  });
+  const { stats } = await sync(config);
+
+  // A failing hook is reported and leaves the downloads alone
+  assert.strictEqual(stats.failed, 0, JSON.stringify(stats.failures));
+  assert.strictEqual(stats.downloaded, 8);
+  assert.strictEqual(stats.hookFailures.length, 8);
+  assert.ok(stats.hookFailures.every(failure => failure.hook === 'broken'));
+
+  const lines = (await fs.readFile(hookLog, 'utf8')).trim().split('\n').sort();
+  assert.deepStrictEqual(lines.map(line => line.split(' ').slice(0, 2).join(' ')), ['1001 epub', '1002 epub', '1004 epub', '1005 epub']);
+  for (const line of lines) {
+    assert.ok(await fs.pathExists(line.split(' ').slice(2).join(' ')));
+  }
+
+  const run = await fs.readJson(`${hookLog}.json`);
+  assert.strictEqual(run.hook, 'afterRun');
+  assert.strictEqual(run.result.summary.downloaded.files, 8);
+  assert.strictEqual(run.files.length, 8);
+});
+
+test('the dashboard rows give titles, authors and MEAP versions', { skip }, async () => {
+  const config = fixtureConfig('list');
+  const books = await new ManningDownloader().listBooks({ ...ACCOUNT, config });
+
+  // Books 1004 and 1005 only appear once the first batch is scrolled past
+  assert.deepStrictEqual(books.map(book => book.id), ['1001', '1002', '1003', '1004', '1005']);
+  const rust = books.find(book => book.id === '1002');
+  assert.strictEqual(rust.title, 'Rust in Action: Systems programming concepts and techniques');
+  assert.deepStrictEqual(rust.metadata.authors, ['Tim McNamara']);
+  assert.deepStrictEqual(rust.version, { meapVersion: 7, chapters: 12, updated: '2024-03-03' });
+  assert.strictEqual(rust.purchased, '2024-03-01');
+  assert.strictEqual(books.find(book => book.id === '1003').formats.epub, null);
+
+  // Every asset of the row, with the liveBook link left out
+  assert.deepStrictEqual(Object.keys(rust.formats).filter(format => rust.formats[format]), ['pdf', 'epub', 'kindle', 'code', 'cover']);
+  assert.strictEqual(rust.formats.code, `${server.url}/dashboard/download?productId=1002&downloadFormat=CODE`);
+  assert.strictEqual(rust.formats.cover, `${server.url}/covers/rust-in-action.jpg`);
+
+  // An unlabelled link is the one format its Content-Type names, not a PDF and an EPUB
+  const python = books.find(book => book.id === '1005');
+  assert.deepStrictEqual([python.formats.pdf, python.formats.epub], [null, `${server.url}/dashboard/download?productId=1005`]);
+});
+
+test('Kindle, source code and the cover are downloaded when configured', { skip }, async () => {
+  const config = fixtureConfig('assets', { formats: ['kindle', 'code', 'cover'], downloads: { layout: 'calibre' } });
+  const { stats, downloadsDir } = await sync(config, ACCOUNT, parseSelection({ id: ['1002'] }));
+
+  assert.strictEqual(stats.failed, 0, JSON.stringify(stats.failures));
+  assert.strictEqual(stats.downloaded, 3);
+  const { entries } = await fs.readJson(path.join(downloadsDir, '.manifest.json'));
+  assert.deepStrictEqual(Object.keys(entries).sort(), ['1002:code', '1002:cover', '1002:kindle']);
+  assert.ok(Object.values(entries).every(entry => entry.validated));
+
+  // Calibre's layout: the book's folder with the cover as cover.jpg
+  const bookDir = path.dirname(entries['1002:kindle'].filePath);
+  assert.strictEqual(path.extname(entries['1002:kindle'].filePath), '.mobi');
+  assert.strictEqual(entries['1002:code'].filePath, path.join(bookDir, `${path.basename(entries['1002:kindle'].filePath, '.mobi')}.zip`));
+  assert.strictEqual(entries['1002:cover'].filePath, path.join(bookDir, 'cover.jpg'));
+  assert.ok(await fs.pathExists(path.join(downloadsDir, bookDir, 'metadata.opf')));
+});
+
+test('a wrong password is an authentication error', { skip }, async () => {
+  const config = fixtureConfig('wrong-password');
+  await assert.rejects(
+    sync(config, { email: ACCOUNT.email, password: 'wrong-password' }),
+    error => error instanceof AuthError
+  );
+});
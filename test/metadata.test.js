@@ -0,0 +1,155 @@
+// Book metadata read from EPUB and PDF files, merged into one record and written as
+// Calibre's metadata.opf
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const {
+  readEpubMetadata,
+  readPdfMetadata,
+  normalizeBookRecord,
+  toOpf,
+  normalizeIsbn,
+  parseEdition,
+  splitAuthors
+} = require('../src/utils/metadata');
+const { buildPdf, buildZip } = require('./support/books');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-metadata-'));
+});
+
+after(async () => {
+  await fs.remove(tmpDir);
+});
+
+const CONTAINER = '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>';
+
+// An EPUB around an OPF package document
+async function epubWith(name, opf) {
+  const filePath = path.join(tmpDir, `${name}.epub`);
+  await fs.writeFile(filePath, buildZip([
+    ['mimetype', 'application/epub+zip'],
+    ['META-INF/container.xml', CONTAINER],
+    ['OEBPS/content.opf', opf]
+  ]));
+  return filePath;
+}
+
+test('the EPUB package gives title, authors, ISBN and cover, with entities decoded', async () => {
+  const filePath = await epubWith('epub2', `<?xml version="1.0"?>
+<package version="2.0">
+  <metadata>
+    <dc:title><![CDATA[Algorithms & Data: A <Practical> Guide]]> &amp; <i>more</i></dc:title>
+    <dc:creator opf:role="aut">Ana &amp; Bo&#xEF;s</dc:creator>
+    <dc:creator>O&apos;Neil</dc:creator>
+    <dc:identifier id="uuid">urn:uuid:1234</dc:identifier>
+    <dc:identifier opf:scheme="ISBN">978-1-61729-455-6</dc:identifier>
+    <dc:publisher>Manning</dc:publisher>
+    <dc:date>2021-08-10</dc:date>
+    <meta name="cover" content="cover-img"/>
+  </metadata>
+  <manifest>
+    <item id="cover-img" href="images/cover.jpg" media-type="image/jpeg"/>
+  </manifest>
+</package>`);
+
+  assert.deepStrictEqual(await readEpubMetadata(filePath), {
+    title: 'Algorithms & Data: A <Practical> Guide & more',
+    authors: ['Ana & Boïs', "O'Neil"],
+    publisher: 'Manning',
+    language: null,
+    published: '2021-08-10',
+    description: null,
+    isbn: '9781617294556',
+    epubCover: 'OEBPS/images/cover.jpg'
+  });
+
+  // EPUB 3 marks the cover with a property instead
+  const epub3 = await epubWith('epub3', '<package><metadata><dc:title>T</dc:title></metadata>' +
+    '<manifest><item id="c" href="cover.png" properties="cover-image"/></manifest></package>');
+  assert.strictEqual((await readEpubMetadata(epub3)).epubCover, 'OEBPS/cover.png');
+});
+
+test('the PDF info dictionary gives title and authors, escapes included', async () => {
+  const filePath = path.join(tmpDir, 'book.pdf');
+  await fs.writeFile(filePath, buildPdf({ title: 'Functions (and Closures) in C:\\Path', authors: ['Jane Doe', 'John Roe'] }));
+  assert.deepStrictEqual(await readPdfMetadata(filePath), {
+    title: 'Functions (and Closures) in C:\\Path',
+    authors: ['Jane Doe', 'John Roe'],
+    isbn: null
+  });
+});
+
+test('bookmarks before the info dictionary are not taken for the title', async () => {
+  const filePath = path.join(tmpDir, 'outline.pdf');
+  const pdf = buildPdf({ title: 'Rust in Action', authors: ['Tim McNamara'], outline: ['1 Introducing Rust', '2 Language foundations'] });
+  await fs.writeFile(filePath, pdf);
+  assert.deepStrictEqual(await readPdfMetadata(filePath), { title: 'Rust in Action', authors: ['Tim McNamara'], isbn: null });
+
+  // Without the trailer's /Info there is no title to read, whatever the bookmarks say
+  await fs.writeFile(filePath, pdf.toString('latin1').replace(/ \/Info \d+ 0 R/, ''), 'latin1');
+  assert.deepStrictEqual(await readPdfMetadata(filePath), { title: null, authors: [], isbn: null });
+});
+
+test('ISBNs, editions and author lists are normalized', () => {
+  assert.strictEqual(normalizeIsbn('urn:isbn:978-1-61729-455-6'), '9781617294556');
+  assert.strictEqual(normalizeIsbn('0-306-40615-x'), '030640615X');
+  assert.strictEqual(normalizeIsbn('12345'), null);
+
+  assert.deepStrictEqual(['Second Edition', '3rd ed.', 'Rust in Action', null].map(parseEdition), [2, 3, null, null]);
+  assert.deepStrictEqual(splitAuthors('by Jane Doe, John Roe and Ann Poe, et al.'), ['Jane Doe', 'John Roe', 'Ann Poe']);
+});
+
+test('sources are merged most trusted first, and the title is split from its subtitle', () => {
+  const record = normalizeBookRecord(
+    { id: '1001', title: 'grokking-algorithms', formats: { pdf: '/pdf', epub: null } },
+    [
+      { title: 'Grokking Algorithms: An illustrated guide, Second Edition', authors: [] },
+      { authors: ['Aditya Y. Bhargava', 'Aditya Y. Bhargava'], isbn: '9781633438538' },
+      { authors: ['Someone Else'], publisher: 'Manning Publications' }
+    ]
+  );
+  assert.strictEqual(record.title, 'Grokking Algorithms');
+  assert.strictEqual(record.subtitle, 'An illustrated guide, Second Edition');
+  assert.strictEqual(record.edition, 2);
+  assert.deepStrictEqual(record.authors, ['Aditya Y. Bhargava']);
+  assert.strictEqual(record.publisher, 'Manning Publications');
+  assert.deepStrictEqual(record.formats, ['pdf']);
+  assert.strictEqual(record.cover, null);
+});
+
+test('metadata.opf escapes titles and authors and reads back the same', async () => {
+  const record = {
+    id: '1002',
+    title: 'Rust & <Friends>',
+    subtitle: 'Systems "programming"',
+    authors: ['Tim McNamara', 'Ana & Boïs'],
+    isbn: '9781617294556',
+    publisher: 'Manning',
+    language: 'en',
+    description: 'Fast < safe',
+    published: '2021-08-10'
+  };
+  const opf = toOpf(record, { site: 'manning', cover: 'cover "1".jpg' });
+
+  assert.ok(opf.includes('<dc:title>Rust &amp; &lt;Friends&gt;: Systems &quot;programming&quot;</dc:title>'));
+  assert.ok(opf.includes('<dc:creator opf:role="aut" opf:file-as="Boïs, Ana &amp;">Ana &amp; Boïs</dc:creator>'));
+  assert.ok(opf.includes('<meta name="calibre:author_sort" content="McNamara, Tim &amp; Boïs, Ana &amp;"/>'));
+  assert.ok(opf.includes('<reference type="cover" title="Cover" href="cover &quot;1&quot;.jpg"/>'));
+  assert.ok(!opf.includes('<Friends>') && !/&(?!amp;|lt;|gt;|quot;)/.test(opf), 'every special character is escaped');
+
+  const parsed = await readEpubMetadata(await epubWith('roundtrip', opf));
+  assert.strictEqual(parsed.title, 'Rust & <Friends>: Systems "programming"');
+  assert.deepStrictEqual(parsed.authors, record.authors);
+  assert.strictEqual(parsed.isbn, record.isbn);
+  assert.strictEqual(parsed.description, 'Fast < safe');
+
+  // Optional fields and the guide are left out when empty
+  const bare = toOpf({ id: '1', title: 'Bare', authors: [] }, { site: 'manning' });
+  assert.ok(!bare.includes('<guide>') && !bare.includes('author_sort') && !bare.includes('ISBN'));
+});
@@ -0,0 +1,95 @@
+// Account profiles: which ones a run uses, the config each runs with, and the books the
+// other profiles already have
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { selectProfiles, applyProfile, profilesForSite, SharedLibrary } = require('../src/core/profiles');
+const { loadConfig } = require('../src/utils/config');
+const { Manifest } = require('../src/utils/manifest');
+const { UsageError } = require('../src/cli');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-profiles-'));
+});
+
+after(async () => {
+  await fs.remove(tmpDir);
+});
+
+// A function, as tmpDir only exists once the tests run
+const PROFILES = () => ({
+  work: { site: 'manning', email: 'me@work.example', downloadFormats: ['pdf'] },
+  home: { email: 'me@home.example', baseDir: path.join(tmpDir, 'home-books') },
+  other: { site: 'oreilly' }
+});
+
+function configWith(profiles = PROFILES()) {
+  return loadConfig({ env: {}, overrides: { profiles, downloads: { baseDir: path.join(tmpDir, 'downloads') } } });
+}
+
+test('--profile picks one profile, --all-profiles every one for the site', () => {
+  const config = configWith();
+  assert.deepStrictEqual(profilesForSite(config, 'manning').map(profile => profile.name), ['work', 'home']);
+
+  assert.deepStrictEqual(selectProfiles(config, 'manning', { profile: 'home' }).map(profile => profile.name), ['home']);
+  assert.deepStrictEqual(selectProfiles(config, 'manning', { 'all-profiles': true }).map(profile => profile.name), ['work', 'home']);
+  assert.deepStrictEqual(selectProfiles(config, 'manning', {}), []);
+});
+
+test('an unknown, foreign or missing profile is a usage error', () => {
+  const config = configWith();
+  assert.throws(() => selectProfiles(config, 'manning', { profile: 'wrok' }),
+    error => error instanceof UsageError && error.message === 'Unknown profile "wrok" - expected one of: work, home');
+  assert.throws(() => selectProfiles(config, 'manning', { profile: 'other' }), /Profile "other" is for oreilly, not manning/);
+  assert.throws(() => selectProfiles(config, 'manning', { profile: 'work', 'all-profiles': true }), /either --profile or --all-profiles/);
+
+  const none = configWith({});
+  assert.throws(() => selectProfiles(none, 'manning', { 'all-profiles': true }), /no profiles for manning/);
+  assert.throws(() => selectProfiles(none, 'manning', { profile: 'work' }), error => error.message === 'Unknown profile "work"');
+});
+
+test('a profile gets its own folder and formats without touching the shared config', () => {
+  const config = configWith();
+  const [work, home] = profilesForSite(config, 'manning');
+
+  const forWork = applyProfile(config, 'manning', work);
+  assert.strictEqual(forWork.downloads.baseDir, path.join(tmpDir, 'downloads', 'work'));
+  assert.deepStrictEqual(forWork.sites.manning.downloadFormats, ['pdf']);
+  assert.deepStrictEqual(forWork.profile, { name: 'work', email: 'me@work.example' });
+
+  const forHome = applyProfile(config, 'manning', home);
+  assert.strictEqual(forHome.downloads.baseDir, path.join(tmpDir, 'home-books'));
+  assert.deepStrictEqual(forHome.sites.manning.downloadFormats, config.sites.manning.downloadFormats);
+
+  assert.strictEqual(config.downloads.baseDir, path.join(tmpDir, 'downloads'));
+  assert.strictEqual(config.profile, undefined);
+});
+
+test('books another profile has on disk are found by id or by title', async () => {
+  const downloadsDir = path.join(tmpDir, 'shared', 'work');
+  const manifest = new Manifest(downloadsDir, 'manning');
+  for (const [bookId, title, format] of [['1002', 'Rust in Action', 'pdf'], ['1003', 'The Joy of Kotlin', 'epub'], ['1004', 'Kubernetes in Action', 'pdf']]) {
+    const filePath = path.join(downloadsDir, `${bookId}.${format}`);
+    await fs.outputFile(filePath, title);
+    await manifest.record({ bookId, title, format, sourceUrl: null, filePath });
+  }
+  await manifest.save();
+  // A file that is gone does not count as had
+  await fs.remove(path.join(downloadsDir, '1004.pdf'));
+
+  const library = await SharedLibrary.load([{ name: 'work', downloadsDir, site: 'manning' }]);
+  assert.strictEqual(library.owner({ id: '1002', title: 'Rust in Action' }, 'PDF'), 'work');
+  assert.strictEqual(library.owner({ id: '1002', title: 'Rust in Action' }, 'epub'), null);
+  // Another account's id for the same book, with different punctuation and case
+  assert.strictEqual(library.owner({ id: 'joy-of-kotlin', title: 'THE JOY OF KOTLIN!' }, 'epub'), 'work');
+  assert.strictEqual(library.owner({ id: '1004', title: 'Kubernetes in Action' }, 'pdf'), null);
+
+  // The first profile to have a book keeps it
+  library.add('home', { bookId: '1002', title: 'Rust in Action', format: 'pdf' });
+  assert.strictEqual(library.owner({ id: '1002', title: 'Rust in Action' }, 'pdf'), 'work');
+});
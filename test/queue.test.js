@@ -0,0 +1,121 @@
+// The per-site token bucket and the worker pool that downloads run on
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter, parseRetryAfter, isThrottleStatus, sleep } = require('../src/utils/rate-limiter');
+const { runQueue } = require('../src/core/queue');
+
+// How long each acquire() waited, in ms since the first one was asked for
+async function acquireTimes(limiter, count) {
+  const start = Date.now();
+  const times = [];
+  for (let i = 0; i < count; i++) {
+    await limiter.acquire();
+    times.push(Date.now() - start);
+  }
+  return times;
+}
+
+test('the bucket hands out its burst at once, then one token per interval', async () => {
+  const times = await acquireTimes(new RateLimiter({ interval: 100, burst: 2 }), 4);
+  assert.ok(times[1] < 30, `burst took ${times[1]}ms`);
+  assert.ok(times[2] >= 90, `third token after ${times[2]}ms`);
+  assert.ok(times[3] >= 190, `fourth token after ${times[3]}ms`);
+
+  // Saved tokens never exceed the burst, however long the bucket sat idle
+  const idle = new RateLimiter({ interval: 50, burst: 2 });
+  await sleep(200);
+  idle.refill();
+  assert.strictEqual(idle.tokens, 2);
+
+  // No interval means no limit
+  const unlimited = await acquireTimes(new RateLimiter(), 20);
+  assert.ok(unlimited[19] < 50, `unlimited bucket took ${unlimited[19]}ms`);
+});
+
+test('throttling pauses the bucket for Retry-After and slows it down until requests succeed', async () => {
+  const limiter = new RateLimiter({ interval: 0, burst: 5 });
+  assert.strictEqual(limiter.penalize(150), 150);
+  assert.strictEqual(limiter.interval, 1000);
+  assert.strictEqual(limiter.tokens, 0);
+
+  // Only the pause is under test here, not the slower refill
+  limiter.interval = 0;
+  const [waited] = await acquireTimes(limiter, 1);
+  assert.ok(waited >= 140, `acquired after ${waited}ms of a 150ms pause`);
+
+  // Without Retry-After the pause is the doubled interval, capped at maxInterval
+  const slowed = new RateLimiter({ interval: 1000, maxInterval: 3000 });
+  assert.strictEqual(slowed.penalize(), 2000);
+  assert.strictEqual(slowed.penalize(), 3000);
+  assert.strictEqual(slowed.interval, 3000);
+
+  slowed.reward();
+  assert.strictEqual(slowed.interval, 2250);
+  for (let i = 0; i < 10; i++) {
+    slowed.reward();
+  }
+  assert.strictEqual(slowed.interval, 1000);
+});
+
+test('Retry-After is read as seconds or an HTTP date', () => {
+  assert.strictEqual(parseRetryAfter('30'), 30000);
+  assert.strictEqual(parseRetryAfter(null), null);
+  assert.strictEqual(parseRetryAfter('soon'), null);
+  const inAMinute = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+  assert.ok(inAMinute > 58000 && inAMinute <= 60000, String(inAMinute));
+  assert.strictEqual(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+
+  assert.deepStrictEqual([429, 503, 500, 404].map(isThrottleStatus), [true, true, false, false]);
+});
+
+test('the queue runs at most `concurrency` items at once on stable worker ids', async () => {
+  let running = 0;
+  let peak = 0;
+  const seen = [];
+  const busy = new Set();
+  await runQueue(Array.from({ length: 9 }, (_, i) => i), async (item, index, workerId) => {
+    // A worker id owns a resource such as a page, so it is never busy twice at once
+    assert.ok(!busy.has(workerId), `worker ${workerId} is already busy`);
+    busy.add(workerId);
+    running++;
+    peak = Math.max(peak, running);
+    seen.push({ item, index, workerId });
+    await sleep(5 + (item % 3) * 5);
+    busy.delete(workerId);
+    running--;
+  }, { concurrency: 3 });
+
+  assert.strictEqual(peak, 3);
+  assert.deepStrictEqual(seen.map(entry => entry.item).sort((a, b) => a - b), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.ok(seen.every(entry => entry.item === entry.index));
+  // Worker ids are the pool's slots - each one used, none past concurrency
+  assert.deepStrictEqual([...new Set(seen.map(entry => entry.workerId))].sort(), [0, 1, 2]);
+
+  // Never more workers than items
+  const ids = [];
+  await runQueue(['only'], async (item, index, workerId) => { ids.push(workerId); }, { concurrency: 4 });
+  assert.deepStrictEqual(ids, [0]);
+});
+
+test('a worker that handles its own errors keeps the queue going', async () => {
+  const done = [];
+  const failed = [];
+  await runQueue([1, 2, 3, 4, 5], async item => {
+    try {
+      if (item === 2) {
+        throw new Error('network reset');
+      }
+      await sleep(1);
+      done.push(item);
+    } catch (error) {
+      failed.push(item);
+    }
+  }, { concurrency: 2 });
+
+  assert.deepStrictEqual(done.sort(), [1, 3, 4, 5]);
+  assert.deepStrictEqual(failed, [2]);
+
+  // An error that escapes a worker rejects the whole queue
+  await assert.rejects(runQueue([1], async () => { throw new Error('boom'); }), /boom/);
+});
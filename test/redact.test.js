@@ -0,0 +1,67 @@
+// Secrets never reach the terminal or the log files: passwords, cookies, signed URLs
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { redact, addSecret, REDACTED } = require('../src/utils/redact');
+const logger = require('../src/utils/logger');
+
+let tmpDir;
+let printed;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-redact-'));
+  printed = mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fs.remove(tmpDir);
+});
+
+test('signed URLs, header dumps and JSON lose their secret values', () => {
+  assert.strictEqual(
+    redact('GET https://cdn.example.com/book.pdf?X-Amz-Signature=abc123&X-Amz-Credential=AKIA%2F1&page=2'),
+    `GET https://cdn.example.com/book.pdf?X-Amz-Signature=${REDACTED}&X-Amz-Credential=${REDACTED}&page=2`
+  );
+  assert.strictEqual(redact('Cookie: session=abc; TGC=def'), `Cookie: ${REDACTED}`);
+  assert.strictEqual(redact('Authorization = Bearer eyJhbGci'), `Authorization = ${REDACTED}`);
+  assert.strictEqual(redact('{"email":"a@b.c","password":"hunter2\\"x"}'), `{"email":"a@b.c","password":"${REDACTED}"}`);
+});
+
+test('objects lose secret keys at any depth, and cycles do not loop', () => {
+  const data = { email: 'reader@example.com', password: 'hunter22', nested: { cookies: [{ value: 'x' }], count: 2 } };
+  data.self = data;
+  assert.deepStrictEqual(redact(data), {
+    email: 'reader@example.com',
+    password: REDACTED,
+    nested: { cookies: REDACTED, count: 2 },
+    self: '[Circular]'
+  });
+  assert.strictEqual(redact({ token: null }).token, null);
+});
+
+test('registered values are scrubbed wherever they appear, short ones are not', () => {
+  addSecret('pa55-w0rd-xyz');
+  addSecret('abc');
+  assert.strictEqual(redact('login failed for pa55-w0rd-xyz at abc'), `login failed for ${REDACTED} at abc`);
+  assert.strictEqual(redact(new Error('bad pa55-w0rd-xyz')).split('\n')[0], `Error: bad ${REDACTED}`);
+});
+
+test('the logger redacts what it prints and what it writes to the log file', async () => {
+  logger.configure({ dir: tmpDir, level: 'normal', format: 'text' });
+  logger.addSecrets(['session-cookie-value']);
+  logger.info('Restoring session-cookie-value from https://x.test/dl?token=t0k3n', { password: 'hunter22' });
+  await logger.flush();
+
+  const line = printed.mock.calls.at(-1).arguments[0];
+  assert.strictEqual(line, `Restoring ${REDACTED} from https://x.test/dl?token=${REDACTED}`);
+
+  const [logFile] = (await fs.readdir(tmpDir)).filter(name => name.endsWith('.log'));
+  const entry = JSON.parse((await fs.readFile(path.join(tmpDir, logFile), 'utf8')).trim().split('\n').at(-1));
+  assert.strictEqual(entry.message, line);
+  assert.deepStrictEqual(entry.data, { password: REDACTED });
+  assert.ok(!JSON.stringify(entry).includes('session-cookie-value'));
+});
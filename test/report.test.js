@@ -0,0 +1,117 @@
+// The end-of-run report: what each book and format came to, the counts the summary shows and
+// the Markdown and HTML it is written as
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ManningDownloader = require('../src/sites/manning');
+const { loadConfig } = require('../src/utils/config');
+const { Manifest } = require('../src/utils/manifest');
+const { buildResult, summaryTable, toMarkdown, toHtml, writeReports } = require('../src/utils/report');
+const logger = require('../src/utils/logger');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-report-'));
+  logger.configure({ level: 'quiet', dir: path.join(tmpDir, 'logs') });
+  mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await logger.flush();
+  await fs.remove(tmpDir);
+});
+
+test('books already on disk count as skipped files, like downloaded and failed do', async () => {
+  const adapter = new ManningDownloader();
+  adapter.configure(loadConfig({ env: {}, overrides: { updates: { check: false } } }));
+  adapter.downloadsDir = path.join(tmpDir, 'skipped');
+  adapter.manifest = new Manifest(adapter.downloadsDir, 'manning');
+  adapter.stats = { total: 0, skipped: 0, downloaded: 0, failed: 0, shared: [], items: [] };
+
+  const books = [
+    { id: '1002', title: 'Rust in Action', formats: { pdf: '/pdf', epub: '/epub' } },
+    { id: '1003', title: 'The Joy of Kotlin', formats: { pdf: '/pdf', epub: null } },
+    { id: '1004', title: 'Kubernetes in Action', formats: { pdf: '/pdf', epub: '/epub' } }
+  ];
+  for (const [bookId, format] of [['1002', 'pdf'], ['1002', 'epub'], ['1003', 'pdf'], ['1004', 'pdf']]) {
+    const filePath = path.join(adapter.downloadsDir, `${bookId}.${format}`);
+    await fs.outputFile(filePath, `${bookId} ${format}`);
+    await adapter.manifest.record({ bookId, title: bookId, format, sourceUrl: null, filePath });
+  }
+
+  const pending = await adapter.selectPending(books);
+  assert.deepStrictEqual(pending.map(book => [book.id, book.pendingFormats]), [['1004', ['epub']]]);
+  assert.strictEqual(adapter.stats.skipped, 4);
+  assert.strictEqual(adapter.stats.items.filter(item => item.status === 'skipped').length, 4);
+});
+
+const ITEMS = [
+  { id: '1003', title: 'The Joy of Kotlin', format: 'pdf', status: 'skipped', reason: 'already downloaded', bytes: null, durationMs: null },
+  { id: '1002', title: 'Rust in Action', format: 'epub', status: 'failed', reason: '[network-error] reset', bytes: null, durationMs: 2500 },
+  { id: '1004', title: 'Kubernetes in Action', format: 'pdf', status: 'downloaded', reason: null, bytes: 2048, durationMs: 450, file: 'Kubernetes_in_Action.pdf' },
+  { id: '1001', title: 'Grokking Algorithms', format: 'pdf', status: 'downloaded', reason: null, bytes: 1024, durationMs: 61000, file: 'Grokking_Algorithms.pdf' }
+];
+
+function resultOf(items = ITEMS) {
+  return buildResult({ site: 'manning', profile: 'work', mode: 'browser', startedAt: new Date(Date.now() - 5000), items });
+}
+
+test('the result lists items by status then title, with files and bytes per status', () => {
+  const result = resultOf();
+  assert.deepStrictEqual(result.items.map(item => item.id), ['1001', '1004', '1002', '1003']);
+  assert.deepStrictEqual(result.summary, {
+    downloaded: { files: 2, bytes: 3072 },
+    updated: { files: 0, bytes: 0 },
+    failed: { files: 1, bytes: 0 },
+    skipped: { files: 1, bytes: 0 }
+  });
+  assert.ok(result.durationMs >= 5000);
+  assert.strictEqual(Date.parse(result.finishedAt) - Date.parse(result.startedAt), result.durationMs);
+});
+
+test('the summary table shows only the statuses that happened', () => {
+  assert.strictEqual(summaryTable(resultOf()), [
+    '  Status       Files   Size',
+    '  downloaded       2   3.0 KB',
+    '  failed           1',
+    '  skipped          1'
+  ].join('\n'));
+  assert.strictEqual(summaryTable(resultOf([])), '  Nothing to do');
+});
+
+test('titles and reasons cannot break the Markdown table or inject HTML', () => {
+  const result = resultOf([{
+    id: '1', title: 'Pipes | <script>alert(1)</script> & "Quotes"', format: 'pdf', status: 'failed',
+    reason: 'first line\nsecond | line', bytes: null, durationMs: 61000
+  }]);
+
+  const markdown = toMarkdown(result);
+  const row = markdown.split('\n').find(line => line.startsWith('| Pipes'));
+  assert.strictEqual(row, '| Pipes \\| &lt;script>alert(1)&lt;/script> & "Quotes" | PDF | first line second \\| line |  | 1m 1s |');
+  assert.match(markdown, /^# Sync report: manning \(work\)$/m);
+
+  const html = toHtml(result);
+  assert.ok(html.includes('<td>Pipes | &lt;script&gt;alert(1)&lt;/script&gt; &amp; &quot;Quotes&quot;</td>'));
+  assert.ok(!html.includes('<script>'));
+});
+
+test('reports are written in each configured format with secrets redacted', async () => {
+  const dir = path.join(tmpDir, 'reports');
+  const result = resultOf([{
+    id: '1002', title: 'Rust in Action', format: 'pdf', status: 'failed',
+    reason: 'HTTP 403 for https://cdn.example.com/rust.pdf?X-Amz-Signature=abcdef0123456789', bytes: null, durationMs: 10
+  }]);
+  const written = await writeReports(result, { dir, formats: ['json', 'markdown', 'html'] });
+
+  const stamp = result.startedAt.slice(0, 19).replace(/:/g, '-');
+  assert.deepStrictEqual(written.map(file => path.basename(file)), ['json', 'md', 'html'].map(ext => `manning-work-${stamp}.${ext}`));
+  for (const file of written) {
+    assert.ok(!(await fs.readFile(file, 'utf8')).includes('abcdef0123456789'), file);
+  }
+  assert.strictEqual((await fs.readJson(written[0])).summary.failed.files, 1);
+});
@@ -0,0 +1,154 @@
+// Classified failures: which kind an error is, how often each kind is retried, and the
+// failure list that `retry-failed` re-runs
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { AuthError, DownloadError, FAILURE_KINDS, classifyError } = require('../src/utils/errors');
+const { RetryPolicy } = require('../src/utils/retry');
+const { FailureStore } = require('../src/utils/failures');
+const { Manifest } = require('../src/utils/manifest');
+const { loadConfig } = require('../src/utils/config');
+const { EXIT_CODES } = require('../src/cli');
+const ManningDownloader = require('../src/sites/manning');
+const retryFailed = require('../src/commands/retry-failed');
+const sync = require('../src/commands/sync');
+const logger = require('../src/utils/logger');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-retry-'));
+  logger.configure({ level: 'quiet', dir: path.join(tmpDir, 'logs') });
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await logger.flush();
+  await fs.remove(tmpDir);
+});
+
+function withCode(code) {
+  return Object.assign(new Error(`connect ${code}`), { code });
+}
+
+test('errors are classified by kind, name, code or message', () => {
+  assert.strictEqual(classifyError(new DownloadError('gone', FAILURE_KINDS.LINK_MISSING)), 'link-missing');
+  assert.strictEqual(classifyError(new AuthError('Session expired')), 'auth-expired');
+  assert.strictEqual(classifyError(Object.assign(new Error('Timeout 30000ms exceeded'), { name: 'TimeoutError' })), 'download-timeout');
+  assert.strictEqual(classifyError(withCode('ECONNRESET')), 'network-error');
+  assert.strictEqual(classifyError(new Error('page.goto: net::ERR_INTERNET_DISCONNECTED')), 'network-error');
+  assert.strictEqual(classifyError(new Error('something else')), 'unknown');
+  assert.strictEqual(classifyError(Object.assign(new Error('odd'), { kind: 'not-a-kind' })), 'unknown');
+  assert.strictEqual(classifyError(null), 'unknown');
+});
+
+test('each kind has its own retry budget, and backoff never passes maxDelay', () => {
+  const policy = new RetryPolicy(loadConfig({ env: {}, overrides: { retry: { attempts: { 'network-error': 2 } } } }).retry);
+  // A missing link will not appear by asking again
+  assert.strictEqual(policy.shouldRetry('link-missing', 1), false);
+  assert.deepStrictEqual([1, 2, 3].map(attempt => policy.shouldRetry('network-error', attempt)), [true, true, false]);
+  assert.deepStrictEqual([1, 2].map(attempt => policy.shouldRetry('auth-expired', attempt)), [true, false]);
+  // Kinds without a budget of their own get the unknown one
+  assert.strictEqual(new RetryPolicy({ attempts: { unknown: 2 } }).retriesFor('made-up'), 2);
+  assert.strictEqual(new RetryPolicy().retriesFor('network-error'), 0);
+
+  const backoff = new RetryPolicy({ baseDelay: 1000, maxDelay: 5000 });
+  for (let i = 0; i < 20; i++) {
+    const [first, second, tenth] = [1, 2, 10].map(attempt => backoff.delay(attempt));
+    assert.ok(first >= 1000 && first <= 1250, String(first));
+    assert.ok(second >= 2000 && second <= 2250, String(second));
+    assert.strictEqual(tenth, 5000);
+  }
+});
+
+test('a book is retried per failed format until that kind runs out of attempts', async () => {
+  const adapter = new ManningDownloader();
+  adapter.configure(loadConfig({ env: {}, overrides: { retry: { baseDelay: 0 } } }));
+  adapter.retryPolicy = new RetryPolicy(adapter.config.retry);
+  adapter.failureStore = new FailureStore(path.join(tmpDir, 'budget'), 'manning');
+  adapter.stats = { failed: 0, failures: [], items: [] };
+  adapter.waitForRateLimit = async () => {};
+  adapter.writeMetadata = async () => {};
+  adapter.runFileHooks = async () => {};
+
+  const calls = [];
+  adapter.downloadBook = async book => {
+    calls.push([...book.pendingFormats]);
+    for (const format of book.pendingFormats) {
+      if (format === 'pdf') {
+        adapter.recordFailure(book, format, new DownloadError('No PDF link', FAILURE_KINDS.LINK_MISSING));
+      } else if (book.attempt === 1) {
+        adapter.recordFailure(book, format, withCode('ECONNRESET'));
+      } else {
+        book.savedFormats.push(format);
+      }
+    }
+  };
+
+  const book = { id: '1002', title: 'Rust in Action', formats: { pdf: '/pdf', epub: '/epub' }, pendingFormats: ['pdf', 'epub'] };
+  await adapter.downloadWithRetry(book, null, false);
+
+  // The PDF is given up after one try, the EPUB is tried again and saved
+  assert.deepStrictEqual(calls, [['pdf', 'epub'], ['epub']]);
+  assert.deepStrictEqual(adapter.stats.failures.map(failure => [failure.format, failure.kind, failure.attempts]), [['pdf', 'link-missing', 1]]);
+  assert.deepStrictEqual(adapter.failureStore.all().map(entry => entry.format), ['pdf']);
+});
+
+test('failures are remembered across runs and follow a book to its new id', async () => {
+  const dir = path.join(tmpDir, 'store');
+  const failures = new FailureStore(dir, 'manning');
+  const failure = { bookId: 'rust-in-action', title: 'Rust in Action', format: 'PDF', kind: 'network-error', reason: 'reset', attempts: 4, sourceUrl: '/pdf' };
+  failures.add(failure);
+  failures.add(failure);
+  failures.add({ ...failure, format: 'epub', sourceUrl: null });
+  await failures.save();
+
+  const loaded = await new FailureStore(dir, 'manning').load();
+  assert.strictEqual(loaded.entries['rust-in-action:pdf'].runs, 2);
+  assert.deepStrictEqual(loaded.formatsFor('rust-in-action').sort(), ['epub', 'pdf']);
+
+  // A failure already recorded under the new id is kept
+  loaded.add({ ...failure, bookId: '1002', format: 'epub', kind: 'corrupt-file' });
+  loaded.rekey('rust-in-action', '1002');
+  assert.strictEqual(loaded.formatsFor('rust-in-action').length, 0);
+  assert.deepStrictEqual(loaded.formatsFor('1002').sort(), ['epub', 'pdf']);
+  assert.strictEqual(loaded.entries['1002:epub'].kind, 'corrupt-file');
+  assert.strictEqual(loaded.entries['1002:pdf'].runs, 2);
+
+  loaded.clear('1002', 'PDF');
+  assert.strictEqual(loaded.has('1002', 'pdf'), false);
+
+  // A damaged file is an empty list, not a crash
+  await fs.writeFile(loaded.filePath, '{ not json');
+  assert.deepStrictEqual((await new FailureStore(dir, 'manning').load()).all(), []);
+});
+
+test('retry-failed syncs only the failed items, and only when there are any', async () => {
+  const run = mock.method(sync, 'run', async () => EXIT_CODES.PARTIAL);
+  const downloadsDir = path.join(tmpDir, 'retry-failed');
+  const context = { siteKey: 'manning', downloadsDir };
+
+  assert.strictEqual(await retryFailed.run(context), EXIT_CODES.SUCCESS);
+  assert.strictEqual(run.mock.callCount(), 0);
+
+  const failures = new FailureStore(downloadsDir, 'manning');
+  failures.add({ bookId: '1002', title: 'Rust in Action', format: 'pdf', kind: 'network-error', reason: 'reset', attempts: 4 });
+  await failures.save();
+
+  assert.strictEqual(await retryFailed.run(context), EXIT_CODES.PARTIAL);
+  assert.deepStrictEqual(run.mock.calls[0].arguments, [context, { onlyFailed: true }]);
+
+  // Once the manifest has the file, the failure is resolved and there is nothing to sync
+  const filePath = path.join(downloadsDir, 'Rust_in_Action.pdf');
+  await fs.outputFile(filePath, 'rust pdf');
+  await (await new Manifest(downloadsDir, 'manning').load()).record({ bookId: '1002', title: 'Rust in Action', format: 'pdf', sourceUrl: null, filePath });
+  assert.strictEqual(await retryFailed.run(context), EXIT_CODES.SUCCESS);
+  assert.strictEqual(run.mock.callCount(), 1);
+  assert.deepStrictEqual((await new FailureStore(downloadsDir, 'manning').load()).all(), []);
+  run.mock.restore();
+});
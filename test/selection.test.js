@@ -0,0 +1,57 @@
+// Choosing books with --only, --exclude, --id, --purchased-after/-before and --new
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSelection, hasFilters, describeSelection, applySelection } = require('../src/core/selection');
+const { UsageError } = require('../src/cli');
+
+const BOOKS = [
+  { id: '1001', title: 'Grokking Algorithms, Second Edition', purchased: '2024-01-12' },
+  { id: '1002', title: 'Rust in Action', purchased: '2024-03-01' },
+  { id: '1003', title: 'The Joy of Kotlin', purchased: '2022-11-20' },
+  { id: '1005', title: 'Deep Learning with Python', purchased: null }
+];
+
+function select(args, options) {
+  return applySelection(BOOKS, parseSelection(args), options).books.map(book => book.id);
+}
+
+test('no flags selects the whole library', () => {
+  assert.strictEqual(hasFilters(parseSelection({})), false);
+  assert.deepStrictEqual(select({}), ['1001', '1002', '1003', '1005']);
+});
+
+test('--only and --exclude match title or id, case-insensitively', () => {
+  assert.deepStrictEqual(select({ only: 'rust|kotlin' }), ['1002', '1003']);
+  assert.deepStrictEqual(select({ exclude: '^the ' }), ['1001', '1002', '1005']);
+  assert.deepStrictEqual(select({ only: '100[12]', exclude: 'grokking' }), ['1002']);
+});
+
+test('--id picks books by product id', () => {
+  assert.deepStrictEqual(select({ id: ['1003', '1001'] }), ['1001', '1003']);
+});
+
+test('a purchase date range leaves out books without a date', () => {
+  const { books, undated } = applySelection(BOOKS, parseSelection({ 'purchased-after': '2024-01-01' }));
+  assert.deepStrictEqual(books.map(book => book.id), ['1001', '1002']);
+  assert.strictEqual(undated, 1);
+  assert.deepStrictEqual(select({ 'purchased-after': '2022-11-20', 'purchased-before': '2024-01-12' }), ['1001', '1003']);
+});
+
+test('--new keeps the books earlier syncs have not seen', () => {
+  const seen = new Set(['1001', '1002']);
+  assert.deepStrictEqual(select({ new: true }, { isNew: book => !seen.has(book.id) }), ['1003', '1005']);
+});
+
+test('bad patterns and dates are usage errors', () => {
+  assert.throws(() => parseSelection({ only: 'rust(' }), UsageError);
+  assert.throws(() => parseSelection({ 'purchased-after': '01/02/2024' }), UsageError);
+  assert.throws(() => parseSelection({ 'purchased-after': '2024-02-30x' }), UsageError);
+  assert.throws(() => parseSelection({ 'purchased-after': '2024-05-01', 'purchased-before': '2024-01-01' }), /must not be later/);
+});
+
+test('the summary names every filter', () => {
+  const selection = parseSelection({ only: 'rust', id: ['1002'], 'purchased-after': '2024-01-01', new: true });
+  assert.strictEqual(describeSelection(selection),
+    'title or id matches /rust/, id 1002, purchased on or after 2024-01-01, new since the last sync');
+});
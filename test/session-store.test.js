@@ -0,0 +1,93 @@
+// The encrypted session store: what is on disk, and what happens with a wrong passphrase,
+// an edited file or an expired session
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { SessionStore, SessionError } = require('../src/utils/session-store');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-session-'));
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fs.remove(tmpDir);
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const COOKIES = [
+  { name: 'TGC', value: 'ticket-granting-secret', domain: 'login.manning.com', path: '/', expires: -1 },
+  { name: 'session', value: 'dashboard-secret', domain: 'www.manning.com', path: '/', expires: Date.now() / 1000 + 3600 },
+  { name: 'remember', value: 'remember-secret', domain: 'www.manning.com', path: '/', expires: Date.now() / 1000 + 3 * 86400 }
+];
+
+function store(name, maxAgeDays = 30) {
+  return new SessionStore({ dir: path.join(tmpDir, name), site: 'manning', maxAgeDays });
+}
+
+test('cookies come back with the passphrase and are never on disk in plaintext', async () => {
+  const sessions = store('roundtrip');
+  await sessions.save(COOKIES, { passphrase: 'correct horse', account: 'reader@example.com' });
+
+  const text = await fs.readFile(sessions.filePath, 'utf8');
+  assert.ok(!text.includes('ticket-granting-secret') && !text.includes('reader@example.com'));
+  if (process.platform !== 'win32') {
+    assert.strictEqual((await fs.stat(sessions.filePath)).mode & 0o777, 0o600);
+  }
+
+  assert.deepStrictEqual(await sessions.load({ passphrase: 'correct horse', account: 'Reader@Example.com' }), COOKIES);
+  // Another account's session is not handed out
+  assert.strictEqual(await sessions.load({ passphrase: 'correct horse', account: 'someone@example.com' }), null);
+  await assert.rejects(sessions.save(COOKIES, { passphrase: '' }), SessionError);
+});
+
+test('a wrong passphrase or an edited file fails to decrypt', async () => {
+  const sessions = store('tamper');
+  await sessions.save(COOKIES, { passphrase: 'correct horse' });
+  await assert.rejects(sessions.load({ passphrase: 'wrong horse' }), SessionError);
+
+  const envelope = await fs.readJson(sessions.filePath);
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  await fs.writeJson(sessions.filePath, { ...envelope, data: data.toString('base64') });
+  await assert.rejects(sessions.load({ passphrase: 'correct horse' }), /wrong passphrase or damaged file/);
+
+  // The expiry is outside the ciphertext but authenticated: pushing it back breaks decryption
+  const later = new Date(Date.parse(envelope.expiresAt) + 365 * DAY).toISOString();
+  await fs.writeJson(sessions.filePath, { ...envelope, expiresAt: later });
+  await assert.rejects(sessions.load({ passphrase: 'correct horse' }), SessionError);
+});
+
+test('an expired session is deleted, and expired cookies are left out', async () => {
+  const sessions = store('expiry', 1);
+  const { expiresAt } = await sessions.save(COOKIES, { passphrase: 'correct horse' });
+  // Until the longest-lived cookie expires, but no longer than maxAgeDays
+  assert.ok(Math.abs(Date.parse(expiresAt) - (Date.now() + DAY)) < 60 * 1000);
+
+  const now = Date.now();
+  const clock = mock.method(Date, 'now', () => now + 2 * 60 * 60 * 1000);
+  assert.deepStrictEqual(await sessions.load({ passphrase: 'correct horse' }), [COOKIES[0], COOKIES[2]]);
+
+  clock.mock.mockImplementation(() => now + 2 * DAY);
+  assert.strictEqual((await sessions.status()).expired, true);
+  assert.strictEqual(await sessions.load({ passphrase: 'correct horse' }), null);
+  assert.strictEqual(await fs.pathExists(sessions.filePath), false);
+  clock.mock.restore();
+});
+
+test('an existing session folder keeps its permissions, a new one is private', { skip: process.platform === 'win32' }, async () => {
+  const shared = path.join(tmpDir, 'shared-config');
+  await fs.ensureDir(shared);
+  await fs.chmod(shared, 0o755);
+  await new SessionStore({ dir: shared, site: 'manning' }).save(COOKIES, { passphrase: 'correct horse' });
+  assert.strictEqual((await fs.stat(shared)).mode & 0o777, 0o755);
+
+  const created = path.join(tmpDir, 'new-config', 'ebook-downloader');
+  await new SessionStore({ dir: created, site: 'manning' }).save(COOKIES, { passphrase: 'correct horse' });
+  assert.strictEqual((await fs.stat(created)).mode & 0o777, 0o700);
+});
@@ -0,0 +1,164 @@
+// Small but valid book files for the fixture server: they pass src/utils/validate.js and
+// carry metadata that src/utils/metadata.js can read back
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A ZIP archive of stored (uncompressed) entries, in the order given
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of files) {
+    const nameBytes = Buffer.from(name);
+    const data = Buffer.from(content);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function buildEpub({ title, authors = [], isbn = null, language = 'en' }) {
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="id">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="id">${isbn ? `urn:isbn:${isbn}` : 'urn:uuid:fixture'}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+${authors.map(author => `    <dc:creator>${escapeXml(author)}</dc:creator>`).join('\n')}
+    <dc:publisher>Manning Publications</dc:publisher>
+    <dc:language>${language}</dc:language>
+  </metadata>
+  <manifest>
+    <item id="chapter" href="chapter.xhtml" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine>
+    <itemref idref="chapter"/>
+  </spine>
+</package>`;
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+  const chapter = `<html xmlns="http://www.w3.org/1999/xhtml"><body><h1>${escapeXml(title)}</h1></body></html>`;
+
+  return buildZip([
+    ['mimetype', 'application/epub+zip'],
+    ['META-INF/container.xml', container],
+    ['OEBPS/content.opf', opf],
+    ['OEBPS/chapter.xhtml', chapter]
+  ]);
+}
+
+function pdfString(text) {
+  return `(${String(text).replace(/[\\()]/g, match => `\\${match}`)})`;
+}
+
+// A one-page PDF with an Info dictionary; `padding` makes it big enough to resume, and
+// `outline` adds bookmarks (which have a /Title of their own) before the Info dictionary
+function buildPdf({ title, authors = [], padding = 0, outline = [] }) {
+  const first = 4;
+  const objects = [
+    `<< /Type /Catalog /Pages 2 0 R${outline.length > 0 ? ` /Outlines ${first} 0 R` : ''} >>`,
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>'
+  ];
+  if (outline.length > 0) {
+    objects.push(`<< /Type /Outlines /First ${first + 1} 0 R /Last ${first + outline.length} 0 R /Count ${outline.length} >>`);
+    for (const entry of outline) {
+      objects.push(`<< /Title ${pdfString(entry)} /Parent ${first} 0 R /Dest [3 0 R /Fit] >>`);
+    }
+  }
+  objects.push(`<< /Title ${pdfString(title)} /Author ${pdfString(authors.join(', '))} /Producer (fixture) >>`);
+
+  let body = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((object, i) => {
+    offsets.push(body.length);
+    body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+  });
+  body += `% ${'x'.repeat(padding)}\n`;
+
+  const xref = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(body, 'latin1');
+}
+
+// A Kindle book is a Palm database: a 78-byte header (name, type BOOK, creator MOBI) and
+// one record, here the title as text
+function buildMobi({ title }) {
+  const header = Buffer.alloc(78 + 8);
+  header.write(title.slice(0, 31), 0, 'latin1');
+  header.write('BOOKMOBI', 60, 'latin1');
+  header.writeUInt16BE(1, 76);
+  header.writeUInt32BE(header.length, 78);
+  return Buffer.concat([header, Buffer.from(title, 'latin1')]);
+}
+
+// A book's source code archive
+function buildCodeZip({ title }) {
+  return buildZip([
+    ['README.md', `# Source code for ${title}\n`],
+    ['src/main.rs', 'fn main() {\n    println!("hello");\n}\n']
+  ]);
+}
+
+// The smallest JPEG viewers accept: SOI, a JFIF header and EOI
+function buildCover() {
+  return Buffer.from([
+    0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01,
+    0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00, 0xff, 0xd9
+  ]);
+}
+
+module.exports = { buildEpub, buildPdf, buildMobi, buildCodeZip, buildCover, buildZip, crc32 };
@@ -0,0 +1,220 @@
+// A local stand-in for manning.com: the login form, the dashboard whose rows arrive over
+// AJAX, and authenticated downloads with ETag and Range support. The HTML under
+// test/fixtures/manning/ was recorded from the real site and trimmed down.
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { buildEpub, buildPdf, buildMobi, buildCodeZip, buildCover } = require('./books');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'manning');
+
+const ACCOUNT = { email: 'reader@example.com', password: 'correct-horse-battery' };
+const SESSION_COOKIE = 'session=fixture-session';
+
+// The books behind the rows in products.html and products-2.html
+const BOOKS = {
+  1001: {
+    title: 'Grokking Algorithms, Second Edition',
+    authors: ['Aditya Y. Bhargava'],
+    isbn: '9781633438538',
+    formats: ['pdf', 'epub']
+  },
+  1002: {
+    title: 'Rust in Action',
+    authors: ['Tim McNamara'],
+    isbn: '9781617294556',
+    formats: ['pdf', 'epub', 'kindle', 'code']
+  },
+  1003: {
+    title: 'The Joy of Kotlin',
+    authors: ['Pierre-Yves Saumont'],
+    isbn: '9781617295362',
+    formats: ['pdf']
+  },
+  1004: {
+    title: 'Kubernetes in Action, Second Edition',
+    authors: ['Marko Lukša'],
+    isbn: '9781617297618',
+    formats: ['pdf', 'epub']
+  },
+  1005: {
+    title: 'Deep Learning with Python',
+    authors: ['François Chollet'],
+    isbn: '9781617294433',
+    formats: ['epub']
+  }
+};
+
+// The dashboard's infinite scroll fetches one of these per batch
+const PRODUCT_PAGES = ['products.html', 'products-2.html'];
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  epub: 'application/epub+zip',
+  mobi: 'application/x-mobipocket-ebook',
+  zip: 'application/zip',
+  jpg: 'image/jpeg'
+};
+
+// What each format's download is built from, and the extension the site gives it
+const BUILDERS = {
+  // PDFs are padded so the resume tests have something to cut in half
+  pdf: book => [buildPdf({ ...book, padding: 64 * 1024 }), 'pdf'],
+  epub: book => [buildEpub(book), 'epub'],
+  kindle: book => [buildMobi(book), 'mobi'],
+  code: book => [buildCodeZip(book), 'zip']
+};
+
+function bookFile(productId, format) {
+  const book = BOOKS[productId];
+  if (!book || !book.formats.includes(format)) {
+    return null;
+  }
+  const [data, ext] = BUILDERS[format](book);
+  const slug = book.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return {
+    data,
+    filename: `${slug}.${ext}`,
+    etag: `"${crypto.createHash('sha1').update(data).digest('hex').slice(0, 16)}"`
+  };
+}
+
+function isLoggedIn(req) {
+  return (req.headers.cookie || '').split(/;\s*/).includes(SESSION_COOKIE);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+  res.end(body);
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(302, { Location: location, ...headers });
+  res.end();
+}
+
+async function page(name) {
+  return fs.readFile(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+async function handleLogin(req, res) {
+  const form = new URLSearchParams(await readBody(req));
+  if (form.get('email') === ACCOUNT.email && form.get('password') === ACCOUNT.password) {
+    return redirect(res, '/dashboard', { 'Set-Cookie': `${SESSION_COOKIE}; Path=/; HttpOnly` });
+  }
+  const html = (await page('login.html'))
+    .replace('<!--ERROR-->', '<div class="alert-danger">Invalid email or password</div>');
+  return send(res, 200, html);
+}
+
+function handleDownload(req, res, query) {
+  // Books with a single format have one unlabelled download link, like 1005
+  const book = BOOKS[query.get('productId')];
+  const single = book && book.formats.length === 1 ? book.formats[0] : '';
+  const file = bookFile(query.get('productId'), (query.get('downloadFormat') || single).toLowerCase());
+  if (!file) {
+    return send(res, 404, '<html><body>Not found</body></html>');
+  }
+
+  const headers = {
+    'Content-Type': CONTENT_TYPES[path.extname(file.filename).slice(1)],
+    'Content-Disposition': `attachment; filename="${file.filename}"`,
+    'Accept-Ranges': 'bytes',
+    ETag: file.etag
+  };
+  if (req.headers['if-none-match'] === file.etag) {
+    res.writeHead(304, { ETag: file.etag });
+    return res.end();
+  }
+
+  const range = (req.headers.range || '').match(/^bytes=(\d+)-$/);
+  const ifRange = req.headers['if-range'];
+  if (range && (!ifRange || ifRange === file.etag)) {
+    const start = parseInt(range[1], 10);
+    if (start >= file.data.length) {
+      res.writeHead(416, { 'Content-Range': `bytes */${file.data.length}` });
+      return res.end();
+    }
+    res.writeHead(206, {
+      ...headers,
+      'Content-Length': file.data.length - start,
+      'Content-Range': `bytes ${start}-${file.data.length - 1}/${file.data.length}`
+    });
+    return res.end(file.data.subarray(start));
+  }
+
+  res.writeHead(200, { ...headers, 'Content-Length': file.data.length });
+  return res.end(file.data);
+}
+
+// The same batch with its book rows in reverse order, as if the library was re-sorted
+function reverseRows(html) {
+  const rows = html.match(/<tr class="product-row">[\s\S]*?<\/tr>\n/g) || [];
+  const rest = rows.reduce((remaining, row) => remaining.replace(row, ''), html);
+  return [...rows].reverse().join('') + rest;
+}
+
+async function route(req, res, state) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/login') {
+    return req.method === 'POST' ? handleLogin(req, res) : send(res, 200, await page('login.html'));
+  }
+  if (url.pathname.startsWith('/dashboard') && !isLoggedIn(req)) {
+    return redirect(res, '/login');
+  }
+  if (url.pathname === '/dashboard') {
+    return send(res, 200, await page('dashboard.html'));
+  }
+  if (url.pathname === '/dashboard/products') {
+    const batch = PRODUCT_PAGES[(parseInt(url.searchParams.get('page'), 10) || 1) - 1];
+    const html = batch ? await page(batch) : '';
+    return send(res, 200, state.reversed ? reverseRows(html) : html);
+  }
+  if (url.pathname === '/dashboard/download') {
+    return handleDownload(req, res, url.searchParams);
+  }
+  // Cover thumbnails are public, like the real site's image CDN
+  if (url.pathname.startsWith('/covers/')) {
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES.jpg });
+    return res.end(buildCover());
+  }
+  return send(res, 404, '<html><body>Not found</body></html>');
+}
+
+// Start the server on a free port. `requests` records "METHOD /path" for every request;
+// setReversed(true) serves every batch of rows in reverse order from then on.
+async function startFixtureServer() {
+  const requests = [];
+  const state = { reversed: false };
+  const server = http.createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`);
+    route(req, res, state).catch(error => send(res, 500, error.stack));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    requests,
+    setReversed: reversed => { state.reversed = reversed; },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+module.exports = { startFixtureServer, bookFile, ACCOUNT, BOOKS, PRODUCT_PAGES, SESSION_COOKIE };
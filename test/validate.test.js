@@ -0,0 +1,69 @@
+// Downloaded PDFs and EPUBs are checked before they are kept: truncated files, broken ZIPs and
+// login pages saved under a book's name are all rejected
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { validateFile } = require('../src/utils/validate');
+const { buildPdf, buildEpub, buildZip } = require('./support/books');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-validate-'));
+});
+
+after(async () => {
+  await fs.remove(tmpDir);
+});
+
+const RUST = { title: 'Rust in Action', authors: ['Tim McNamara'] };
+const LOGIN_PAGE = '<!DOCTYPE html><html><body>Please log in</body></html>';
+
+let count = 0;
+async function check(data, format) {
+  const filePath = path.join(tmpDir, `file-${count++}.${format}`);
+  await fs.writeFile(filePath, data);
+  return validateFile(filePath, format);
+}
+
+test('a complete PDF is valid; a truncated one or a web page is not', async () => {
+  const pdf = buildPdf(RUST);
+  assert.deepStrictEqual(await check(pdf, 'pdf'), { valid: true, version: '1.4' });
+  // Junk after %%EOF is common and allowed
+  assert.strictEqual((await check(Buffer.concat([pdf, Buffer.from('\n\n')]), 'pdf')).valid, true);
+
+  assert.deepStrictEqual(await check(pdf.subarray(0, pdf.length - 20), 'pdf'),
+    { valid: false, reason: 'missing %%EOF trailer - file is probably truncated' });
+  assert.deepStrictEqual(await check(pdf.subarray(5), 'pdf'), { valid: false, reason: 'missing %PDF- header' });
+  assert.deepStrictEqual(await check(LOGIN_PAGE, 'pdf'), { valid: false, reason: 'file is an HTML page, not a PDF' });
+  assert.deepStrictEqual(await check('', 'pdf'), { valid: false, reason: 'file is empty' });
+});
+
+test('an EPUB needs a mimetype entry first and an intact ZIP directory', async () => {
+  const epub = buildEpub(RUST);
+  assert.deepStrictEqual(await check(epub, 'epub'), { valid: true, entries: 4 });
+
+  assert.deepStrictEqual(await check(LOGIN_PAGE, 'epub'), { valid: false, reason: 'file is an HTML page, not an EPUB' });
+  assert.deepStrictEqual(await check(Buffer.from('PK not really a zip at all, just text'), 'epub'), { valid: false, reason: 'not a ZIP archive' });
+
+  const misordered = buildZip([['META-INF/container.xml', '<container/>'], ['mimetype', 'application/epub+zip']]);
+  assert.deepStrictEqual(await check(misordered, 'epub'), { valid: false, reason: 'first ZIP entry is "META-INF/container.xml", expected "mimetype"' });
+
+  const wrongType = buildZip([['mimetype', 'application/zip'], ['META-INF/container.xml', '<container/>']]);
+  assert.deepStrictEqual(await check(wrongType, 'epub'), { valid: false, reason: 'mimetype entry is not application/epub+zip' });
+
+  const noContainer = buildZip([['mimetype', 'application/epub+zip'], ['OEBPS/chapter.xhtml', '<html/>']]);
+  assert.deepStrictEqual(await check(noContainer, 'epub'), { valid: false, reason: 'missing META-INF/container.xml' });
+
+  // Cut off before the central directory: the first entry looks fine, the rest is gone
+  assert.deepStrictEqual(await check(epub.subarray(0, Math.floor(epub.length / 2)), 'epub'),
+    { valid: false, reason: 'ZIP central directory not found - file is probably truncated' });
+});
+
+test('formats without a validator only need to be non-empty', async () => {
+  assert.deepStrictEqual(await check('anything', 'txt'), { valid: true });
+  assert.deepStrictEqual(await check('', 'txt'), { valid: false, reason: 'file is empty' });
+});
@@ -0,0 +1,81 @@
+// `verify`: broken and missing files are downloaded again without losing their version history
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const verify = require('../src/commands/verify');
+const ManningDownloader = require('../src/sites/manning');
+const { loadConfig } = require('../src/utils/config');
+const { EXIT_CODES } = require('../src/cli');
+const { Manifest } = require('../src/utils/manifest');
+const { buildPdf, buildEpub, buildCover } = require('./support/books');
+const logger = require('../src/utils/logger');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-verify-'));
+  logger.configure({ level: 'quiet', dir: path.join(tmpDir, 'logs') });
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await logger.flush();
+  await fs.remove(tmpDir);
+});
+
+const RUST = { title: 'Rust in Action', authors: ['Tim McNamara'] };
+const HISTORY = [{ hash: 'abc', size: 10, version: { meapVersion: 6 }, downloadedAt: '2024-01-01T00:00:00.000Z', archivedPath: '.versions/1002/old.pdf' }];
+
+test('a broken or missing file is marked invalid and keeps its version history', async () => {
+  const downloadsDir = path.join(tmpDir, 'manning');
+  const manifest = new Manifest(downloadsDir, 'manning');
+  const files = {
+    pdf: [path.join(downloadsDir, 'Rust.pdf'), buildPdf(RUST)],
+    epub: [path.join(downloadsDir, 'Rust.epub'), buildEpub(RUST)],
+    cover: [path.join(downloadsDir, 'Rust.jpg'), buildCover()]
+  };
+  for (const [format, [filePath, data]] of Object.entries(files)) {
+    await fs.outputFile(filePath, data);
+    await manifest.record({ bookId: '1002', title: 'Rust in Action', format, sourceUrl: null, filePath, validated: true, version: { meapVersion: 7 }, history: HISTORY });
+  }
+  // The PDF is cut short, the EPUB deleted
+  await fs.writeFile(files.pdf[0], buildPdf(RUST).subarray(0, 200));
+  await fs.remove(files.epub[0]);
+
+  assert.strictEqual(await verify.run({ siteKey: 'manning', site: { name: 'Manning' }, downloadsDir }), EXIT_CODES.PARTIAL);
+
+  const saved = await new Manifest(downloadsDir, 'manning').load();
+  for (const format of ['pdf', 'epub']) {
+    const entry = saved.get('1002', format);
+    assert.deepStrictEqual(entry.history, HISTORY);
+    assert.deepStrictEqual(entry.version, { meapVersion: 7 });
+    assert.strictEqual(entry.validated, false);
+    assert.strictEqual(entry.size, undefined);
+    assert.strictEqual(await saved.isComplete('1002', format), false);
+  }
+  assert.match(saved.get('1002', 'pdf').invalid.reason, /%%EOF/);
+  assert.strictEqual(saved.get('1002', 'epub').invalid.reason, 'file is missing');
+  assert.strictEqual(await fs.pathExists(files.pdf[0]), false);
+  assert.strictEqual((await fs.readdir(path.join(downloadsDir, '.quarantine'))).length, 1);
+
+  // The cover is fine and left as it was
+  assert.strictEqual(await saved.isComplete('1002', 'cover'), true);
+  assert.strictEqual(saved.get('1002', 'cover').invalid, undefined);
+
+  // The next sync downloads the PDF again and the history carries on
+  const adapter = new ManningDownloader();
+  adapter.configure(loadConfig({ env: {}, overrides: {} }));
+  adapter.downloadsDir = downloadsDir;
+  adapter.manifest = saved;
+  adapter.stats = { skipped: 0, downloaded: 0, updated: [], items: [] };
+  await fs.outputFile(`${files.pdf[0]}.part`, buildPdf(RUST));
+  const entry = await adapter.storeFile(`${files.pdf[0]}.part`, files.pdf[0], { id: '1002', title: 'Rust in Action', version: { meapVersion: 7 } }, 'pdf', null);
+  assert.deepStrictEqual(entry.history, HISTORY);
+  assert.strictEqual(entry.invalid, undefined);
+  assert.strictEqual(await saved.isComplete('1002', 'pdf'), true);
+});
@@ -0,0 +1,116 @@
+// New releases of books already on disk: what changed, the archive of previous files and its changelog
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const ManningDownloader = require('../src/sites/manning');
+const { loadConfig } = require('../src/utils/config');
+const { Manifest } = require('../src/utils/manifest');
+const { VersionArchive, describeChange, VERSIONS_DIRNAME } = require('../src/utils/versions');
+const { buildPdf } = require('./support/books');
+const logger = require('../src/utils/logger');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-versions-'));
+  logger.configure({ level: 'quiet', dir: path.join(tmpDir, 'logs') });
+  mock.method(console, 'log', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await logger.flush();
+  await fs.remove(tmpDir);
+});
+
+const RUST = { title: 'Rust in Action', authors: ['Tim McNamara'] };
+
+test('a change is described by the markers both releases have', () => {
+  assert.strictEqual(
+    describeChange({ meapVersion: 6, chapters: 10, etag: '"a"' }, { meapVersion: 7, chapters: 12, etag: '"a"' }),
+    'chapters 10 → 12, MEAP version 6 → 7'
+  );
+  assert.strictEqual(describeChange({ etag: '"a"', lastModified: 'Mon' }, { etag: '"b"' }), 'ETag "a" → "b"');
+  // A marker the site stopped showing, or never showed, is not a change
+  assert.strictEqual(describeChange({ updated: '2024-03-03' }, { chapters: 12 }), null);
+  assert.strictEqual(describeChange({ chapters: 12 }, { chapters: '12' }), null);
+  assert.strictEqual(describeChange(null, { chapters: 12 }), null);
+});
+
+test('archiving keeps the newest `keep` files of each format and logs every one', async () => {
+  const siteDir = path.join(tmpDir, 'prune');
+  const archive = new VersionArchive(siteDir, { keep: 2 });
+  const days = ['2024-01-01', '2024-02-01', '2024-03-01'];
+
+  for (const day of days) {
+    await fs.outputFile(path.join(siteDir, 'Rust.pdf'), day);
+    await archive.archive({ title: 'Rust in Action', format: 'pdf', filePath: 'Rust.pdf', downloadedAt: `${day}T10:00:00.000Z` }, '1002', 'MEAP version 6 → 7');
+  }
+  await fs.outputFile(path.join(siteDir, 'Rust.epub'), 'epub');
+  await archive.archive({ title: 'Rust in Action', format: 'epub', filePath: 'Rust.epub', downloadedAt: '2024-01-01T10:00:00.000Z' }, '1002', 'content changed');
+
+  // The oldest PDF went; the EPUB is counted on its own
+  const bookDir = path.join(siteDir, VERSIONS_DIRNAME, '1002');
+  assert.deepStrictEqual((await fs.readdir(bookDir)).sort(), [
+    '2024-01-01-10-00-00_Rust.epub',
+    '2024-02-01-10-00-00_Rust.pdf',
+    '2024-03-01-10-00-00_Rust.pdf'
+  ]);
+  assert.strictEqual(await fs.readFile(path.join(bookDir, '2024-03-01-10-00-00_Rust.pdf'), 'utf8'), '2024-03-01');
+
+  const changelog = (await fs.readFile(path.join(siteDir, VERSIONS_DIRNAME, 'CHANGELOG.md'), 'utf8')).split('\n');
+  assert.strictEqual(changelog[0], '# Book updates');
+  const today = new Date().toISOString().slice(0, 10);
+  assert.strictEqual(changelog[2], `- ${today} **Rust in Action** (PDF): MEAP version 6 → 7. Previous version: \`${path.join('1002', '2024-01-01-10-00-00_Rust.pdf')}\``);
+  assert.strictEqual(changelog.filter(line => line.startsWith('- ')).length, 4);
+});
+
+async function adapterIn(name) {
+  const adapter = new ManningDownloader();
+  adapter.configure(loadConfig({ env: {}, overrides: { downloads: { filenameTemplate: '{title}.{ext}' } } }));
+  adapter.downloadsDir = path.join(tmpDir, name);
+  adapter.manifest = await new Manifest(adapter.downloadsDir, 'manning').load();
+  adapter.versionArchive = new VersionArchive(adapter.downloadsDir, { keep: adapter.config.updates.keepVersions });
+  adapter.stats = { skipped: 0, downloaded: 0, updated: [], items: [] };
+  return adapter;
+}
+
+async function store(adapter, book, data) {
+  const filepath = adapter.filePathFor(book, 'pdf');
+  await fs.outputFile(`${filepath}.part`, data);
+  return adapter.storeFile(`${filepath}.part`, filepath, book, 'pdf', 'https://www.manning.com/dashboard/download?productId=1002&downloadFormat=PDF');
+}
+
+test('a new release archives the previous file and keeps it in the entry history', async () => {
+  const adapter = await adapterIn('release');
+  const first = await store(adapter, { id: '1002', title: 'Rust in Action', version: { meapVersion: 6 } }, buildPdf(RUST));
+  const { hash, size, downloadedAt } = first;
+
+  // The same bytes again only move the markers on
+  const same = await store(adapter, { id: '1002', title: 'Rust in Action', version: { meapVersion: 7 } }, buildPdf(RUST));
+  assert.strictEqual(same.version.meapVersion, 7);
+  assert.deepStrictEqual(same.history, []);
+  assert.deepStrictEqual([adapter.stats.downloaded, adapter.stats.skipped], [1, 1]);
+  assert.deepStrictEqual(adapter.stats.items.map(item => [item.status, item.reason]), [
+    ['downloaded', null],
+    ['skipped', 'new release has the same content']
+  ]);
+  assert.strictEqual(await fs.pathExists(path.join(adapter.downloadsDir, VERSIONS_DIRNAME)), false);
+
+  const book = { id: '1002', title: 'Rust in Action', version: { meapVersion: 8 }, updateReasons: { pdf: 'MEAP version 7 → 8' } };
+  const updated = await store(adapter, book, buildPdf({ ...RUST, padding: 1024 }));
+  assert.notStrictEqual(updated.hash, hash);
+  assert.strictEqual(updated.history.length, 1);
+  const [previous] = updated.history;
+  assert.deepStrictEqual({ hash: previous.hash, size: previous.size, version: previous.version }, { hash, size, version: { meapVersion: 7 } });
+  assert.strictEqual(previous.downloadedAt, downloadedAt);
+  assert.ok(await fs.pathExists(path.join(adapter.downloadsDir, previous.archivedPath)));
+
+  assert.deepStrictEqual(adapter.stats.updated, [{ id: '1002', title: 'Rust in Action', format: 'pdf', reason: 'MEAP version 7 → 8' }]);
+  assert.strictEqual(adapter.stats.items[2].status, 'updated');
+  const changelog = await fs.readFile(path.join(adapter.downloadsDir, VERSIONS_DIRNAME, 'CHANGELOG.md'), 'utf8');
+  assert.match(changelog, /\*\*Rust in Action\*\* \(PDF\): MEAP version 7 → 8\. Previous version: `1002/);
+});
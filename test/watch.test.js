@@ -0,0 +1,134 @@
+// The pieces of `watch` that don't need a browser: schedules, notifications and the lock
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { parseSchedule, nextRun, ScheduleError } = require('../src/utils/schedule');
+const { Notifier, buildEvent } = require('../src/utils/notify');
+const { acquireLock, LockError } = require('../src/utils/lock');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ebook-watch-'));
+  // What the notifier logs, kept off the test runner's own output
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(async () => {
+  mock.restoreAll();
+  await fs.remove(tmpDir);
+});
+
+// Local time, like the schedules themselves
+function at(text) {
+  return new Date(text);
+}
+
+function next(expression, from) {
+  return nextRun(parseSchedule(expression), at(from));
+}
+
+test('schedules find the next matching minute in local time', () => {
+  assert.deepStrictEqual(next('*/15 * * * *', '2024-03-01T10:07:30'), at('2024-03-01T10:15:00'));
+  assert.deepStrictEqual(next('0 */6 * * *', '2024-03-01T18:00:00'), at('2024-03-02T00:00:00'));
+  assert.deepStrictEqual(next('@daily', '2024-12-31T23:59:00'), at('2025-01-01T00:00:00'));
+  assert.deepStrictEqual(next('30 9 * * mon-fri', '2024-03-01T09:30:00'), at('2024-03-04T09:30:00'));
+  assert.deepStrictEqual(next('0 12 29 feb *', '2024-03-01T00:00:00'), at('2028-02-29T12:00:00'));
+});
+
+test('with both day fields restricted either one matches, like cron', () => {
+  // The 15th (a Friday) or any Sunday
+  assert.deepStrictEqual(next('0 0 15 * sun', '2024-03-11T00:00:00'), at('2024-03-15T00:00:00'));
+  assert.deepStrictEqual(next('0 0 15 * 7', '2024-03-15T00:00:00'), at('2024-03-17T00:00:00'));
+});
+
+test('bad schedules explain what is wrong', () => {
+  assert.throws(() => parseSchedule('0 * * *'), /expected 5 fields/);
+  assert.throws(() => parseSchedule('60 * * * *'), /minute must be between 0 and 59/);
+  assert.throws(() => parseSchedule('0 0 * * funday'), /invalid day of week/);
+  assert.throws(() => parseSchedule('*/0 * * * *'), /invalid step/);
+  assert.throws(() => parseSchedule('0 0 30 2 *'), ScheduleError);
+});
+
+function cycleEvent(stats) {
+  return buildEvent({ site: 'manning', cycle: 1, startedAt: new Date(), stats });
+}
+
+const NEW_PURCHASE = {
+  downloaded: 2,
+  failed: 0,
+  updated: [],
+  newBooks: [{ id: '1004', title: 'Kubernetes in Action, Second Edition' }]
+};
+
+test('the webhook receives the event as JSON', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, type: req.headers['content-type'], body: JSON.parse(body) });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const notifier = new Notifier({ webhook: `http://127.0.0.1:${server.address().port}/hook`, stdout: false });
+    const sent = await notifier.send(cycleEvent(NEW_PURCHASE));
+
+    assert.deepStrictEqual(sent, ['webhook']);
+    assert.strictEqual(received[0].method, 'POST');
+    assert.strictEqual(received[0].type, 'application/json');
+    assert.strictEqual(received[0].body.status, 'success');
+    assert.deepStrictEqual(received[0].body.newBooks, NEW_PURCHASE.newBooks);
+    assert.strictEqual(received[0].body.summary, '1 new: Kubernetes in Action, Second Edition; 2 downloaded');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('the notify command gets the event on stdin and in the environment', async () => {
+  const outPath = path.join(tmpDir, 'event.json');
+  const command = `cat > "${outPath}" && test "$EBOOK_NEW_COUNT" = 1`;
+  const notifier = new Notifier({ command, stdout: false });
+
+  assert.deepStrictEqual(await notifier.send(cycleEvent(NEW_PURCHASE)), ['command']);
+  assert.strictEqual((await fs.readJson(outPath)).newBooks[0].id, '1004');
+
+  // A failing command is reported, not thrown
+  const failing = new Notifier({ command: 'exit 3', stdout: false });
+  assert.deepStrictEqual(await failing.send(cycleEvent(NEW_PURCHASE)), []);
+});
+
+test('quiet cycles only notify with when "always"', async () => {
+  const quiet = cycleEvent({ downloaded: 0, failed: 0, updated: [], newBooks: [] });
+  assert.strictEqual(new Notifier({ stdout: false }).shouldSend(quiet), false);
+  assert.strictEqual(new Notifier({ stdout: false, when: 'always' }).shouldSend(quiet), true);
+
+  const failed = buildEvent({ site: 'manning', cycle: 2, startedAt: new Date(), error: new Error('No valid saved session') });
+  assert.strictEqual(failed.status, 'error');
+  assert.strictEqual(new Notifier({ stdout: false }).shouldSend(failed), true);
+});
+
+test('only one process holds the lock, and a stale lock is taken over', async () => {
+  const lockPath = path.join(tmpDir, '.watch.lock');
+  // A pid that is not running: the highest pid Linux hands out, plus one
+  await fs.writeJson(lockPath, { pid: 4194305, startedAt: '2024-01-01T00:00:00.000Z' });
+
+  const lock = await acquireLock(lockPath);
+  assert.strictEqual((await fs.readJson(lockPath)).pid, process.pid);
+
+  // Held by a live process (the test runner's parent stands in for another watcher)
+  await fs.writeJson(lockPath, { pid: process.ppid, startedAt: '2024-01-01T00:00:00.000Z' });
+  await assert.rejects(acquireLock(lockPath), LockError);
+
+  await fs.writeJson(lockPath, { pid: process.pid });
+  lock.release();
+  assert.strictEqual(await fs.pathExists(lockPath), false);
+});